@@ -0,0 +1,65 @@
+// One-off migration: replace the raw JWT in Token.token with its SHA-256 in
+// Token.tokenHash. Run it once before `npm run db:push` on a database created
+// with the old schema; db push cannot add the required unique column to a
+// table that already has rows. Each step checks whether it already ran, so
+// the script can be run again after a failure.
+//
+//   npm run db:hash-tokens
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const columnExists = async (column) => {
+  const rows = await prisma.$queryRaw`
+    SELECT COUNT(*) AS count
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Token' AND COLUMN_NAME = ${column}
+  `;
+  return Number(rows[0].count) > 0;
+};
+
+const indexExists = async (index) => {
+  const rows = await prisma.$queryRaw`
+    SELECT COUNT(*) AS count
+    FROM information_schema.STATISTICS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Token' AND INDEX_NAME = ${index}
+  `;
+  return Number(rows[0].count) > 0;
+};
+
+async function migrate() {
+  if (!(await columnExists('token'))) {
+    console.log('Token.token is already gone, nothing to migrate');
+    return;
+  }
+
+  if (!(await columnExists('tokenHash'))) {
+    await prisma.$executeRawUnsafe('ALTER TABLE `Token` ADD COLUMN `tokenHash` VARCHAR(64) NULL');
+  }
+
+  // SHA2() gives the same lowercase hex digest as crypto's sha256 in tokenService
+  const converted = await prisma.$executeRawUnsafe(
+    'UPDATE `Token` SET `tokenHash` = SHA2(`token`, 256) WHERE `tokenHash` IS NULL'
+  );
+  console.log(`Hashed ${converted} tokens`);
+
+  if (!(await indexExists('Token_tokenHash_key'))) {
+    await prisma.$executeRawUnsafe(
+      'ALTER TABLE `Token` MODIFY `tokenHash` VARCHAR(64) NOT NULL, ' +
+      'ADD UNIQUE INDEX `Token_tokenHash_key` (`tokenHash`)'
+    );
+  }
+  await prisma.$executeRawUnsafe(
+    'ALTER TABLE `Token` DROP INDEX `Token_token_key`, DROP COLUMN `token`'
+  );
+
+  console.log('Token table now stores only token hashes');
+}
+
+migrate()
+  .catch(error => {
+    console.error('Token hash migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -1,20 +1,41 @@
 const app = require('./src/app');
 const { PrismaClient } = require('@prisma/client');
+const jobsConfig = require('./src/config/jobs');
+const schedulerService = require('./src/services/schedulerService');
+const { registerJobs } = require('./src/jobs');
+const signingKeyService = require('./src/services/signingKeyService');
+const twoFactorService = require('./src/services/twoFactorService');
 
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3000;
 
+// Registered even when disabled so the status endpoint can list them
+registerJobs(schedulerService);
+
 async function startServer() {
   try {
     // Test database connection
     await prisma.$connect();
     console.log('Database connected successfully');
+
+    // Fail early on an unreadable key directory and create the first key
+    const signingKey = signingKeyService.getSigningKey();
+    console.log(`Signing tokens with ${signingKey.alg} key ${signingKey.kid}`);
+
+    // Refuse to run without a key for the stored TOTP secrets
+    twoFactorService.getEncryptionKey();
     
     // Start server
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV}`);
     });
+
+    if (jobsConfig.enabled) {
+      await schedulerService.start();
+    } else {
+      console.log('Background jobs are disabled on this instance');
+    }
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -24,6 +45,7 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\nShutting down gracefully...');
+  schedulerService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
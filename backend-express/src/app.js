@@ -6,7 +6,9 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 const errorMiddleware = require('./middleware/errorMiddleware');
+const signingKeyService = require('./services/signingKeyService');
 
 const app = express();
 
@@ -18,7 +20,10 @@ app.use(cors());
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+    code: 'RATE_LIMITED'
+  },
 });
 app.use(limiter);
 
@@ -29,6 +34,17 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Public keys for verifying our JWTs without a shared secret
+app.get('/.well-known/jwks.json', (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json(signingKeyService.getJwks());
+  } catch (error) {
+    next(error);
+  }
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -40,7 +56,7 @@ app.use(errorMiddleware);
 
 // Handle 404
 app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
+  res.status(404).json({ error: 'Route not found', code: 'ROUTE_NOT_FOUND' });
 });
 
 module.exports = app;
@@ -2,8 +2,23 @@ require('dotenv').config();
 
 const authConfig = {
   jwt: {
-    secret: process.env.JWT_SECRET || 'your-secret-key',
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    // Algorithm for newly generated signing keys: EdDSA (Ed25519) or RS256
+    algorithm: process.env.JWT_ALGORITHM || 'EdDSA',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    issuer: process.env.JWT_ISSUER || 'secure-auth',
+    // Private keys as <kid>.pem; the newest file signs, the others only verify
+    keyDirectory: process.env.JWT_KEY_DIR || 'keys',
+    rotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30,
+    // How long a replaced key keeps verifying; must outlive every token it signed
+    gracePeriodHours: parseInt(process.env.JWT_KEY_GRACE_HOURS) || 24,
+    // How often an instance rereads the directory to pick up keys made elsewhere
+    reloadSeconds: parseInt(process.env.JWT_KEY_RELOAD_SECONDS) || 60,
+    // Minimum time between the early rereads an unknown kid triggers, so
+    // tokens with made-up kids cannot cause disk reads on every request
+    unknownKidReloadSeconds: parseInt(process.env.JWT_KEY_UNKNOWN_KID_RELOAD_SECONDS) || 10,
+  },
+  refreshToken: {
+    expiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
   },
   bcrypt: {
     rounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
@@ -12,6 +27,103 @@ const authConfig = {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   },
+  deviceChallenge: {
+    ttlSeconds: parseInt(process.env.DEVICE_CHALLENGE_TTL_SECONDS) || 120,
+  },
+  deviceTransfer: {
+    // Minimum time between two completed transfers of the same account
+    cooldownHours: parseInt(process.env.DEVICE_TRANSFER_COOLDOWN_HOURS) || 72,
+    maxPerYear: parseInt(process.env.DEVICE_TRANSFER_MAX_PER_YEAR) || 3,
+    approvalTtlHours: parseInt(process.env.DEVICE_TRANSFER_APPROVAL_TTL_HOURS) || 24,
+    codeTtlMinutes: parseInt(process.env.DEVICE_TRANSFER_CODE_TTL_MINUTES) || 15,
+    maxCodeAttempts: parseInt(process.env.DEVICE_TRANSFER_MAX_CODE_ATTEMPTS) || 5,
+    // Per-IP limit on the request/confirm endpoints, across all transfers
+    windowMs: parseInt(process.env.DEVICE_TRANSFER_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.DEVICE_TRANSFER_RATE_LIMIT_MAX) || 10,
+  },
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 5,
+  },
+  emailVerification: {
+    // block: no login until verified; limit: login works but sensitive
+    // features are refused; off: verification is only informational
+    policy: process.env.EMAIL_VERIFICATION_POLICY || 'limit',
+    tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+    windowMs: parseInt(process.env.EMAIL_VERIFICATION_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.EMAIL_VERIFICATION_RATE_LIMIT_MAX) || 5,
+  },
+  loginLockout: {
+    // Failures allowed before each further attempt is delayed
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+    baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 2,
+    maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 300,
+    maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 10,
+    maxDeviceAttempts: parseInt(process.env.LOGIN_MAX_DEVICE_ATTEMPTS) || 20,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 30,
+    // Failures older than this no longer count
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60,
+    unlockTokenTtlMinutes: parseInt(process.env.LOGIN_UNLOCK_TOKEN_TTL_MINUTES) || 60,
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'SecureAuth',
+    // Key used to encrypt TOTP secrets at rest. Required: there is no
+    // default, since a default would be public
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || null,
+    // Accepted clock drift, in 30 second steps either side
+    window: parseInt(process.env.TWO_FACTOR_WINDOW) || 1,
+    recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10,
+    loginTicketTtlSeconds: parseInt(process.env.TWO_FACTOR_LOGIN_TTL_SECONDS) || 300,
+  },
+  deviceBinding: {
+    // A device must prove its key again (login or renewal) within this many
+    // days of the last proof, or its refresh tokens stop working
+    maxAgeDays: parseInt(process.env.DEVICE_BINDING_MAX_AGE_DAYS) || 365,
+    // The desktop app renews on its own once the binding is this close to expiry
+    renewBeforeDays: parseInt(process.env.DEVICE_BINDING_RENEW_BEFORE_DAYS) || 30,
+  },
+  devicePolicy: {
+    // Defaults for every account; admins can override each one per user
+    maxDevicesPerUser: parseInt(process.env.DEVICE_MAX_PER_USER) || 1,
+    maxAccountsPerDevice: parseInt(process.env.DEVICE_MAX_ACCOUNTS) || 1,
+    // What a login from one device too many does: REJECT, EVICT_OLDEST
+    // (revoke the device unused for longest) or REQUIRE_APPROVAL (an admin
+    // has to approve the new device)
+    onLimit: (process.env.DEVICE_LIMIT_ACTION || 'REJECT').toUpperCase(),
+  },
+  idleLock: {
+    // Minutes without input before the desktop app locks itself; a shorter
+    // local setting in the app wins
+    timeoutMinutes: parseInt(process.env.IDLE_LOCK_MINUTES) || 15,
+  },
+  sessionEvents: {
+    // Comment line sent on idle streams so proxies do not time them out
+    heartbeatSeconds: parseInt(process.env.SESSION_EVENTS_HEARTBEAT_SECONDS) || 25,
+    // How often a stream checks the database for revocations made by
+    // another server instance
+    recheckSeconds: parseInt(process.env.SESSION_EVENTS_RECHECK_SECONDS) || 60,
+    // Reconnect delay suggested to clients
+    retryMs: parseInt(process.env.SESSION_EVENTS_RETRY_MS) || 5000,
+  },
+  offlineLease: {
+    // How long the desktop app may keep working without reaching the server
+    days: parseInt(process.env.OFFLINE_LEASE_DAYS) || 7,
+  },
+  audit: {
+    defaultPageSize: parseInt(process.env.AUDIT_DEFAULT_PAGE_SIZE) || 20,
+    maxPageSize: parseInt(process.env.AUDIT_MAX_PAGE_SIZE) || 100,
+  },
+  admin: {
+    defaultPageSize: parseInt(process.env.ADMIN_DEFAULT_PAGE_SIZE) || 20,
+    maxPageSize: parseInt(process.env.ADMIN_MAX_PAGE_SIZE) || 100,
+  },
+  availabilityCheck: {
+    windowMs: parseInt(process.env.AVAILABILITY_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: parseInt(process.env.AVAILABILITY_RATE_LIMIT_MAX) || 30,
+    // Every response takes at least this long so timing does not reveal a DB hit
+    minResponseMs: parseInt(process.env.AVAILABILITY_MIN_RESPONSE_MS) || 300,
+  },
 };
 
 module.exports = authConfig;
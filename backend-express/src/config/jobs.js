@@ -0,0 +1,22 @@
+require('dotenv').config();
+
+const minutes = (value, fallback) => (parseInt(value) || fallback) * 60 * 1000;
+
+const jobsConfig = {
+  // Set JOBS_ENABLED=false on instances that should only serve requests
+  enabled: process.env.JOBS_ENABLED !== 'false',
+  // A claimed job stays locked this long if its instance dies mid-run
+  lockTtlSeconds: parseInt(process.env.JOB_LOCK_TTL_SECONDS) || 10 * 60,
+  intervals: {
+    purgeExpiredTokens: minutes(process.env.JOB_PURGE_TOKENS_INTERVAL_MINUTES, 60),
+    purgeDeviceChallenges: minutes(process.env.JOB_PURGE_CHALLENGES_INTERVAL_MINUTES, 15),
+    purgeEmailCodes: minutes(process.env.JOB_PURGE_EMAIL_CODES_INTERVAL_MINUTES, 6 * 60),
+    purgeLoginThrottles: minutes(process.env.JOB_PURGE_THROTTLES_INTERVAL_MINUTES, 60),
+    purgeAuditEvents: minutes(process.env.JOB_PURGE_AUDIT_INTERVAL_MINUTES, 24 * 60),
+    rotateSigningKeys: minutes(process.env.JOB_ROTATE_KEYS_INTERVAL_MINUTES, 60),
+  },
+  // Audit events older than this are deleted; 0 keeps them forever
+  auditRetentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS) || 0,
+};
+
+module.exports = jobsConfig;
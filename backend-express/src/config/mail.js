@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+const mailConfig = {
+  // console, file or smtp
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || 'SecureAuth <no-reply@localhost>',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+  },
+  file: {
+    // Each message is written here as an .eml file
+    directory: process.env.MAIL_FILE_DIR || 'mail-outbox',
+  },
+};
+
+module.exports = mailConfig;
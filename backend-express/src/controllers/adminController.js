@@ -0,0 +1,288 @@
+const adminService = require('../services/adminService');
+const authService = require('../services/authService');
+const deviceService = require('../services/deviceService');
+const devicePolicyService = require('../services/devicePolicyService');
+const auditService = require('../services/auditService');
+const sessionEventService = require('../services/sessionEventService');
+const sessionService = require('../services/sessionService');
+const tokenService = require('../services/tokenService');
+const loginThrottleService = require('../services/loginThrottleService');
+const schedulerService = require('../services/schedulerService');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+// Attached to every audit event an admin causes on someone else's account
+const adminMetadata = (req, extra = {}) => ({ method: 'ADMIN', adminId: req.user.id, ...extra });
+
+class AdminController {
+  async getAuditEvents(req, res, next) {
+    try {
+      const { page, limit, userId, username, event, success, ipAddress, from, to } = req.query;
+
+      const result = await auditService.queryEvents(
+        { userId, username, event, success, ipAddress, from, to },
+        { page, limit }
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async unlockUser(req, res, next) {
+    try {
+      const userId = req.params.id;
+
+      const wasLocked = await loginThrottleService.unlockUser(userId);
+
+      await auditService.record('ACCOUNT_UNLOCKED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: adminMetadata(req)
+      });
+
+      res.status(200).json({
+        message: wasLocked
+          ? 'Login failures cleared and account unlocked'
+          : 'Account had no failed logins to clear'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async listUsers(req, res, next) {
+    try {
+      const { page, limit, search, role, isActive } = req.query;
+
+      const result = await adminService.listUsers({ search, role, isActive }, { page, limit });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getUser(req, res, next) {
+    try {
+      const result = await adminService.getUserDetails(req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getUserSessions(req, res, next) {
+    try {
+      const userId = req.params.id;
+
+      await adminService.findUser(userId);
+      const sessions = await sessionService.getActiveSessions(userId);
+
+      res.status(200).json({ sessions });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async forceLogoutUser(req, res, next) {
+    try {
+      const userId = req.params.id;
+
+      await adminService.findUser(userId);
+      await authService.forceLogout(userId, auditService.getRequestContext(req), adminMetadata(req));
+
+      res.status(200).json({ message: 'User logged out from all devices' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deactivateUser(req, res, next) {
+    try {
+      const userId = req.params.id;
+
+      if (userId === req.user.id) {
+        throw new BadRequestError('You cannot deactivate your own account here', 'OWN_ACCOUNT_DEACTIVATION');
+      }
+
+      await adminService.findUser(userId);
+      await authService.deactivateAccount(userId, auditService.getRequestContext(req), adminMetadata(req));
+
+      res.status(200).json({ message: 'Account deactivated' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async reactivateUser(req, res, next) {
+    try {
+      const userId = req.params.id;
+
+      await adminService.findUser(userId);
+      const result = await authService.reactivateAccount(
+        userId,
+        auditService.getRequestContext(req),
+        adminMetadata(req)
+      );
+
+      res.status(200).json({ message: 'Account reactivated', user: result.user });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resetDevices(req, res, next) {
+    try {
+      const userId = req.params.id;
+      const { deviceId } = req.body;
+
+      const revoked = await adminService.resetDevices(userId, deviceId);
+
+      await auditService.record('DEVICE_RESET', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: adminMetadata(req, { deviceId: deviceId || null, revoked })
+      });
+
+      res.status(200).json({
+        message: revoked > 0
+          ? 'Device binding reset. The next device to log in will be registered.'
+          : 'User had no active device binding',
+        revoked
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getDevicePolicy(req, res, next) {
+    try {
+      const policy = await devicePolicyService.getUserPolicy(req.params.id);
+
+      res.status(200).json(policy);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setDevicePolicy(req, res, next) {
+    try {
+      const userId = req.params.id;
+      const { maxDevices, maxAccountsPerDevice, onLimit } = req.body;
+
+      const { previous, ...policy } = await devicePolicyService.setUserPolicy(userId, {
+        maxDevices,
+        maxAccountsPerDevice,
+        onLimit
+      });
+
+      await auditService.record('DEVICE_POLICY_CHANGED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: adminMetadata(req, { from: previous, to: policy.overrides })
+      });
+
+      res.status(200).json({ message: 'Device policy updated', ...policy });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async approveDevice(req, res, next) {
+    try {
+      const userId = req.params.id;
+      const device = await devicePolicyService.approveDevice(userId, req.params.deviceId);
+
+      await auditService.record('DEVICE_APPROVED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: adminMetadata(req, { deviceId: device.id })
+      });
+
+      res.status(200).json({
+        message: 'Device approved. It can log in now.',
+        deviceId: device.id
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async rejectDevice(req, res, next) {
+    try {
+      const userId = req.params.id;
+      const device = await devicePolicyService.rejectDevice(userId, req.params.deviceId);
+
+      await auditService.record('DEVICE_REJECTED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: adminMetadata(req, { deviceId: device.id })
+      });
+
+      res.status(200).json({ message: 'Device rejected', deviceId: device.id });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setRole(req, res, next) {
+    try {
+      const userId = req.params.id;
+
+      const { user, previousRole } = await adminService.setRole(req.user.id, userId, req.body.role);
+
+      await auditService.record('ROLE_CHANGED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: adminMetadata(req, { from: previousRole, to: user.role })
+      });
+
+      if (user.role !== previousRole) {
+        await tokenService.invalidateAllUserTokens(userId, null);
+        sessionEventService.publish(userId, 'policy.changed', { reason: 'ROLE_CHANGED' });
+      }
+
+      res.status(200).json({ message: 'Role updated', user });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getStats(req, res, next) {
+    try {
+      const stats = await deviceService.getDeviceStats();
+
+      res.status(200).json(stats);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getJobs(req, res, next) {
+    try {
+      const status = await schedulerService.getStatus();
+
+      res.status(200).json(status);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async runJob(req, res, next) {
+    try {
+      const run = await schedulerService.runJob(req.params.name, { force: true });
+
+      if (!run.ran) {
+        throw new ConflictError('Job is already running', 'JOB_RUNNING');
+      }
+
+      res.status(200).json(run);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AdminController();
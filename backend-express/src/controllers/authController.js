@@ -1,20 +1,46 @@
 const authService = require('../services/authService');
 const deviceService = require('../services/deviceService');
+const challengeService = require('../services/challengeService');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
 const { validateRegistration, validateLogin, handleValidationErrors } = require('../utils/validators');
 const { prisma } = require('../config/database');
 const bcrypt = require('bcrypt');
+const { BadRequestError, UnauthorizedError, NotFoundError } = require('../utils/errors');
+const authConfig = require('../config/auth');
+
+/**
+ * Wait until at least the configured minimum time has passed since startedAt,
+ * so taken and free names are answered in the same time
+ * @param {number} startedAt - Request start timestamp (ms)
+ */
+const padResponseTime = async (startedAt) => {
+  const remaining = authConfig.availabilityCheck.minResponseMs - (Date.now() - startedAt);
+  if (remaining > 0) {
+    await new Promise(resolve => setTimeout(resolve, remaining));
+  }
+};
 
 class AuthController {
+  async challenge(req, res, next) {
+    try {
+      const challenge = await challengeService.createChallenge();
+
+      res.status(200).json(challenge);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async register(req, res, next) {
     try {
-      const { username, email, password, deviceHash } = req.body;
+      const { username, email, password, deviceHash, publicKey, challengeId, signature, deviceInfo } = req.body;
 
       // Validate required fields
       if (!deviceHash) {
-        return res.status(400).json({
-          error: 'Device authentication required',
-          code: 'DEVICE_HASH_REQUIRED'
-        });
+        throw new BadRequestError('Device authentication required', 'DEVICE_HASH_REQUIRED');
       }
 
       const result = await authService.register({
@@ -22,12 +48,28 @@ class AuthController {
         email,
         password,
         deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        deviceInfo,
+        context: auditService.getRequestContext(req),
       });
 
+      if (result.emailVerificationRequired) {
+        return res.status(201).json({
+          message: 'User registered successfully. Verify your email address to log in.',
+          user: result.user,
+          emailVerificationRequired: true,
+        });
+      }
+
       res.status(201).json({
         message: 'User registered successfully',
         user: result.user,
         token: result.token,
+        refreshToken: result.refreshToken,
+        deviceBinding: result.deviceBinding,
+        sessionPolicy: authService.getSessionPolicy(),
       });
     } catch (error) {
       next(error);
@@ -36,41 +78,297 @@ class AuthController {
 
   async login(req, res, next) {
     try {
-      const { username, password, deviceHash } = req.body;
+      const { username, password, deviceHash, publicKey, challengeId, signature, deviceInfo } = req.body;
 
       // Validate required fields
       if (!deviceHash) {
-        return res.status(400).json({
-          error: 'Device authentication required',
-          code: 'DEVICE_HASH_REQUIRED'
-        });
+        throw new BadRequestError('Device authentication required', 'DEVICE_HASH_REQUIRED');
       }
 
       const result = await authService.login({
         username,
         password,
         deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        deviceInfo,
+        context: auditService.getRequestContext(req),
       });
 
+      if (result.twoFactorRequired) {
+        return res.status(200).json({
+          message: 'Two-factor code required',
+          twoFactorRequired: true,
+          loginTicket: result.loginTicket,
+        });
+      }
+
       res.status(200).json({
         message: 'Login successful',
         user: result.user,
         token: result.token,
+        refreshToken: result.refreshToken,
+        deviceBinding: result.deviceBinding,
+        sessionPolicy: authService.getSessionPolicy(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async loginWithTwoFactor(req, res, next) {
+    try {
+      const {
+        loginTicket,
+        code,
+        recoveryCode,
+        deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        deviceInfo
+      } = req.body;
+
+      const result = await authService.loginWithTwoFactor({
+        loginTicket,
+        code,
+        recoveryCode,
+        deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        deviceInfo,
+        context: auditService.getRequestContext(req),
+      });
+
+      res.status(200).json({
+        message: 'Login successful',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        deviceBinding: result.deviceBinding,
+        sessionPolicy: authService.getSessionPolicy(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async requestDeviceTransfer(req, res, next) {
+    try {
+      const {
+        username,
+        password,
+        twoFactorCode,
+        recoveryCode,
+        deviceHash,
+        publicKey,
+        challengeId,
+        signature
+      } = req.body;
+
+      const transfer = await authService.requestDeviceTransfer({
+        username,
+        password,
+        twoFactorCode,
+        recoveryCode,
+        deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        context: auditService.getRequestContext(req),
+      });
+
+      res.status(201).json({
+        message: 'A confirmation code has been sent to the email address on the account',
+        ...transfer
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async confirmDeviceTransfer(req, res, next) {
+    try {
+      const { transferId, code, deviceHash, publicKey, challengeId, signature, deviceInfo } = req.body;
+
+      const result = await authService.confirmDeviceTransfer({
+        transferId,
+        code,
+        deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        deviceInfo,
+        context: auditService.getRequestContext(req),
+      });
+
+      res.status(200).json({
+        message: 'Device transfer completed',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        deviceBinding: result.deviceBinding,
+        sessionPolicy: authService.getSessionPolicy(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async checkUsername(req, res, next) {
+    const startedAt = Date.now();
+    try {
+      const available = await authService.isUsernameAvailable(req.body.username);
+
+      await padResponseTime(startedAt);
+      res.status(200).json({ available });
+    } catch (error) {
+      await padResponseTime(startedAt);
+      next(error);
+    }
+  }
+
+  async checkEmail(req, res, next) {
+    const startedAt = Date.now();
+    try {
+      const available = await authService.isEmailAvailable(req.body.email);
+
+      await padResponseTime(startedAt);
+      res.status(200).json({ available });
+    } catch (error) {
+      await padResponseTime(startedAt);
+      next(error);
+    }
+  }
+
+  async refresh(req, res, next) {
+    try {
+      const { refreshToken, deviceHash, publicKey, challengeId, signature } = req.body;
+
+      const result = await authService.refresh(
+        refreshToken,
+        { deviceHash, publicKey, challengeId, signature },
+        auditService.getRequestContext(req)
+      );
+
+      res.status(200).json({
+        message: 'Token refreshed successfully',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        deviceBinding: result.deviceBinding,
+        sessionPolicy: authService.getSessionPolicy(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async forgotPassword(req, res, next) {
+    const startedAt = Date.now();
+    try {
+      const userId = await passwordResetService.requestReset(req.body.email);
+
+      if (userId) {
+        await auditService.record('PASSWORD_RESET_REQUESTED', {
+          userId,
+          context: auditService.getRequestContext(req)
+        });
+      }
+
+      // Same answer and timing whether or not the address is registered
+      await padResponseTime(startedAt);
+      res.status(200).json({
+        message: 'If an account exists for that email, a reset code has been sent.'
+      });
+    } catch (error) {
+      await padResponseTime(startedAt);
+      next(error);
+    }
+  }
+
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+
+      const userId = await passwordResetService.resetPassword(token, newPassword);
+
+      await auditService.record('PASSWORD_RESET', {
+        userId,
+        context: auditService.getRequestContext(req)
+      });
+
+      res.status(200).json({
+        message: 'Password has been reset. Please log in with your new password.'
       });
     } catch (error) {
       next(error);
     }
   }
 
+  async verifyEmail(req, res, next) {
+    try {
+      const userId = await emailVerificationService.verifyEmail(req.body.token);
+
+      await auditService.record('EMAIL_VERIFIED', {
+        userId,
+        context: auditService.getRequestContext(req)
+      });
+
+      res.status(200).json({
+        message: 'Email address verified'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async resendVerification(req, res, next) {
+    const startedAt = Date.now();
+    try {
+      const userId = await emailVerificationService.resendVerification(req.body.email);
+
+      if (userId) {
+        await auditService.record('EMAIL_VERIFICATION_REQUESTED', {
+          userId,
+          context: auditService.getRequestContext(req)
+        });
+      }
+
+      await padResponseTime(startedAt);
+      res.status(200).json({
+        message: 'If that address is waiting for verification, a new code has been sent.'
+      });
+    } catch (error) {
+      await padResponseTime(startedAt);
+      next(error);
+    }
+  }
+
+  async unlockAccount(req, res, next) {
+    try {
+      const result = await authService.unlockAccount(
+        req.body.token,
+        auditService.getRequestContext(req)
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async logout(req, res, next) {
     try {
       const token = req.headers.authorization?.split(' ')[1];
 
       if (!token) {
-        return res.status(400).json({ error: 'Token required' });
+        throw new BadRequestError('Token required', 'TOKEN_REQUIRED');
       }
 
-      await authService.logout(token);
+      await authService.logout(token, req.body.refreshToken, auditService.getRequestContext(req));
 
       res.status(200).json({
         message: 'Logout successful',
@@ -84,7 +382,7 @@ class AuthController {
     try {
       const userId = req.user.id;
 
-      await authService.forceLogout(userId);
+      await authService.forceLogout(userId, auditService.getRequestContext(req));
 
       res.status(200).json({
         message: 'Force logout successful - all devices logged out',
@@ -100,13 +398,14 @@ class AuthController {
       const { deviceHash } = req.body;
 
       if (!deviceHash) {
-        return res.status(400).json({
-          error: 'Device hash required',
-          code: 'DEVICE_HASH_REQUIRED'
-        });
+        throw new BadRequestError('Device hash required', 'DEVICE_HASH_REQUIRED');
       }
 
-      const result = await authService.logoutFromOtherDevices(userId, deviceHash);
+      const result = await authService.logoutFromOtherDevices(
+        userId,
+        deviceHash,
+        auditService.getRequestContext(req)
+      );
 
       res.status(200).json(result);
     } catch (error) {
@@ -119,7 +418,7 @@ class AuthController {
       const token = req.headers.authorization?.split(' ')[1];
 
       if (!token) {
-        return res.status(400).json({ error: 'Token required' });
+        throw new BadRequestError('Token required', 'TOKEN_REQUIRED');
       }
 
       const result = await authService.verifyToken(token);
@@ -134,7 +433,7 @@ class AuthController {
     try {
       const userId = req.user.id;
 
-      const sessions = await authService.getActiveSessions(userId);
+      const sessions = await sessionService.getActiveSessions(userId, req.token);
 
       res.status(200).json({
         sessions,
@@ -149,7 +448,7 @@ class AuthController {
     try {
       const userId = req.user.id;
 
-      const result = await authService.deactivateAccount(userId);
+      const result = await authService.deactivateAccount(userId, auditService.getRequestContext(req));
 
       res.status(200).json(result);
     } catch (error) {
@@ -162,10 +461,7 @@ class AuthController {
       const { username, password, deviceHash } = req.body;
 
       if (!deviceHash) {
-        return res.status(400).json({
-          error: 'Device authentication required',
-          code: 'DEVICE_HASH_REQUIRED'
-        });
+        throw new BadRequestError('Device authentication required', 'DEVICE_HASH_REQUIRED');
       }
 
       // Find deactivated user
@@ -177,18 +473,16 @@ class AuthController {
       });
 
       if (!user) {
-        return res.status(404).json({
-          error: 'Account not found or already active'
-        });
+        throw new NotFoundError('Account not found or already active', 'ACCOUNT_NOT_FOUND');
       }
 
       // Verify password
       const isValidPassword = await bcrypt.compare(password, user.password);
       if (!isValidPassword) {
-        return res.status(401).json({ error: 'Invalid credentials' });
+        throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
       }
 
-      const result = await authService.reactivateAccount(user.id);
+      const result = await authService.reactivateAccount(user.id, auditService.getRequestContext(req));
 
       res.status(200).json(result);
     } catch (error) {
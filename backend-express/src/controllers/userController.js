@@ -1,7 +1,16 @@
 const deviceService = require('../services/deviceService');
 const authService = require('../services/authService');
+const tokenService = require('../services/tokenService');
+const deviceTransferService = require('../services/deviceTransferService');
+const auditService = require('../services/auditService');
+const twoFactorService = require('../services/twoFactorService');
+const emailVerificationService = require('../services/emailVerificationService');
+const leaseService = require('../services/leaseService');
+const sessionEventService = require('../services/sessionEventService');
+const sessionService = require('../services/sessionService');
 const { prisma } = require('../config/database');
 const bcrypt = require('bcrypt');
+const { BadRequestError, ConflictError } = require('../utils/errors');
 
 class UserController {
   async getProfile(req, res, next) {
@@ -13,7 +22,10 @@ class UserController {
           id: user.id,
           username: user.username,
           email: user.email,
+          role: user.role,
           isActive: user.isActive,
+          emailVerified: user.emailVerified,
+          twoFactorEnabled: user.twoFactorEnabled,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt,
         }
@@ -23,6 +35,92 @@ class UserController {
     }
   }
 
+  async setupTwoFactor(req, res, next) {
+    try {
+      const setup = await twoFactorService.startSetup(req.user);
+
+      res.status(200).json({
+        message: 'Scan the secret with your authenticator app, then verify a code to finish',
+        ...setup
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async verifyTwoFactor(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const recoveryCodes = await twoFactorService.enable(userId, req.body.code);
+
+      await auditService.record('TWO_FACTOR_ENABLED', {
+        userId,
+        context: auditService.getRequestContext(req)
+      });
+
+      // Other signed-in devices start over under the new login rules; the
+      // event only tells them sooner than their next request would
+      await tokenService.invalidateOtherDeviceTokens(userId, req.token.deviceHash, null);
+      sessionEventService.publish(userId, 'policy.changed', { reason: 'TWO_FACTOR_ENABLED' }, {
+        exceptDeviceHash: req.token.deviceHash
+      });
+
+      res.status(200).json({
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        recoveryCodes
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async disableTwoFactor(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { password, code, recoveryCode } = req.body;
+
+      if (!req.user.twoFactorEnabled) {
+        throw new BadRequestError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+      }
+
+      // 400 rather than 401 so the client does not treat it as an expired session
+      const isValidPassword = await bcrypt.compare(password, req.user.password);
+      if (!isValidPassword) {
+        throw new BadRequestError('Invalid password', 'INVALID_PASSWORD');
+      }
+
+      const { valid } = await twoFactorService.verifySecondFactor(req.user, { code, recoveryCode });
+      if (!valid) {
+        await auditService.record('TWO_FACTOR_FAILED', {
+          userId,
+          success: false,
+          context: auditService.getRequestContext(req),
+          metadata: { action: 'disable' }
+        });
+        throw new BadRequestError('Invalid two-factor code', 'TWO_FACTOR_INVALID');
+      }
+
+      await twoFactorService.disable(userId);
+
+      await auditService.record('TWO_FACTOR_DISABLED', {
+        userId,
+        context: auditService.getRequestContext(req)
+      });
+
+      await tokenService.invalidateOtherDeviceTokens(userId, req.token.deviceHash, null);
+      sessionEventService.publish(userId, 'policy.changed', { reason: 'TWO_FACTOR_DISABLED' }, {
+        exceptDeviceHash: req.token.deviceHash
+      });
+
+      res.status(200).json({
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getDeviceInfo(req, res, next) {
     try {
       const userId = req.user.id;
@@ -37,11 +135,101 @@ class UserController {
     }
   }
 
+  async startDeviceTransfer(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { newDeviceHash } = req.body;
+
+      const transfer = await deviceTransferService.startFromOldDevice(
+        userId,
+        req.token.deviceHash,
+        newDeviceHash
+      );
+
+      await auditService.record('DEVICE_TRANSFER_STARTED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: { transferId: transfer.transferId, method: 'OLD_DEVICE' }
+      });
+
+      res.status(201).json({
+        message: 'Device transfer approved. Log in on the new device to complete it.',
+        ...transfer
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async renewDeviceBinding(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const { deviceHash, publicKey, challengeId, signature, deviceInfo } = req.body;
+
+      const device = await deviceService.renewBinding(userId, req.token.deviceHash, {
+        deviceHash,
+        publicKey,
+        challengeId,
+        signature,
+        deviceInfo
+      });
+      const deviceBinding = deviceService.getBindingStatus(device);
+
+      await auditService.record('DEVICE_BINDING_RENEWED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: { deviceId: device.id, expiresAt: deviceBinding.expiresAt.toISOString() }
+      });
+
+      res.status(200).json({
+        message: 'Device binding renewed',
+        deviceBinding
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async reauthenticate(req, res, next) {
+    try {
+      await authService.reauthenticate(
+        req.user,
+        req.body.password,
+        req.token.deviceHash,
+        auditService.getRequestContext(req)
+      );
+
+      res.status(200).json({
+        message: 'Password confirmed'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async issueOfflineLease(req, res, next) {
+    try {
+      const userId = req.user.id;
+
+      const lease = await leaseService.issueLease(req.user, req.token.deviceHash);
+
+      await auditService.record('OFFLINE_LEASE_ISSUED', {
+        userId,
+        context: auditService.getRequestContext(req),
+        metadata: { expiresAt: lease.expiresAt.toISOString() }
+      });
+
+      res.status(201).json(lease);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getActiveSessions(req, res, next) {
     try {
       const userId = req.user.id;
 
-      const sessions = await authService.getActiveSessions(userId);
+      const sessions = await sessionService.getActiveSessions(userId, req.token);
 
       res.status(200).json({
         sessions,
@@ -52,6 +240,46 @@ class UserController {
     }
   }
 
+  async renameSession(req, res, next) {
+    try {
+      const session = await sessionService.renameSession(req.user.id, req.params.id, req.body.name);
+
+      res.status(200).json({ session });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async renameDevice(req, res, next) {
+    try {
+      const device = await deviceService.renameDevice(req.user.id, req.params.id, req.body.name);
+
+      res.status(200).json({ device });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  streamSessionEvents(req, res) {
+    sessionEventService.subscribe(
+      { userId: req.user.id, deviceHash: req.token.deviceHash },
+      req,
+      res
+    );
+  }
+
+  async getAuditEvents(req, res, next) {
+    try {
+      const { page, limit } = req.query;
+
+      const result = await auditService.getUserEvents(req.user.id, { page, limit });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async updateProfile(req, res, next) {
     try {
       const userId = req.user.id;
@@ -59,37 +287,39 @@ class UserController {
 
       // Basic validation
       if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-        return res.status(400).json({
-          error: 'Invalid email format'
-        });
+        throw new BadRequestError('Invalid email format', 'INVALID_EMAIL');
       }
 
+      // A new address has to be verified again
+      const emailChanged = Boolean(email) && email !== req.user.email;
+
       const updatedUser = await prisma.user.update({
         where: { id: userId },
         data: {
-          ...(email && { email })
+          ...(email && { email }),
+          ...(emailChanged && { emailVerified: false, emailVerifiedAt: null })
         },
         select: {
           id: true,
           username: true,
           email: true,
           isActive: true,
+          emailVerified: true,
           lastLogin: true,
           createdAt: true,
         }
       });
 
+      if (emailChanged) {
+        await emailVerificationService.sendVerification(updatedUser);
+      }
+
       res.status(200).json({
         message: 'Profile updated successfully',
         user: updatedUser
       });
     } catch (error) {
-      if (error.code === 'P2002') {
-        return res.status(409).json({
-          error: 'Email already exists'
-        });
-      }
-      next(error);
+      next(error.code === 'P2002' ? new ConflictError('Email already exists', 'EMAIL_TAKEN') : error);
     }
   }
 
@@ -100,15 +330,11 @@ class UserController {
 
       // Validate input
       if (!currentPassword || !newPassword) {
-        return res.status(400).json({
-          error: 'Current password and new password are required'
-        });
+        throw new BadRequestError('Current password and new password are required', 'PASSWORD_REQUIRED');
       }
 
       if (newPassword.length < 6) {
-        return res.status(400).json({
-          error: 'New password must be at least 6 characters long'
-        });
+        throw new BadRequestError('New password must be at least 6 characters long', 'PASSWORD_TOO_SHORT');
       }
 
       // Get current user
@@ -119,9 +345,14 @@ class UserController {
       // Verify current password
       const isValidPassword = await bcrypt.compare(currentPassword, user.password);
       if (!isValidPassword) {
-        return res.status(401).json({
-          error: 'Current password is incorrect'
+        await auditService.record('PASSWORD_CHANGE_FAILED', {
+          userId,
+          success: false,
+          context: auditService.getRequestContext(req),
+          metadata: { reason: 'Current password is incorrect' }
         });
+        // Like the other password checks, 400 keeps the session alive
+        throw new BadRequestError('Current password is incorrect', 'INVALID_PASSWORD');
       }
 
       // Hash new password
@@ -134,9 +365,11 @@ class UserController {
       });
 
       // Invalidate all tokens to force re-login
-      await prisma.token.updateMany({
-        where: { userId },
-        data: { isValid: false }
+      await tokenService.invalidateAllUserTokens(userId, 'PASSWORD_CHANGED');
+
+      await auditService.record('PASSWORD_CHANGED', {
+        userId,
+        context: auditService.getRequestContext(req)
       });
 
       res.status(200).json({
@@ -151,7 +384,7 @@ class UserController {
     try {
       const userId = req.user.id;
 
-      const result = await authService.deactivateAccount(userId);
+      const result = await authService.deactivateAccount(userId, auditService.getRequestContext(req));
 
       res.status(200).json(result);
     } catch (error) {
@@ -165,9 +398,7 @@ class UserController {
       const { password } = req.body;
 
       if (!password) {
-        return res.status(400).json({
-          error: 'Password confirmation required'
-        });
+        throw new BadRequestError('Password confirmation required', 'PASSWORD_REQUIRED');
       }
 
       // Verify password
@@ -177,9 +408,7 @@ class UserController {
 
       const isValidPassword = await bcrypt.compare(password, user.password);
       if (!isValidPassword) {
-        return res.status(401).json({
-          error: 'Invalid password'
-        });
+        throw new BadRequestError('Invalid password', 'INVALID_PASSWORD');
       }
 
       // Delete user and all related data (cascade will handle tokens)
@@ -187,6 +416,15 @@ class UserController {
         where: { id: userId }
       });
 
+      sessionEventService.publish(userId, 'account.deactivated', { reason: 'ACCOUNT_DELETED' });
+
+      // Audit events are kept; the username is stored since the user row is gone
+      await auditService.record('ACCOUNT_DELETED', {
+        userId,
+        username: user.username,
+        context: auditService.getRequestContext(req)
+      });
+
       res.status(200).json({
         message: 'Account deleted successfully'
       });
@@ -0,0 +1,75 @@
+const jobsConfig = require('../config/jobs');
+const tokenService = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const deviceService = require('../services/deviceService');
+const challengeService = require('../services/challengeService');
+const passwordResetService = require('../services/passwordResetService');
+const emailVerificationService = require('../services/emailVerificationService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
+const signingKeyService = require('../services/signingKeyService');
+
+// Each handler returns a small summary that ends up on the job status endpoint
+const jobs = [
+  {
+    name: 'purge-expired-tokens',
+    intervalMs: jobsConfig.intervals.purgeExpiredTokens,
+    handler: async () => ({
+      // Expired access and refresh tokens
+      expired: await tokenService.cleanupExpiredTokens(),
+      // Access tokens revoked more than a week ago
+      revoked: await deviceService.cleanupExpiredTokens(),
+      // Details of sessions that were not refreshed in time
+      sessions: await sessionService.cleanupStaleSessions()
+    })
+  },
+  {
+    name: 'purge-device-challenges',
+    intervalMs: jobsConfig.intervals.purgeDeviceChallenges,
+    handler: async () => ({
+      removed: await challengeService.cleanupChallenges()
+    })
+  },
+  {
+    name: 'purge-email-codes',
+    intervalMs: jobsConfig.intervals.purgeEmailCodes,
+    handler: async () => ({
+      passwordReset: await passwordResetService.cleanupExpiredTokens(),
+      emailVerification: await emailVerificationService.cleanupExpiredTokens()
+    })
+  },
+  {
+    name: 'purge-login-throttles',
+    intervalMs: jobsConfig.intervals.purgeLoginThrottles,
+    handler: async () => ({
+      removed: await loginThrottleService.cleanupStaleThrottles()
+    })
+  },
+  {
+    name: 'purge-audit-events',
+    intervalMs: jobsConfig.intervals.purgeAuditEvents,
+    handler: async () => {
+      if (!jobsConfig.auditRetentionDays) {
+        return { skipped: 'AUDIT_RETENTION_DAYS not set' };
+      }
+      return {
+        removed: await auditService.purgeOlderThan(jobsConfig.auditRetentionDays)
+      };
+    }
+  },
+  {
+    name: 'rotate-signing-keys',
+    intervalMs: jobsConfig.intervals.rotateSigningKeys,
+    handler: async () => signingKeyService.rotateKeys()
+  }
+];
+
+/**
+ * Register the built-in maintenance jobs
+ * @param {Object} scheduler - schedulerService
+ */
+const registerJobs = (scheduler) => {
+  jobs.forEach(job => scheduler.register(job));
+};
+
+module.exports = { registerJobs };
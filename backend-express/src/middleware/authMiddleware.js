@@ -1,6 +1,10 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
 const { verifyToken } = require('../utils/jwt');
+const auditService = require('../services/auditService');
+const tokenService = require('../services/tokenService');
+const emailVerificationService = require('../services/emailVerificationService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -8,7 +12,7 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({ error: 'Access token required' });
+      throw new UnauthorizedError('Access token required', 'TOKEN_REQUIRED');
     }
 
     // Verify JWT token
@@ -16,12 +20,35 @@ const authenticateToken = async (req, res, next) => {
     
     // Check if token exists in database and is valid
     const tokenRecord = await prisma.token.findUnique({
-      where: { token },
+      where: { tokenHash: tokenService.hashAccessToken(token) },
       include: { user: true },
     });
 
     if (!tokenRecord || !tokenRecord.isValid) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+      // Tell a device that lost its binding why, so it can show a proper message
+      if (tokenRecord) {
+        await auditService.record('TOKEN_REJECTED', {
+          userId: tokenRecord.userId,
+          success: false,
+          context: auditService.getRequestContext(req),
+          metadata: { reason: 'Token revoked', path: req.originalUrl }
+        });
+
+        const device = await prisma.device.findUnique({
+          where: {
+            userId_identifier: {
+              userId: tokenRecord.userId,
+              identifier: tokenRecord.deviceHash
+            }
+          }
+        });
+
+        if (device && device.revokedReason === 'TRANSFERRED') {
+          throw new UnauthorizedError('This account has been moved to another device', 'DEVICE_TRANSFERRED');
+        }
+      }
+
+      throw new UnauthorizedError('Invalid or expired token', 'TOKEN_REVOKED');
     }
 
     // Check if token is expired
@@ -31,16 +58,47 @@ const authenticateToken = async (req, res, next) => {
         where: { id: tokenRecord.id },
         data: { isValid: false },
       });
-      return res.status(401).json({ error: 'Token expired' });
+      await auditService.record('TOKEN_REJECTED', {
+        userId: tokenRecord.userId,
+        success: false,
+        context: auditService.getRequestContext(req),
+        metadata: { reason: 'Token expired', path: req.originalUrl }
+      });
+      throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
     }
 
     req.user = tokenRecord.user;
     req.token = tokenRecord;
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
-    return res.status(403).json({ error: 'Invalid token' });
+    // Signature and expiry failures arrive as 401s from verifyToken
+    next(error);
+  }
+};
+
+/**
+ * Allow only users with one of the given roles. Must run after authenticateToken.
+ * @param {...string} roles - Role names, e.g. 'admin'
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => {
+  const allowed = roles.map(role => role.toUpperCase());
+
+  return (req, res, next) => {
+    if (!req.user || !allowed.includes(req.user.role)) {
+      return next(new ForbiddenError('Insufficient permissions', 'INSUFFICIENT_PERMISSIONS'));
+    }
+    next();
+  };
+};
+
+// Must run after authenticateToken. With the 'limit' policy this is what
+// keeps unverified accounts away from features that trust the address.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!emailVerificationService.isSatisfied(req.user)) {
+    return next(new ForbiddenError('Please verify your email address first', 'EMAIL_NOT_VERIFIED'));
   }
+  next();
 };
 
-module.exports = { authenticateToken };
+module.exports = { authenticateToken, requireRole, requireVerifiedEmail };
@@ -1,47 +1,61 @@
-const errorMiddleware = (err, req, res, next) => {
-  console.error('Error:', err);
+const { AppError } = require('../utils/errors');
 
-  // Default error
-  let error = {
-    message: err.message || 'Internal Server Error',
-    status: err.status || 500,
-  };
+/**
+ * Turn an error into the public { error, code } shape. Anything that is not
+ * an AppError or a known library error is reported as a bare 500, since its
+ * message may describe internals.
+ * @param {Error} err - Error passed to next()
+ * @returns {Object} - { message, status, code, details? }
+ */
+const toPublicError = (err) => {
+  if (err instanceof AppError) {
+    return {
+      message: err.message,
+      status: err.status,
+      code: err.code,
+      details: err.details,
+    };
+  }
 
-  // Prisma errors
+  // Prisma unique constraint violation
   if (err.code === 'P2002') {
-    error = {
+    return {
       message: 'Duplicate entry. This record already exists.',
       status: 409,
+      code: 'DUPLICATE_ENTRY',
     };
   }
 
-  // JWT errors
-  if (err.name === 'JsonWebTokenError') {
-    error = {
-      message: 'Invalid token',
-      status: 401,
+  // Errors meant for the client, e.g. malformed JSON from express.json()
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return {
+      message: err.message,
+      status: err.status,
+      code: err.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'BAD_REQUEST',
     };
   }
 
-  if (err.name === 'TokenExpiredError') {
-    error = {
-      message: 'Token expired',
-      status: 401,
-    };
-  }
+  return {
+    message: 'Internal Server Error',
+    status: 500,
+    code: 'INTERNAL_ERROR',
+  };
+};
 
-  // Validation errors
-  if (err.name === 'ValidationError') {
-    error = {
-      message: 'Validation failed',
-      status: 400,
-      details: err.details,
-    };
+const errorMiddleware = (err, req, res, next) => {
+  console.error('Error:', err);
+
+  const error = toPublicError(err);
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
   }
 
   // Send error response
   res.status(error.status).json({
     error: error.message,
+    code: error.code,
+    ...(err.retryAfter && { retryAfter: err.retryAfter }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     ...(error.details && { details: error.details }),
   });
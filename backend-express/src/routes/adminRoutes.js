@@ -0,0 +1,122 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { authenticateToken, requireRole } = require('../middleware/authMiddleware');
+const { param } = require('express-validator');
+const {
+  validateAuditQuery,
+  validateUserIdParam,
+  validateAdminUserQuery,
+  validateRoleChange,
+  validateDeviceReset,
+  validateDevicePolicy,
+  validateDeviceReview,
+  handleValidationErrors
+} = require('../utils/validators');
+
+const router = express.Router();
+
+// All admin routes require an authenticated administrator
+router.use(authenticateToken, requireRole('admin'));
+
+// Security audit log across all users
+router.get('/audit',
+  validateAuditQuery,
+  handleValidationErrors,
+  adminController.getAuditEvents
+);
+
+// Token and device counts
+router.get('/stats', adminController.getStats);
+
+// Background maintenance jobs
+router.get('/jobs', adminController.getJobs);
+
+router.post('/jobs/:name/run',
+  param('name').matches(/^[a-z-]{1,64}$/).withMessage('Invalid job name'),
+  handleValidationErrors,
+  adminController.runJob
+);
+
+// User management
+router.get('/users',
+  validateAdminUserQuery,
+  handleValidationErrors,
+  adminController.listUsers
+);
+
+router.get('/users/:id',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.getUser
+);
+
+router.get('/users/:id/sessions',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.getUserSessions
+);
+
+router.post('/users/:id/force-logout',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.forceLogoutUser
+);
+
+router.post('/users/:id/deactivate',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.deactivateUser
+);
+
+router.post('/users/:id/reactivate',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.reactivateUser
+);
+
+// Release the device binding so the user can log in from a new device
+router.post('/users/:id/reset-device',
+  validateDeviceReset,
+  handleValidationErrors,
+  adminController.resetDevices
+);
+
+// Device limits of one user, and devices waiting for approval
+router.get('/users/:id/device-policy',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.getDevicePolicy
+);
+
+router.put('/users/:id/device-policy',
+  validateDevicePolicy,
+  handleValidationErrors,
+  adminController.setDevicePolicy
+);
+
+router.post('/users/:id/devices/:deviceId/approve',
+  validateDeviceReview,
+  handleValidationErrors,
+  adminController.approveDevice
+);
+
+router.post('/users/:id/devices/:deviceId/reject',
+  validateDeviceReview,
+  handleValidationErrors,
+  adminController.rejectDevice
+);
+
+router.put('/users/:id/role',
+  validateRoleChange,
+  handleValidationErrors,
+  adminController.setRole
+);
+
+// Clear login failures and lift a lockout
+router.post('/users/:id/unlock',
+  validateUserIdParam,
+  handleValidationErrors,
+  adminController.unlockUser
+);
+
+module.exports = router;
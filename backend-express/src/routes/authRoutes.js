@@ -1,20 +1,74 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
+const authConfig = require('../config/auth');
 const authController = require('../controllers/authController');
 const { authenticateToken } = require('../middleware/authMiddleware');
 const {
   validateRegistration,
   validateLogin,
+  validateUsernameCheck,
+  validateEmailCheck,
+  validateRefreshToken,
   validateDeviceHash,
   validateDeviceHashOptional,
+  validateDeviceProof,
+  validateTransferConfirm,
+  validateUnlockToken,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateTwoFactorLogin,
+  validateTransferSecondFactor,
   handleValidationErrors
 } = require('../utils/validators');
 
 const router = express.Router();
 
+// Availability checks are cheap to call in a loop, so they get a much
+// tighter limit than the global one to slow down account enumeration
+const availabilityLimiter = rateLimit({
+  windowMs: authConfig.availabilityCheck.windowMs,
+  max: authConfig.availabilityCheck.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many availability checks, please try again later.', code: 'RATE_LIMITED' },
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: authConfig.passwordReset.windowMs,
+  max: authConfig.passwordReset.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many password reset requests, please try again later.', code: 'RATE_LIMITED' },
+});
+
+const emailVerificationLimiter = rateLimit({
+  windowMs: authConfig.emailVerification.windowMs,
+  max: authConfig.emailVerification.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many verification emails requested, please try again later.', code: 'RATE_LIMITED' },
+});
+
+// Each transfer only allows a few code attempts, so without this a client
+// could start transfer after transfer and keep guessing
+const deviceTransferLimiter = rateLimit({
+  windowMs: authConfig.deviceTransfer.windowMs,
+  max: authConfig.deviceTransfer.max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many device transfer attempts, please try again later.', code: 'RATE_LIMITED' },
+});
+
 // Public routes
+router.post('/challenge',
+  authController.challenge
+);
+
 router.post('/register',
   validateRegistration,
   validateDeviceHash,
+  validateDeviceProof,
   handleValidationErrors,
   authController.register
 );
@@ -22,10 +76,98 @@ router.post('/register',
 router.post('/login',
   validateLogin,
   validateDeviceHash,
+  validateDeviceProof,
   handleValidationErrors,
   authController.login
 );
 
+// Second login step for accounts with two-factor authentication
+router.post('/login/2fa',
+  validateDeviceHash,
+  validateDeviceProof,
+  validateTwoFactorLogin,
+  handleValidationErrors,
+  authController.loginWithTwoFactor
+);
+
+router.post('/device-transfer/request',
+  deviceTransferLimiter,
+  validateLogin,
+  validateDeviceHash,
+  validateDeviceProof,
+  validateTransferSecondFactor,
+  handleValidationErrors,
+  authController.requestDeviceTransfer
+);
+
+router.post('/device-transfer/confirm',
+  deviceTransferLimiter,
+  validateTransferConfirm,
+  validateDeviceHash,
+  validateDeviceProof,
+  handleValidationErrors,
+  authController.confirmDeviceTransfer
+);
+
+router.post('/check-username',
+  availabilityLimiter,
+  validateUsernameCheck,
+  handleValidationErrors,
+  authController.checkUsername
+);
+
+router.post('/check-email',
+  availabilityLimiter,
+  validateEmailCheck,
+  handleValidationErrors,
+  authController.checkEmail
+);
+
+// Refresh tokens only work together with a proof from the device they belong to
+router.post('/refresh',
+  validateRefreshToken,
+  validateDeviceHash,
+  validateDeviceProof,
+  handleValidationErrors,
+  authController.refresh
+);
+
+// Password reset by emailed code
+router.post('/forgot-password',
+  passwordResetLimiter,
+  validateForgotPassword,
+  handleValidationErrors,
+  authController.forgotPassword
+);
+
+router.post('/reset-password',
+  passwordResetLimiter,
+  validateResetPassword,
+  handleValidationErrors,
+  authController.resetPassword
+);
+
+// Email verification by emailed code
+router.post('/verify-email',
+  validateVerifyEmail,
+  handleValidationErrors,
+  authController.verifyEmail
+);
+
+router.post('/resend-verification',
+  emailVerificationLimiter,
+  validateForgotPassword,
+  handleValidationErrors,
+  authController.resendVerification
+);
+
+// Lift a login lockout with the code from the unlock email
+router.post('/unlock',
+  validateUnlockToken,
+  handleValidationErrors,
+  authController.unlockAccount
+);
+
 router.get('/verify',
   authController.verify
 );
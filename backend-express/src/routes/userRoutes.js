@@ -1,22 +1,21 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const { authenticateToken } = require('../middleware/authMiddleware');
-const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { body } = require('express-validator');
+const {
+  validateDeviceHash,
+  validateDeviceProof,
+  validateDeviceChange,
+  validateAuditPagination,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateSessionRename,
+  validateDeviceRename,
+  handleValidationErrors
+} = require('../utils/validators');
 
 const router = express.Router();
 
-// Import handleValidationErrors from validators
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array(),
-    });
-  }
-  next();
-};
-
 // All user routes require authentication
 router.use(authenticateToken);
 
@@ -37,10 +36,74 @@ router.put('/password',
   userController.changePassword
 );
 
+// Two-factor authentication
+router.post('/2fa/setup', requireVerifiedEmail, userController.setupTwoFactor);
+
+router.post('/2fa/verify',
+  validateTwoFactorCode,
+  handleValidationErrors,
+  userController.verifyTwoFactor
+);
+
+router.post('/2fa/disable',
+  validateTwoFactorDisable,
+  handleValidationErrors,
+  userController.disableTwoFactor
+);
+
 // Device and session info
 router.get('/device/info', userController.getDeviceInfo);
+
+router.post('/device/transfer',
+  requireVerifiedEmail,
+  validateDeviceChange,
+  handleValidationErrors,
+  userController.startDeviceTransfer
+);
+
+// Extend the binding of this session's device with a fresh device proof
+router.post('/device/renew',
+  validateDeviceHash,
+  validateDeviceProof,
+  handleValidationErrors,
+  userController.renewDeviceBinding
+);
+
 router.get('/sessions', userController.getActiveSessions);
 
+// Names the user gives a session or device to tell them apart
+router.patch('/sessions/:id',
+  validateSessionRename,
+  handleValidationErrors,
+  userController.renameSession
+);
+
+router.patch('/devices/:id',
+  validateDeviceRename,
+  handleValidationErrors,
+  userController.renameDevice
+);
+
+// Server-sent events telling this device its session ended
+router.get('/events', userController.streamSessionEvents);
+
+// Password check to unlock the idle desktop app; the session stays as it is
+router.post('/reauth',
+  body('password').notEmpty().withMessage('Password is required'),
+  handleValidationErrors,
+  userController.reauthenticate
+);
+
+// Signed lease for offline use of the desktop app on this device
+router.post('/lease', userController.issueOfflineLease);
+
+// Security audit log
+router.get('/audit',
+  validateAuditPagination,
+  handleValidationErrors,
+  userController.getAuditEvents
+);
+
 // Account management
 router.post('/deactivate', userController.deactivateAccount);
 
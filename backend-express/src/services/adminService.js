@@ -0,0 +1,182 @@
+const { prisma } = require('../config/database');
+const authConfig = require('../config/auth');
+const deviceService = require('./deviceService');
+const tokenService = require('./tokenService');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Never return password hashes or 2FA secrets to the admin API
+const USER_SUMMARY = {
+  id: true,
+  username: true,
+  email: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  lastLogin: true,
+  createdAt: true
+};
+
+class AdminService {
+  getPagination({ page, limit } = {}) {
+    const { defaultPageSize, maxPageSize } = authConfig.admin;
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || defaultPageSize, 1), maxPageSize);
+
+    return {
+      page: currentPage,
+      limit: pageSize,
+      skip: (currentPage - 1) * pageSize
+    };
+  }
+
+  /**
+   * List users, newest first
+   * @param {Object} filters - { search, role, isActive }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { users, pagination }
+   */
+  async listUsers(filters = {}, options = {}) {
+    try {
+      const { page, limit, skip } = this.getPagination(options);
+      const where = {
+        ...(filters.search && {
+          OR: [
+            { username: { contains: filters.search } },
+            { email: { contains: filters.search } }
+          ]
+        }),
+        ...(filters.role && { role: filters.role }),
+        ...(filters.isActive !== undefined && { isActive: filters.isActive })
+      };
+
+      const [users, total] = await Promise.all([
+        prisma.user.findMany({
+          where,
+          select: USER_SUMMARY,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take: limit
+        }),
+        prisma.user.count({ where })
+      ]);
+
+      return {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('List users error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a user or fail with 404
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - User summary
+   */
+  async findUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: USER_SUMMARY
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * User summary together with all of their devices
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - { user, activeDevices, devices }
+   */
+  async getUserDetails(userId) {
+    try {
+      const user = await this.findUser(userId);
+      const deviceInfo = await deviceService.getDeviceInfo(userId);
+
+      return { user, ...deviceInfo };
+    } catch (error) {
+      console.error('Get user details error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's role. Admins cannot change their own role, so the
+   * last admin cannot lock everyone out by accident.
+   * @param {number} adminId - Admin making the change
+   * @param {number} userId - User ID
+   * @param {string} role - New role (USER or ADMIN)
+   * @returns {Promise<Object>} - { user, previousRole }
+   */
+  async setRole(adminId, userId, role) {
+    try {
+      if (adminId === userId) {
+        throw new BadRequestError('You cannot change your own role', 'OWN_ROLE_CHANGE');
+      }
+
+      const existing = await this.findUser(userId);
+
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: { role },
+        select: USER_SUMMARY
+      });
+
+      return { user, previousRole: existing.role };
+    } catch (error) {
+      console.error('Set role error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a user's device binding so the next device that logs in is
+   * adopted. Without a deviceId every active device is released.
+   * @param {number} userId - User ID
+   * @param {number} [deviceId] - Single device to release
+   * @returns {Promise<number>} - Number of devices revoked
+   */
+  async resetDevices(userId, deviceId) {
+    try {
+      await this.findUser(userId);
+
+      const result = await prisma.device.updateMany({
+        where: {
+          userId,
+          status: 'ACTIVE',
+          ...(deviceId && { id: deviceId })
+        },
+        data: {
+          status: 'REVOKED',
+          revokedAt: new Date(),
+          revokedReason: 'ADMIN_RESET'
+        }
+      });
+
+      if (deviceId && result.count === 0) {
+        throw new NotFoundError('Active device not found for this user', 'DEVICE_NOT_FOUND');
+      }
+
+      // Sessions belong to the released binding
+      await tokenService.invalidateAllUserTokens(userId, 'DEVICE_RESET');
+
+      return result.count;
+    } catch (error) {
+      console.error('Reset devices error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,179 @@
+const { prisma } = require('../config/database');
+const authConfig = require('../config/auth');
+
+const EVENT_TYPES = [
+  'REGISTER',
+  'LOGIN_SUCCESS',
+  'LOGIN_FAILED',
+  'DEVICE_MISMATCH',
+  'LOGOUT',
+  'FORCE_LOGOUT',
+  'LOGOUT_OTHER_DEVICES',
+  'TOKEN_REJECTED',
+  'PASSWORD_CHANGED',
+  'PASSWORD_CHANGE_FAILED',
+  'PASSWORD_RESET_REQUESTED',
+  'PASSWORD_RESET',
+  'EMAIL_VERIFICATION_REQUESTED',
+  'EMAIL_VERIFIED',
+  'ACCOUNT_DEACTIVATED',
+  'ACCOUNT_REACTIVATED',
+  'ACCOUNT_DELETED',
+  'ACCOUNT_LOCKED',
+  'ACCOUNT_UNLOCKED',
+  'TWO_FACTOR_ENABLED',
+  'TWO_FACTOR_DISABLED',
+  'TWO_FACTOR_FAILED',
+  'RECOVERY_CODE_USED',
+  'DEVICE_TRANSFER_STARTED',
+  'DEVICE_TRANSFER_COMPLETED',
+  'DEVICE_RESET',
+  'DEVICE_EVICTED',
+  'DEVICE_APPROVAL_REQUESTED',
+  'DEVICE_APPROVED',
+  'DEVICE_REJECTED',
+  'DEVICE_POLICY_CHANGED',
+  'ROLE_CHANGED',
+  'OFFLINE_LEASE_ISSUED',
+  'DEVICE_BINDING_RENEWED',
+  'DEVICE_BINDING_EXPIRED',
+  'SESSION_UNLOCKED',
+  'SESSION_UNLOCK_FAILED',
+];
+
+class AuditService {
+  constructor() {
+    this.eventTypes = EVENT_TYPES;
+  }
+
+  /**
+   * Pick the request details stored with every audit event
+   * @param {Object} req - Express request
+   * @returns {Object} - { ipAddress, userAgent }
+   */
+  getRequestContext(req) {
+    const userAgent = req.get('user-agent');
+
+    return {
+      ipAddress: req.ip || null,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null
+    };
+  }
+
+  /**
+   * Record a security event. Failures are logged and swallowed so auditing
+   * never breaks the request that triggered it.
+   * @param {string} event - One of eventTypes
+   * @param {Object} details - { userId, username, success, context, metadata }
+   * @returns {Promise<void>}
+   */
+  async record(event, { userId = null, username = null, success = true, context = {}, metadata } = {}) {
+    try {
+      await prisma.auditEvent.create({
+        data: {
+          event,
+          userId,
+          username,
+          success,
+          ipAddress: context.ipAddress || null,
+          userAgent: context.userAgent || null,
+          ...(metadata && { metadata })
+        }
+      });
+    } catch (error) {
+      console.error('Audit record error:', error);
+    }
+  }
+
+  /**
+   * Delete events older than the retention period
+   * @param {number} days - Retention period in days
+   * @returns {Promise<number>} - Number of events deleted
+   */
+  async purgeOlderThan(days) {
+    const result = await prisma.auditEvent.deleteMany({
+      where: {
+        createdAt: { lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Normalize page/limit query values
+   * @param {Object} options - { page, limit }
+   * @returns {Object} - { page, limit, skip }
+   */
+  getPagination({ page, limit } = {}) {
+    const { defaultPageSize, maxPageSize } = authConfig.audit;
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || defaultPageSize, 1), maxPageSize);
+
+    return {
+      page: currentPage,
+      limit: pageSize,
+      skip: (currentPage - 1) * pageSize
+    };
+  }
+
+  /**
+   * Query audit events, newest first
+   * @param {Object} filters - { userId, username, event, success, ipAddress, from, to }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { events, pagination }
+   */
+  async queryEvents(filters = {}, options = {}) {
+    try {
+      const { page, limit, skip } = this.getPagination(options);
+      const where = {
+        ...(filters.userId !== undefined && { userId: filters.userId }),
+        ...(filters.username && { username: filters.username }),
+        ...(filters.event && { event: filters.event }),
+        ...(filters.success !== undefined && { success: filters.success }),
+        ...(filters.ipAddress && { ipAddress: filters.ipAddress }),
+        ...((filters.from || filters.to) && {
+          createdAt: {
+            ...(filters.from && { gte: filters.from }),
+            ...(filters.to && { lte: filters.to })
+          }
+        })
+      };
+
+      const [events, total] = await Promise.all([
+        prisma.auditEvent.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take: limit
+        }),
+        prisma.auditEvent.count({ where })
+      ]);
+
+      return {
+        events,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Audit query error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's own audit events
+   * @param {number} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { events, pagination }
+   */
+  async getUserEvents(userId, options = {}) {
+    return await this.queryEvents({ userId }, options);
+  }
+}
+
+module.exports = new AuditService();
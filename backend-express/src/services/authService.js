@@ -3,6 +3,21 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const tokenService = require('./tokenService');
 const deviceService = require('./deviceService');
+const deviceTransferService = require('./deviceTransferService');
+const devicePolicyService = require('./devicePolicyService');
+const auditService = require('./auditService');
+const sessionEventService = require('./sessionEventService');
+const sessionService = require('./sessionService');
+const loginThrottleService = require('./loginThrottleService');
+const twoFactorService = require('./twoFactorService');
+const emailVerificationService = require('./emailVerificationService');
+const authConfig = require('../config/auth');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  ConflictError
+} = require('../utils/errors');
 
 class AuthService {
   /**
@@ -10,18 +25,18 @@ class AuthService {
    * @param {Object} userData - User registration data
    * @returns {Promise<Object>} - Registration result
    */
-  async register({ username, email, password, deviceHash }) {
+  async register({ username, email, password, deviceHash, publicKey, challengeId, signature, deviceInfo, context }) {
     try {
       // Validate device hash
       if (!deviceService.isValidDeviceHash(deviceHash)) {
-        throw new Error('Invalid device hash format');
+        throw new BadRequestError('Invalid device hash format', 'INVALID_DEVICE_HASH');
       }
 
-      // Check if device is already in use by another user
-      const deviceInUse = await deviceService.isDeviceHashInUse(deviceHash);
-      if (deviceInUse) {
-        throw new Error('Device is already registered to another user');
-      }
+      // Prove the caller holds the private key for the device being registered
+      await deviceService.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
+      // Check the device is not bound to as many accounts as allowed already
+      await devicePolicyService.assertDeviceAvailable(deviceHash);
 
       // Check if user already exists
       const existingUser = await prisma.user.findFirst({
@@ -35,10 +50,10 @@ class AuthService {
 
       if (existingUser) {
         if (existingUser.username === username) {
-          throw new Error('Username already exists');
+          throw new ConflictError('Username already exists', 'USERNAME_TAKEN');
         }
         if (existingUser.email === email) {
-          throw new Error('Email already exists');
+          throw new ConflictError('Email already exists', 'EMAIL_TAKEN');
         }
       }
 
@@ -58,21 +73,49 @@ class AuthService {
         }
       });
 
-      // Generate token
-      const token = await tokenService.generateToken(
+      // Register the signing device as the account's first device
+      const device = await deviceService.registerDevice(user.id, { deviceHash, publicKey, deviceInfo });
+
+      await auditService.record('REGISTER', {
+        userId: user.id,
+        username,
+        context,
+        metadata: { deviceId: device.id }
+      });
+
+      // The account exists either way; the user can ask for another email later
+      try {
+        await emailVerificationService.sendVerification(user);
+      } catch (error) {
+        console.error('Send verification email error:', error);
+      }
+
+      const registeredUser = {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
+      };
+
+      // No session until the address is verified
+      if (emailVerificationService.blocksLogin()) {
+        return { user: registeredUser, emailVerificationRequired: true };
+      }
+
+      // Generate access and refresh tokens
+      const { token, refreshToken } = await sessionService.startSession(
         user.id,
-        deviceService.generateDeviceHash(deviceHash)
+        deviceService.generateDeviceHash(deviceHash),
+        { deviceInfo, context }
       );
 
       return {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          isActive: user.isActive,
-          createdAt: user.createdAt
-        },
-        token
+        user: registeredUser,
+        token,
+        refreshToken,
+        deviceBinding: deviceService.getBindingStatus(device)
       };
     } catch (error) {
       console.error('Registration error:', error);
@@ -81,79 +124,561 @@ class AuthService {
   }
 
   /**
-   * Login user
+   * Check whether a username can still be registered
+   * @param {string} username - Username to check
+   * @returns {Promise<boolean>} - True if available
+   */
+  async isUsernameAvailable(username) {
+    try {
+      const existingUser = await prisma.user.findUnique({
+        where: { username },
+        select: { id: true }
+      });
+
+      return !existingUser;
+    } catch (error) {
+      console.error('Username availability check error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an email address can still be registered
+   * @param {string} email - Normalized email address to check
+   * @returns {Promise<boolean>} - True if available
+   */
+  async isEmailAvailable(email) {
+    try {
+      const existingUser = await prisma.user.findUnique({
+        where: { email },
+        select: { id: true }
+      });
+
+      return !existingUser;
+    } catch (error) {
+      console.error('Email availability check error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an active user by username or email
+   * @param {string} username - Username or email
+   * @param {string} processedHash - Processed device hash of the caller, for failure throttling
+   * @returns {Promise<Object>} - User record
+   */
+  async findActiveUser(username, processedHash) {
+    await loginThrottleService.assertCanAttempt(loginThrottleService.deviceSubject(processedHash));
+
+    const user = await prisma.user.findFirst({
+      where: {
+        OR: [
+          { username },
+          { email: username } // Allow login with email
+        ],
+        isActive: true
+      }
+    });
+
+    if (!user) {
+      await loginThrottleService.recordFailedLogin(null, processedHash);
+      throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+
+    return user;
+  }
+
+  /**
+   * Check a plain text password against the user's hash. Repeated failures
+   * delay further attempts and eventually lock the account.
+   * @param {Object} user - User record
+   * @param {string} password - Plain text password
+   * @param {string} processedHash - Processed device hash of the caller
+   * @returns {Promise<void>}
+   */
+  async verifyPassword(user, password, processedHash) {
+    await loginThrottleService.assertCanAttempt(loginThrottleService.userSubject(user.id));
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (!isPasswordValid) {
+      await loginThrottleService.recordFailedLogin(user, processedHash);
+      throw new UnauthorizedError('Invalid credentials', 'INVALID_CREDENTIALS');
+    }
+
+    await loginThrottleService.clearFailedLogins(user.id, processedHash);
+  }
+
+  /**
+   * Confirm the password of a signed-in user, e.g. to unlock the idle app.
+   * Failures count towards the same lockout as failed logins; the session
+   * itself is left alone either way.
+   * @param {Object} user - Authenticated user record
+   * @param {string} password - Plain text password
+   * @param {string} processedHash - Processed device hash of the session
+   * @param {Object} [context] - Request context for the audit log
+   * @returns {Promise<void>}
+   */
+  async reauthenticate(user, password, processedHash, context) {
+    try {
+      await this.verifyPassword(user, password, processedHash);
+    } catch (error) {
+      await auditService.record('SESSION_UNLOCK_FAILED', {
+        userId: user.id,
+        success: false,
+        context,
+        metadata: { reason: error.message }
+      });
+
+      // Lockouts stay as they are; a wrong password is 400 so the client
+      // does not take it for an expired session
+      throw error.code === 'INVALID_CREDENTIALS'
+        ? new BadRequestError('Invalid password', 'INVALID_PASSWORD')
+        : error;
+    }
+
+    await auditService.record('SESSION_UNLOCKED', {
+      userId: user.id,
+      context
+    });
+  }
+
+  /**
+   * Session rules the desktop app enforces on its own
+   * @returns {Object} - { idleLockMinutes }
+   */
+  getSessionPolicy() {
+    return {
+      idleLockMinutes: authConfig.idleLock.timeoutMinutes
+    };
+  }
+
+  /**
+   * Find an active user by username/email and check the password
+   * @param {string} username - Username or email
+   * @param {string} password - Plain text password
+   * @param {string} processedHash - Processed device hash of the caller
+   * @returns {Promise<Object>} - User record
+   */
+  async findUserByCredentials(username, password, processedHash) {
+    const user = await this.findActiveUser(username, processedHash);
+    await this.verifyPassword(user, password, processedHash);
+    return user;
+  }
+
+  /**
+   * Login user. Accounts with two-factor authentication get a login ticket
+   * instead of tokens and finish with loginWithTwoFactor().
    * @param {Object} loginData - User login data
-   * @returns {Promise<Object>} - Login result
+   * @returns {Promise<Object>} - Login result, or { twoFactorRequired, loginTicket }
    */
-  async login({ username, password, deviceHash }) {
+  async login({ username, password, deviceHash, publicKey, challengeId, signature, deviceInfo, context }) {
+    // Known once the username resolves, so failed attempts land in the user's audit log
+    let user = null;
+
     try {
       // Validate device hash
       if (!deviceService.isValidDeviceHash(deviceHash)) {
-        throw new Error('Invalid device hash format');
+        throw new BadRequestError('Invalid device hash format', 'INVALID_DEVICE_HASH');
+      }
+
+      // Verify the signed challenge before touching the account
+      await deviceService.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
+      // Process device hash
+      const processedHash = deviceService.generateDeviceHash(deviceHash);
+
+      user = await this.findActiveUser(username, processedHash);
+      await this.verifyPassword(user, password, processedHash);
+
+      if (!user.emailVerified && emailVerificationService.blocksLogin()) {
+        throw new ForbiddenError('Please verify your email address before logging in', 'EMAIL_NOT_VERIFIED');
+      }
+
+      if (user.twoFactorEnabled) {
+        return {
+          twoFactorRequired: true,
+          loginTicket: twoFactorService.createLoginTicket(user.id, processedHash)
+        };
+      }
+
+      return await this.completeLogin(user, { deviceHash, publicKey, deviceInfo, username, context });
+    } catch (error) {
+      console.error('Login error:', error);
+      await this.recordLoginFailure(error, user, username, context);
+      throw error;
+    }
+  }
+
+  /**
+   * Second login step for accounts with two-factor authentication
+   * @param {Object} loginData - Login ticket, TOTP or recovery code, and a fresh device proof
+   * @returns {Promise<Object>} - Login result
+   */
+  async loginWithTwoFactor({ loginTicket, code, recoveryCode, deviceHash, publicKey, challengeId, signature, deviceInfo, context }) {
+    let user = null;
+
+    try {
+      await deviceService.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
+      const processedHash = deviceService.generateDeviceHash(deviceHash);
+      const ticket = twoFactorService.verifyLoginTicket(loginTicket);
+
+      // The ticket only finishes a login started on the same device
+      if (ticket.deviceHash !== processedHash) {
+        throw new UnauthorizedError('Two-factor login was started on a different device', 'TWO_FACTOR_DEVICE_MISMATCH');
+      }
+
+      user = await prisma.user.findFirst({
+        where: { id: ticket.userId, isActive: true }
+      });
+      if (!user) {
+        throw new UnauthorizedError('User not found or inactive', 'ACCOUNT_INACTIVE');
+      }
+
+      await this.verifySecondFactor(user, { code, recoveryCode }, processedHash, context);
+
+      return await this.completeLogin(user, {
+        deviceHash,
+        publicKey,
+        deviceInfo,
+        username: user.username,
+        context
+      });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      await this.recordLoginFailure(error, user, user ? user.username : null, context);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP or recovery code, counting failures like wrong passwords
+   * @param {Object} user - User record
+   * @param {Object} factor - { code, recoveryCode }
+   * @param {string} processedHash - Processed device hash of the caller
+   * @param {Object} [context] - Request context for the audit log
+   * @returns {Promise<void>}
+   */
+  async verifySecondFactor(user, { code, recoveryCode }, processedHash, context) {
+    if (!code && !recoveryCode) {
+      throw new UnauthorizedError('Two-factor code required', 'TWO_FACTOR_REQUIRED');
+    }
+
+    await loginThrottleService.assertCanAttempt(loginThrottleService.userSubject(user.id));
+
+    const { valid, usedRecoveryCode } = await twoFactorService.verifySecondFactor(user, {
+      code,
+      recoveryCode
+    });
+
+    if (!valid) {
+      await loginThrottleService.recordFailedLogin(user, processedHash);
+      await auditService.record('TWO_FACTOR_FAILED', {
+        userId: user.id,
+        success: false,
+        context
+      });
+      throw new UnauthorizedError('Invalid two-factor code', 'TWO_FACTOR_INVALID');
+    }
+
+    if (usedRecoveryCode) {
+      await auditService.record('RECOVERY_CODE_USED', {
+        userId: user.id,
+        context,
+        metadata: { remaining: await twoFactorService.countRecoveryCodes(user.id) }
+      });
+    }
+  }
+
+  /**
+   * Bind or check the device and issue tokens once every login factor passed
+   * @param {Object} user - Authenticated user
+   * @param {Object} loginData - { deviceHash, publicKey, deviceInfo, username, context }
+   * @returns {Promise<Object>} - Login result
+   */
+  async completeLogin(user, { deviceHash, publicKey, deviceInfo, username, context }) {
+    const processedHash = deviceService.generateDeviceHash(deviceHash);
+
+    // The account only accepts device keys it has bound
+    const activeDevices = await deviceService.getActiveDevices(user.id);
+    let device = activeDevices.find(
+      activeDevice => activeDevice.identifier === processedHash &&
+        activeDevice.publicKey === publicKey
+    );
+
+    // The old device may have approved a transfer to this one
+    const transfer = !device && activeDevices.length > 0
+      ? await deviceTransferService.findApprovedTransfer(user.id, processedHash)
+      : null;
+
+    if (transfer) {
+      device = await deviceTransferService.completeTransfer(transfer, {
+        deviceHash,
+        publicKey,
+        deviceInfo
+      });
+      await auditService.record('DEVICE_TRANSFER_COMPLETED', {
+        userId: user.id,
+        context,
+        metadata: { transferId: transfer.id, method: transfer.method, deviceId: device.id }
+      });
+    } else if (device) {
+      // The login proof re-attests the device, so an expired binding is renewed here
+      device = await deviceService.attestDevice(device.id, deviceInfo);
+    } else {
+      // A new device: the account's device policy decides whether it is
+      // added, replaces another one, waits for approval or is turned away
+      device = await devicePolicyService.admitDevice(user, activeDevices, { deviceHash, publicKey, deviceInfo }, context);
+    }
+
+    // A new login replaces the previous session of this device. Other
+    // devices keep theirs; nobody is told, the device is signing in anyway.
+    await tokenService.invalidateDeviceTokens(user.id, processedHash, null);
+
+    // Generate new tokens for this device
+    const { token, refreshToken } = await sessionService.startSession(user.id, processedHash, {
+      deviceInfo,
+      context
+    });
+
+    await auditService.record('LOGIN_SUCCESS', {
+      userId: user.id,
+      username,
+      context,
+      metadata: { deviceId: device.id, twoFactor: user.twoFactorEnabled }
+    });
+
+    return {
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        createdAt: user.createdAt
+      },
+      token,
+      refreshToken,
+      deviceBinding: deviceService.getBindingStatus(device)
+    };
+  }
+
+  /**
+   * Write the audit event for a failed login attempt
+   * @param {Error} error - Reason the attempt failed
+   * @param {Object|null} user - User the attempt targeted, if known
+   * @param {string|null} username - Login name that was entered
+   * @param {Object} [context] - Request context for the audit log
+   * @returns {Promise<void>}
+   */
+  async recordLoginFailure(error, user, username, context) {
+    await auditService.record(
+      ['DEVICE_MISMATCH', 'DEVICE_LIMIT_REACHED'].includes(error.code) ? 'DEVICE_MISMATCH' : 'LOGIN_FAILED',
+      {
+        userId: user ? user.id : null,
+        username,
+        success: false,
+        context,
+        metadata: { reason: error.message, code: error.code }
+      }
+    );
+  }
+
+  /**
+   * Start a device transfer from the new device by password + emailed code
+   * @param {Object} transferData - Credentials and device proof of the new device
+   * @returns {Promise<Object>} - { transferId, expiresAt }
+   */
+  async requestDeviceTransfer({
+    username,
+    password,
+    twoFactorCode,
+    recoveryCode,
+    deviceHash,
+    publicKey,
+    challengeId,
+    signature,
+    context
+  }) {
+    try {
+      await deviceService.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
+      const processedHash = deviceService.generateDeviceHash(deviceHash);
+      const user = await this.findUserByCredentials(username, password, processedHash);
+
+      // The code goes to the account's address, which has to be proven first
+      if (!emailVerificationService.isSatisfied(user)) {
+        throw new ForbiddenError('Verify your email address before transferring by email', 'EMAIL_NOT_VERIFIED');
+      }
+
+      // An emailed code alone must not get around the authenticator
+      if (user.twoFactorEnabled) {
+        await this.verifySecondFactor(
+          user,
+          { code: twoFactorCode, recoveryCode },
+          processedHash,
+          context
+        );
       }
 
-      // Find user by username or email
+      const transfer = await deviceTransferService.requestEmailCode(user, deviceHash);
+
+      await auditService.record('DEVICE_TRANSFER_STARTED', {
+        userId: user.id,
+        username,
+        context,
+        metadata: { transferId: transfer.transferId, method: 'EMAIL_CODE' }
+      });
+
+      return transfer;
+    } catch (error) {
+      console.error('Device transfer request error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Complete an emailed-code device transfer and log the new device in
+   * @param {Object} confirmData - Transfer ID, code and device proof of the new device
+   * @returns {Promise<Object>} - Login result for the new device
+   */
+  async confirmDeviceTransfer({ transferId, code, deviceHash, publicKey, challengeId, signature, deviceInfo, context }) {
+    try {
+      await deviceService.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
+      const { userId, device } = await deviceTransferService.confirmEmailCode(transferId, code, {
+        deviceHash,
+        publicKey,
+        deviceInfo
+      });
+
       const user = await prisma.user.findFirst({
-        where: {
-          OR: [
-            { username },
-            { email: username } // Allow login with email
-          ],
-          isActive: true
+        where: { id: userId, isActive: true },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          isActive: true,
+          createdAt: true
         }
       });
-
       if (!user) {
-        throw new Error('Invalid credentials');
+        throw new UnauthorizedError('User not found or inactive', 'ACCOUNT_INACTIVE');
       }
 
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(password, user.password);
-      if (!isPasswordValid) {
-        throw new Error('Invalid credentials');
+      // Sessions left from an earlier binding of this device do not carry over
+      const processedHash = deviceService.generateDeviceHash(deviceHash);
+      await tokenService.invalidateDeviceTokens(user.id, processedHash, null);
+
+      const { token, refreshToken } = await sessionService.startSession(
+        user.id,
+        processedHash,
+        { deviceInfo, context }
+      );
+
+      await auditService.record('DEVICE_TRANSFER_COMPLETED', {
+        userId,
+        context,
+        metadata: { transferId, method: 'EMAIL_CODE', deviceId: device.id }
+      });
+
+      return { user, token, refreshToken, deviceBinding: deviceService.getBindingStatus(device) };
+    } catch (error) {
+      console.error('Device transfer confirmation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a login lockout with the token from the unlock email
+   * @param {string} token - Unlock token
+   * @param {Object} [context] - Request context for the audit log
+   * @returns {Promise<Object>} - Unlock result
+   */
+  async unlockAccount(token, context) {
+    try {
+      const userId = await loginThrottleService.unlockWithToken(token);
+      if (!userId) {
+        throw new BadRequestError('Invalid or expired unlock code', 'UNLOCK_CODE_INVALID');
       }
 
-      // Process device hash
+      await auditService.record('ACCOUNT_UNLOCKED', {
+        userId,
+        context,
+        metadata: { method: 'EMAIL' }
+      });
+
+      return { message: 'Account unlocked. You can log in again.' };
+    } catch (error) {
+      console.error('Account unlock error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @param {string} refreshToken - Refresh token issued at login or last refresh
+   * @param {Object} proof - { deviceHash, publicKey, challengeId, signature } of
+   *   the device the refresh token was issued to
+   * @param {Object} [context] - Request context for the audit log
+   * @returns {Promise<Object>} - Refresh result
+   */
+  async refresh(refreshToken, { deviceHash, publicKey, challengeId, signature }, context) {
+    try {
+      // A stolen refresh token is useless without the device private key
+      await deviceService.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
       const processedHash = deviceService.generateDeviceHash(deviceHash);
 
-      // Ensure no active session exists on a different device
-      const conflictingToken = await prisma.token.findFirst({
-        where: {
-          userId: user.id,
-          isValid: true,
-          expiresAt: {
-            gt: new Date()
-          },
-          deviceHash: {
-            not: processedHash
-          }
+      const result = await tokenService.rotateRefreshToken(refreshToken, processedHash);
+
+      const user = await prisma.user.findUnique({
+        where: { id: result.userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          isActive: true,
+          emailVerified: true,
+          createdAt: true
         }
       });
 
-      if (conflictingToken) {
-        throw new Error(
-          'Device mismatch. This account is registered to a different device.'
-        );
+      if (!user || !user.isActive) {
+        await tokenService.invalidateAllUserTokens(result.userId, 'ACCOUNT_INACTIVE');
+        throw new UnauthorizedError('User not found or inactive', 'ACCOUNT_INACTIVE');
       }
 
-      // Invalidate existing tokens to ensure single session
-      await tokenService.invalidateAllUserTokens(user.id);
+      // Refresh tokens alone cannot keep a device past its binding; it has
+      // to prove its key again by logging in
+      const device = await prisma.device.findUnique({
+        where: {
+          userId_identifier: { userId: user.id, identifier: result.deviceHash }
+        }
+      });
+      const deviceBinding = device ? deviceService.getBindingStatus(device) : null;
 
-      // Generate new token for this device
-      const token = await tokenService.generateToken(user.id, processedHash);
+      if (deviceBinding && deviceBinding.expired) {
+        await tokenService.invalidateDeviceTokens(user.id, result.deviceHash, 'DEVICE_BINDING_EXPIRED');
+        await auditService.record('DEVICE_BINDING_EXPIRED', {
+          userId: user.id,
+          success: false,
+          context,
+          metadata: { deviceId: device.id, expiresAt: deviceBinding.expiresAt.toISOString() }
+        });
+        throw new UnauthorizedError('Device binding expired. Log in again to renew it.', 'DEVICE_BINDING_EXPIRED');
+      }
+
+      await sessionService.touchSession(result.familyId);
 
       return {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          isActive: user.isActive,
-          createdAt: user.createdAt
-        },
-        token
+        user,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        deviceBinding
       };
     } catch (error) {
-      console.error('Login error:', error);
+      console.error('Token refresh error:', error);
       throw error;
     }
   }
@@ -161,11 +686,23 @@ class AuthService {
   /**
    * Logout user
    * @param {string} token - JWT token to invalidate
+   * @param {string} [refreshToken] - Refresh token of the session to revoke
+   * @param {Object} [context] - Request context for the audit log
    * @returns {Promise<Object>} - Logout result
    */
-  async logout(token) {
+  async logout(token, refreshToken, context) {
     try {
       await tokenService.invalidateToken(token);
+      if (refreshToken) {
+        await tokenService.revokeRefreshToken(refreshToken);
+      }
+
+      const decoded = jwt.decode(token);
+      await auditService.record('LOGOUT', {
+        userId: decoded ? decoded.userId : null,
+        context
+      });
+
       return { message: 'Logout successful' };
     } catch (error) {
       console.error('Logout error:', error);
@@ -176,11 +713,14 @@ class AuthService {
   /**
    * Force logout user from all devices
    * @param {number} userId - User ID
+   * @param {Object} [context] - Request context for the audit log
+   * @param {Object} [metadata] - Extra audit details, e.g. the acting admin
    * @returns {Promise<Object>} - Force logout result
    */
-  async forceLogout(userId) {
+  async forceLogout(userId, context, metadata) {
     try {
-      await tokenService.invalidateAllUserTokens(userId);
+      await tokenService.invalidateAllUserTokens(userId, 'FORCE_LOGOUT');
+      await auditService.record('FORCE_LOGOUT', { userId, context, metadata });
       return { message: 'Force logout successful - all devices logged out' };
     } catch (error) {
       console.error('Force logout error:', error);
@@ -192,13 +732,15 @@ class AuthService {
    * Logout from other devices
    * @param {number} userId - User ID
    * @param {string} deviceHash - Current device hash to keep active
+   * @param {Object} [context] - Request context for the audit log
    * @returns {Promise<Object>} - Logout result
    */
-  async logoutFromOtherDevices(userId, deviceHash) {
+  async logoutFromOtherDevices(userId, deviceHash, context) {
     try {
       const processedDeviceHash = deviceService.generateDeviceHash(deviceHash);
 
       await tokenService.invalidateOtherDeviceTokens(userId, processedDeviceHash);
+      await auditService.record('LOGOUT_OTHER_DEVICES', { userId, context });
 
       return {
         message: 'Successfully logged out from other devices',
@@ -232,7 +774,7 @@ class AuthService {
       });
 
       if (!user || !user.isActive) {
-        throw new Error('User not found or inactive');
+        throw new UnauthorizedError('User not found or inactive', 'ACCOUNT_INACTIVE');
       }
 
       return {
@@ -246,55 +788,19 @@ class AuthService {
     }
   }
 
-  /**
-   * Get active sessions for user
-   * @param {number} userId - User ID
-   * @returns {Promise<Array>} - Active sessions
-   */
-  async getActiveSessions(userId) {
-    try {
-      const tokens = await prisma.token.findMany({
-        where: {
-          userId,
-          isValid: true,
-          expiresAt: {
-            gt: new Date()
-          }
-        },
-        select: {
-          id: true,
-          deviceHash: true,
-          createdAt: true,
-          expiresAt: true,
-          lastUsed: true
-        },
-        orderBy: {
-          lastUsed: 'desc'
-        }
-      });
-
-      return tokens.map(token => ({
-        id: token.id,
-        deviceId: token.deviceHash.substring(0, 8) + '...' + token.deviceHash.substring(token.deviceHash.length - 8),
-        createdAt: token.createdAt,
-        expiresAt: token.expiresAt,
-        lastUsed: token.lastUsed
-      }));
-    } catch (error) {
-      console.error('Get active sessions error:', error);
-      throw error;
-    }
-  }
-
   /**
    * Deactivate user account
    * @param {number} userId - User ID
+   * @param {Object} [context] - Request context for the audit log
+   * @param {Object} [metadata] - Extra audit details, e.g. the acting admin
    * @returns {Promise<Object>} - Deactivation result
    */
-  async deactivateAccount(userId) {
+  async deactivateAccount(userId, context, metadata) {
     try {
-      // Invalidate all tokens
-      await tokenService.invalidateAllUserTokens(userId);
+      // Invalidate all tokens. The devices get account.deactivated instead
+      // of a plain revocation, so they can tell the user why.
+      await tokenService.invalidateAllUserTokens(userId, null);
+      sessionEventService.publish(userId, 'account.deactivated', { reason: 'ACCOUNT_DEACTIVATED' });
 
       // Deactivate user
       await prisma.user.update({
@@ -305,6 +811,8 @@ class AuthService {
         }
       });
 
+      await auditService.record('ACCOUNT_DEACTIVATED', { userId, context, metadata });
+
       return { message: 'Account deactivated successfully' };
     } catch (error) {
       console.error('Deactivate account error:', error);
@@ -315,9 +823,11 @@ class AuthService {
   /**
    * Reactivate user account
    * @param {number} userId - User ID
+   * @param {Object} [context] - Request context for the audit log
+   * @param {Object} [metadata] - Extra audit details, e.g. the acting admin
    * @returns {Promise<Object>} - Reactivation result
    */
-  async reactivateAccount(userId) {
+  async reactivateAccount(userId, context, metadata) {
     try {
       // Reactivate user
       const user = await prisma.user.update({
@@ -335,6 +845,8 @@ class AuthService {
         }
       });
 
+      await auditService.record('ACCOUNT_REACTIVATED', { userId, context, metadata });
+
       return {
         message: 'Account reactivated successfully',
         user
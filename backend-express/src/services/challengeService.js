@@ -0,0 +1,69 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+
+class ChallengeService {
+  /**
+   * Issue a new single-use nonce for the device to sign
+   * @returns {Promise<Object>} - { challengeId, nonce, expiresAt }
+   */
+  async createChallenge() {
+    const nonce = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + authConfig.deviceChallenge.ttlSeconds * 1000);
+
+    const challenge = await prisma.deviceChallenge.create({
+      data: {
+        nonce,
+        expiresAt
+      }
+    });
+
+    return {
+      challengeId: challenge.id,
+      nonce: challenge.nonce,
+      expiresAt: challenge.expiresAt
+    };
+  }
+
+  /**
+   * Consume a challenge so it can never be signed for again
+   * @param {string} challengeId - Challenge ID
+   * @returns {Promise<string|null>} - The nonce, or null if unknown, used or expired
+   */
+  async consumeChallenge(challengeId) {
+    const challenge = await prisma.deviceChallenge.findUnique({
+      where: { id: challengeId }
+    });
+
+    if (!challenge || challenge.usedAt || new Date() > challenge.expiresAt) {
+      return null;
+    }
+
+    // Conditional update so two concurrent requests cannot both use it
+    const claimed = await prisma.deviceChallenge.updateMany({
+      where: { id: challengeId, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    return claimed.count === 1 ? challenge.nonce : null;
+  }
+
+  /**
+   * Remove expired and used challenges
+   * @returns {Promise<number>} - Number of challenges removed
+   */
+  async cleanupChallenges() {
+    const result = await prisma.deviceChallenge.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lt: new Date() } },
+          { usedAt: { not: null } }
+        ]
+      }
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = new ChallengeService();
@@ -0,0 +1,340 @@
+const { prisma } = require('../config/database');
+const authConfig = require('../config/auth');
+const deviceService = require('./deviceService');
+const tokenService = require('./tokenService');
+const auditService = require('./auditService');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Values of the DeviceLimitAction enum in schema.prisma
+const LIMIT_ACTIONS = ['REJECT', 'EVICT_OLDEST', 'REQUIRE_APPROVAL'];
+
+// User columns that override the defaults; null means "use the default"
+const POLICY_FIELDS = {
+  id: true,
+  maxDevices: true,
+  maxAccountsPerDevice: true,
+  deviceLimitAction: true
+};
+
+class DevicePolicyService {
+  constructor() {
+    this.limitActions = LIMIT_ACTIONS;
+  }
+
+  /**
+   * Policy of accounts without overrides, from the environment
+   * @returns {Object} - { maxDevices, maxAccountsPerDevice, onLimit }
+   */
+  getDefaults() {
+    const { maxDevicesPerUser, maxAccountsPerDevice, onLimit } = authConfig.devicePolicy;
+
+    return {
+      maxDevices: Math.max(maxDevicesPerUser, 1),
+      maxAccountsPerDevice: Math.max(maxAccountsPerDevice, 1),
+      onLimit: LIMIT_ACTIONS.includes(onLimit) ? onLimit : 'REJECT'
+    };
+  }
+
+  /**
+   * Policy that applies to a user: their overrides on top of the defaults
+   * @param {Object|null} user - User record; null for an account being registered
+   * @returns {Object} - { maxDevices, maxAccountsPerDevice, onLimit }
+   */
+  resolvePolicy(user) {
+    const defaults = this.getDefaults();
+    if (!user) {
+      return defaults;
+    }
+
+    return {
+      maxDevices: user.maxDevices ?? defaults.maxDevices,
+      maxAccountsPerDevice: user.maxAccountsPerDevice ?? defaults.maxAccountsPerDevice,
+      onLimit: user.deviceLimitAction ?? defaults.onLimit
+    };
+  }
+
+  /**
+   * Describe a user's policy for the admin API
+   * @param {Object} user - User record with the policy fields
+   * @returns {Object} - { defaults, overrides, effective }
+   */
+  describePolicy(user) {
+    return {
+      defaults: this.getDefaults(),
+      overrides: {
+        maxDevices: user.maxDevices,
+        maxAccountsPerDevice: user.maxAccountsPerDevice,
+        onLimit: user.deviceLimitAction
+      },
+      effective: this.resolvePolicy(user)
+    };
+  }
+
+  async findPolicyUser(userId) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: POLICY_FIELDS
+    });
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} - { defaults, overrides, effective, pendingDevices }
+   */
+  async getUserPolicy(userId) {
+    try {
+      const user = await this.findPolicyUser(userId);
+      const pendingDevices = await prisma.device.findMany({
+        where: { userId, status: 'PENDING' },
+        select: { id: true, platform: true, hostname: true, appVersion: true, firstSeenAt: true, lastSeenAt: true },
+        orderBy: { lastSeenAt: 'desc' }
+      });
+
+      return { ...this.describePolicy(user), pendingDevices };
+    } catch (error) {
+      console.error('Get device policy error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a user's overrides. Fields left out stay as they are; null
+   * returns a field to the default. Devices already bound stay bound even
+   * if the new limit is lower - the limit applies to the next new device.
+   * @param {number} userId - User ID
+   * @param {Object} changes - { maxDevices?, maxAccountsPerDevice?, onLimit? }
+   * @returns {Promise<Object>} - { defaults, overrides, effective, previous }
+   */
+  async setUserPolicy(userId, { maxDevices, maxAccountsPerDevice, onLimit }) {
+    try {
+      const previous = await this.findPolicyUser(userId);
+
+      const user = await prisma.user.update({
+        where: { id: userId },
+        data: {
+          ...(maxDevices !== undefined && { maxDevices }),
+          ...(maxAccountsPerDevice !== undefined && { maxAccountsPerDevice }),
+          ...(onLimit !== undefined && { deviceLimitAction: onLimit })
+        },
+        select: POLICY_FIELDS
+      });
+
+      return {
+        ...this.describePolicy(user),
+        previous: this.describePolicy(previous).overrides
+      };
+    } catch (error) {
+      console.error('Set device policy error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a device may be bound to one more account
+   * @param {string} deviceHash - Device hash (from client)
+   * @param {Object|null} [user] - Account the device is added to; null while registering
+   * @returns {Promise<void>}
+   */
+  async assertDeviceAvailable(deviceHash, user = null) {
+    const { maxAccountsPerDevice } = this.resolvePolicy(user);
+    const accounts = await deviceService.countAccountsUsingDevice(deviceHash, user ? user.id : null);
+
+    if (accounts >= maxAccountsPerDevice) {
+      throw new ConflictError(
+        maxAccountsPerDevice === 1
+          ? 'Device is already registered to another user'
+          : `Device is already registered to the maximum of ${maxAccountsPerDevice} accounts`,
+        'DEVICE_ACCOUNT_LIMIT'
+      );
+    }
+  }
+
+  /**
+   * Bind a device the account has not used before, as far as the policy
+   * allows. Below the limit the device is simply added; at the limit the
+   * policy rejects it, evicts the least recently used device, or parks the
+   * new one until an admin approves it.
+   * @param {Object} user - User record
+   * @param {Array} activeDevices - The user's active devices, most recently seen first
+   * @param {Object} device - { deviceHash, publicKey, deviceInfo }
+   * @param {Object} [context] - Request context for the audit log
+   * @returns {Promise<Object>} - Active device record
+   */
+  async admitDevice(user, activeDevices, { deviceHash, publicKey, deviceInfo }, context) {
+    const policy = this.resolvePolicy(user);
+
+    const known = await prisma.device.findUnique({
+      where: {
+        userId_identifier: { userId: user.id, identifier: deviceService.generateDeviceHash(deviceHash) }
+      }
+    });
+
+    if (known && known.status === 'PENDING') {
+      throw this.approvalRequired(known);
+    }
+    if (known && known.status === 'REVOKED' && known.revokedReason === 'APPROVAL_REJECTED') {
+      throw new ForbiddenError('An administrator rejected this device for this account', 'DEVICE_REJECTED');
+    }
+
+    await this.assertDeviceAvailable(deviceHash, user);
+
+    if (activeDevices.length < policy.maxDevices) {
+      return await deviceService.registerDevice(user.id, { deviceHash, publicKey, deviceInfo });
+    }
+
+    if (policy.onLimit === 'EVICT_OLDEST') {
+      // activeDevices is sorted by lastSeenAt, newest first
+      const evicted = activeDevices.slice(policy.maxDevices - 1);
+      await this.revokeDevices(user.id, evicted, 'EVICTED', 'DEVICE_EVICTED');
+
+      for (const device of evicted) {
+        await auditService.record('DEVICE_EVICTED', {
+          userId: user.id,
+          context,
+          metadata: { deviceId: device.id, maxDevices: policy.maxDevices }
+        });
+      }
+
+      return await deviceService.registerDevice(user.id, { deviceHash, publicKey, deviceInfo });
+    }
+
+    if (policy.onLimit === 'REQUIRE_APPROVAL') {
+      const pending = await deviceService.registerDevice(user.id, { deviceHash, publicKey, deviceInfo }, 'PENDING');
+
+      await auditService.record('DEVICE_APPROVAL_REQUESTED', {
+        userId: user.id,
+        context,
+        metadata: { deviceId: pending.id, maxDevices: policy.maxDevices }
+      });
+
+      throw this.approvalRequired(pending);
+    }
+
+    // With a single device allowed this is the classic device mismatch
+    if (policy.maxDevices === 1) {
+      throw new ForbiddenError('Device mismatch. This account is registered to a different device.', 'DEVICE_MISMATCH');
+    }
+    throw new ForbiddenError(
+      `Device limit reached. This account can be used on ${policy.maxDevices} devices.`,
+      'DEVICE_LIMIT_REACHED'
+    );
+  }
+
+  approvalRequired(device) {
+    const error = new ForbiddenError(
+      'This device is waiting for an administrator to approve it',
+      'DEVICE_APPROVAL_REQUIRED'
+    );
+    error.deviceId = device.id;
+    return error;
+  }
+
+  /**
+   * Revoke devices and end their sessions
+   * @param {number} userId - User ID
+   * @param {Array} devices - Device records
+   * @param {string} revokedReason - Stored on the device, e.g. EVICTED
+   * @param {string} sessionReason - Sent to the devices with session.revoked
+   * @returns {Promise<void>}
+   */
+  async revokeDevices(userId, devices, revokedReason, sessionReason) {
+    if (devices.length === 0) {
+      return;
+    }
+
+    await prisma.device.updateMany({
+      where: { id: { in: devices.map(device => device.id) } },
+      data: {
+        status: 'REVOKED',
+        revokedAt: new Date(),
+        revokedReason
+      }
+    });
+
+    for (const device of devices) {
+      await tokenService.invalidateDeviceTokens(userId, device.identifier, sessionReason);
+    }
+  }
+
+  /**
+   * Find a device that waits for approval, or was rejected and may be
+   * reconsidered
+   * @param {number} userId - User ID
+   * @param {number} deviceId - Device record ID
+   * @returns {Promise<Object>} - Device record
+   */
+  async findReviewableDevice(userId, deviceId) {
+    const device = await prisma.device.findFirst({
+      where: { id: deviceId, userId }
+    });
+
+    const reviewable = device && (
+      device.status === 'PENDING' ||
+      (device.status === 'REVOKED' && device.revokedReason === 'APPROVAL_REJECTED')
+    );
+
+    if (!reviewable) {
+      throw new NotFoundError('No device awaiting approval with this ID', 'DEVICE_NOT_FOUND');
+    }
+
+    return device;
+  }
+
+  /**
+   * Let a pending device in. Approval is an explicit exception: the device
+   * becomes active even if the account is at its limit.
+   * @param {number} userId - User ID
+   * @param {number} deviceId - Device record ID
+   * @returns {Promise<Object>} - Device record
+   */
+  async approveDevice(userId, deviceId) {
+    try {
+      const device = await this.findReviewableDevice(userId, deviceId);
+
+      return await prisma.device.update({
+        where: { id: device.id },
+        data: {
+          status: 'ACTIVE',
+          revokedAt: null,
+          revokedReason: null
+        }
+      });
+    } catch (error) {
+      console.error('Approve device error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a pending device away; its logins are refused until an admin
+   * approves it after all
+   * @param {number} userId - User ID
+   * @param {number} deviceId - Device record ID
+   * @returns {Promise<Object>} - Device record
+   */
+  async rejectDevice(userId, deviceId) {
+    try {
+      const device = await this.findReviewableDevice(userId, deviceId);
+
+      return await prisma.device.update({
+        where: { id: device.id },
+        data: {
+          status: 'REVOKED',
+          revokedAt: new Date(),
+          revokedReason: 'APPROVAL_REJECTED'
+        }
+      });
+    } catch (error) {
+      console.error('Reject device error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DevicePolicyService();
@@ -1,5 +1,10 @@
 const { prisma } = require('../config/database');
 const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const challengeService = require('./challengeService');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class DeviceService {
   /**
@@ -27,40 +32,230 @@ class DeviceService {
   }
 
   /**
-   * Check if device hash is already in use by another user
+   * Compute the client-side device hash for a public key
+   * (SHA-256 of the DER encoded SubjectPublicKeyInfo, same as the Electron app)
+   * @param {string} publicKey - PEM encoded public key
+   * @returns {string} - Hex fingerprint
+   */
+  getPublicKeyFingerprint(publicKey) {
+    const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+  }
+
+  /**
+   * Check that a string is a PEM encoded Ed25519 public key
+   * @param {string} publicKey - Public key to check
+   * @returns {boolean} - True if valid
+   */
+  isValidPublicKey(publicKey) {
+    try {
+      return crypto.createPublicKey(publicKey).asymmetricKeyType === 'ed25519';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a device proof: the challenge is fresh and unused, it was signed
+   * by the presented key, and the device hash belongs to that key
+   * @param {Object} proof - { deviceHash, publicKey, challengeId, signature }
+   * @returns {Promise<void>}
+   */
+  async verifyDeviceProof({ deviceHash, publicKey, challengeId, signature }) {
+    if (!this.isValidPublicKey(publicKey)) {
+      throw new UnauthorizedError('Invalid device public key', 'DEVICE_KEY_INVALID');
+    }
+
+    if (this.getPublicKeyFingerprint(publicKey) !== deviceHash) {
+      throw new UnauthorizedError('Device hash does not match device public key', 'DEVICE_HASH_MISMATCH');
+    }
+
+    const nonce = await challengeService.consumeChallenge(challengeId);
+    if (!nonce) {
+      throw new UnauthorizedError('Device challenge expired or already used', 'DEVICE_CHALLENGE_INVALID');
+    }
+
+    const isValidSignature = crypto.verify(
+      null,
+      Buffer.from(nonce, 'utf8'),
+      crypto.createPublicKey(publicKey),
+      Buffer.from(signature, 'base64')
+    );
+
+    if (!isValidSignature) {
+      throw new UnauthorizedError('Device signature verification failed', 'DEVICE_SIGNATURE_INVALID');
+    }
+  }
+
+  /**
+   * Count the active accounts a device is bound to
    * @param {string} deviceHash - Device hash to check
-   * @param {number} excludeUserId - User ID to exclude from check
-   * @returns {Promise<boolean>} - True if already in use
+   * @param {number} excludeUserId - User ID to leave out of the count
+   * @returns {Promise<number>} - Number of accounts
    */
-  async isDeviceHashInUse(deviceHash, excludeUserId = null) {
+  async countAccountsUsingDevice(deviceHash, excludeUserId = null) {
     const processedHash = this.generateDeviceHash(deviceHash);
 
-    const existingToken = await prisma.token.findFirst({
+    // One device record per account and identifier, so devices = accounts
+    return await prisma.device.count({
       where: {
-        deviceHash: processedHash,
-        isValid: true,
-        expiresAt: {
-          gt: new Date()
-        },
-        ...(excludeUserId && {
-          user: {
+        identifier: processedHash,
+        status: 'ACTIVE',
+        user: {
+          isActive: true,
+          ...(excludeUserId && {
             id: {
               not: excludeUserId
             }
-          }
-        })
-      },
-      include: {
-        user: {
-          select: {
-            id: true,
-            isActive: true
-          }
+          })
         }
       }
     });
+  }
+
+  /**
+   * Keep only the known metadata fields reported by the client
+   * @param {Object} deviceInfo - Metadata from the Electron app
+   * @returns {Object} - { platform, arch, hostname, appVersion }
+   */
+  pickDeviceMetadata(deviceInfo = {}) {
+    const metadata = {};
+
+    ['platform', 'arch', 'hostname', 'appVersion'].forEach(field => {
+      if (typeof deviceInfo[field] === 'string' && deviceInfo[field]) {
+        metadata[field] = deviceInfo[field].substring(0, 191);
+      }
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Register a device for a user, or re-activate it if it was seen before
+   * @param {number} userId - User ID
+   * @param {Object} device - { deviceHash, publicKey, deviceInfo }
+   * @param {string} [status] - ACTIVE, or PENDING while it waits for approval
+   * @returns {Promise<Object>} - Device record
+   */
+  async registerDevice(userId, { deviceHash, publicKey, deviceInfo }, status = 'ACTIVE') {
+    const identifier = this.generateDeviceHash(deviceHash);
+    const metadata = this.pickDeviceMetadata(deviceInfo);
+
+    return await prisma.device.upsert({
+      where: {
+        userId_identifier: { userId, identifier }
+      },
+      create: {
+        userId,
+        identifier,
+        publicKey,
+        status,
+        ...metadata
+      },
+      update: {
+        publicKey,
+        status,
+        revokedAt: null,
+        revokedReason: null,
+        lastSeenAt: new Date(),
+        attestedAt: new Date(),
+        ...metadata
+      }
+    });
+  }
+
+  /**
+   * Get the active devices of a user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} - Active device records
+   */
+  async getActiveDevices(userId) {
+    return await prisma.device.findMany({
+      where: {
+        userId,
+        status: 'ACTIVE'
+      },
+      orderBy: {
+        lastSeenAt: 'desc'
+      }
+    });
+  }
+
+  /**
+   * Record that a device just proved its key, which also renews its binding,
+   * and refresh its metadata
+   * @param {number} deviceId - Device record ID
+   * @param {Object} deviceInfo - Metadata from the Electron app
+   * @returns {Promise<Object>} - Updated device record
+   */
+  async attestDevice(deviceId, deviceInfo) {
+    const now = new Date();
+
+    return await prisma.device.update({
+      where: { id: deviceId },
+      data: {
+        lastSeenAt: now,
+        attestedAt: now,
+        ...this.pickDeviceMetadata(deviceInfo)
+      }
+    });
+  }
+
+  /**
+   * Binding lifetime of a device under the current policy, in the form the
+   * desktop app stores it
+   * @param {Object} device - Device record
+   * @returns {Object} - { attestedAt, expiresAt, maxAgeDays, renewBeforeDays, expired }
+   */
+  getBindingStatus(device) {
+    const { maxAgeDays, renewBeforeDays } = authConfig.deviceBinding;
+    const attestedAt = device.attestedAt || device.firstSeenAt;
+    const expiresAt = new Date(attestedAt.getTime() + maxAgeDays * DAY_MS);
+
+    return {
+      attestedAt,
+      expiresAt,
+      maxAgeDays,
+      renewBeforeDays,
+      expired: Date.now() >= expiresAt.getTime()
+    };
+  }
+
+  /**
+   * Re-attest the device of the current session with a fresh device proof.
+   * The device keeps its record and key; only the binding is extended.
+   * @param {number} userId - User ID
+   * @param {string} processedHash - Device hash of the current session
+   * @param {Object} proof - { deviceHash, publicKey, challengeId, signature, deviceInfo }
+   * @returns {Promise<Object>} - Updated device record
+   */
+  async renewBinding(userId, processedHash, { deviceHash, publicKey, challengeId, signature, deviceInfo }) {
+    await this.verifyDeviceProof({ deviceHash, publicKey, challengeId, signature });
+
+    if (this.generateDeviceHash(deviceHash) !== processedHash) {
+      throw new ForbiddenError('Device proof does not belong to this session', 'DEVICE_PROOF_MISMATCH');
+    }
+
+    const device = await prisma.device.findUnique({
+      where: {
+        userId_identifier: { userId, identifier: processedHash }
+      }
+    });
+
+    if (!device || device.status !== 'ACTIVE' || device.publicKey !== publicKey) {
+      throw new ForbiddenError('This session has no active device binding', 'DEVICE_NOT_BOUND');
+    }
 
-    return !!(existingToken && existingToken.user.isActive);
+    return await this.attestDevice(device.id, deviceInfo);
+  }
+
+  /**
+   * Shorten a device identifier for display
+   * @param {string} identifier - Processed device hash
+   * @returns {string} - Truncated identifier
+   */
+  truncateIdentifier(identifier) {
+    return identifier.substring(0, 8) + '...' + identifier.substring(identifier.length - 8);
   }
 
   /**
@@ -69,7 +264,15 @@ class DeviceService {
    * @returns {Promise<Object>} - Device information
    */
   async getDeviceInfo(userId) {
-    const tokens = await prisma.token.findMany({
+    const devices = await prisma.device.findMany({
+      where: { userId },
+      orderBy: {
+        lastSeenAt: 'desc'
+      }
+    });
+
+    const activeTokens = await prisma.token.groupBy({
+      by: ['deviceHash'],
       where: {
         userId,
         isValid: true,
@@ -77,26 +280,53 @@ class DeviceService {
           gt: new Date()
         }
       },
-      select: {
-        deviceHash: true,
-        createdAt: true,
-        expiresAt: true,
-      },
-      orderBy: {
-        createdAt: 'desc'
-      }
+      _count: { _all: true }
     });
 
+    const sessionCounts = new Map(
+      activeTokens.map(group => [group.deviceHash, group._count._all])
+    );
+
     return {
-      activeDevices: tokens.length,
-      devices: tokens.map(token => ({
-        deviceId: token.deviceHash.substring(0, 8) + '...',
-        lastActive: token.createdAt,
-        expiresAt: token.expiresAt
+      activeDevices: devices.filter(device => device.status === 'ACTIVE').length,
+      devices: devices.map(device => ({
+        id: device.id,
+        deviceId: this.truncateIdentifier(device.identifier),
+        name: device.name,
+        platform: device.platform,
+        arch: device.arch,
+        hostname: device.hostname,
+        appVersion: device.appVersion,
+        status: device.status,
+        firstSeenAt: device.firstSeenAt,
+        lastSeenAt: device.lastSeenAt,
+        bindingExpiresAt: this.getBindingStatus(device).expiresAt,
+        revokedAt: device.revokedAt,
+        activeSessions: sessionCounts.get(device.identifier) || 0
       }))
     };
   }
 
+  /**
+   * Give one of the user's devices a name, or clear it with null
+   * @param {number} userId - User ID
+   * @param {number} deviceId - Device record ID
+   * @param {string|null} name - New name
+   * @returns {Promise<Object>} - { id, name }
+   */
+  async renameDevice(userId, deviceId, name) {
+    const result = await prisma.device.updateMany({
+      where: { id: deviceId, userId },
+      data: { name: name || null }
+    });
+
+    if (result.count === 0) {
+      throw new NotFoundError('Device not found', 'DEVICE_NOT_FOUND');
+    }
+
+    return { id: deviceId, name: name || null };
+  }
+
   /**
    * Invalidate all tokens for a specific device hash
    * @param {string} deviceHash - Device hash
@@ -158,6 +388,11 @@ class DeviceService {
       WHERE isValid = true AND expiresAt > NOW()
     `;
 
+    const registeredDevices = await prisma.device.groupBy({
+      by: ['status'],
+      _count: { _all: true }
+    });
+
     const userStats = await prisma.$queryRaw`
       SELECT 
         COUNT(*) as total_users,
@@ -165,9 +400,18 @@ class DeviceService {
       FROM User
     `;
 
+    // COUNT() comes back from MySQL as BigInt, which res.json() cannot serialize
+    const toNumbers = (row) => Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, Number(value)])
+    );
+
     return {
-      devices: stats[0],
-      users: userStats[0],
+      devices: toNumbers(stats[0]),
+      registeredDevices: registeredDevices.reduce((counts, group) => ({
+        ...counts,
+        [group.status.toLowerCase()]: group._count._all
+      }), { active: 0, revoked: 0 }),
+      users: toNumbers(userStats[0]),
       timestamp: new Date().toISOString()
     };
   }
@@ -0,0 +1,293 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const deviceService = require('./deviceService');
+const tokenService = require('./tokenService');
+const devicePolicyService = require('./devicePolicyService');
+const mailService = require('./mailService');
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  TooManyRequestsError
+} = require('../utils/errors');
+
+class DeviceTransferService {
+  /**
+   * Enforce the cooldown and yearly limit on completed transfers
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async assertTransferAllowed(userId) {
+    const { cooldownHours, maxPerYear } = authConfig.deviceTransfer;
+    const oneYearAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+
+    const completedTransfers = await prisma.deviceTransfer.findMany({
+      where: {
+        userId,
+        status: 'COMPLETED',
+        completedAt: {
+          gt: oneYearAgo
+        }
+      },
+      select: { completedAt: true },
+      orderBy: { completedAt: 'desc' }
+    });
+
+    if (completedTransfers.length >= maxPerYear) {
+      throw new TooManyRequestsError(
+        `Device transfer limit reached (${maxPerYear} per year). Please contact support.`,
+        'TRANSFER_LIMIT_REACHED'
+      );
+    }
+
+    const lastTransfer = completedTransfers[0];
+    const cooldownMs = cooldownHours * 60 * 60 * 1000;
+    if (lastTransfer && Date.now() - lastTransfer.completedAt.getTime() < cooldownMs) {
+      throw new TooManyRequestsError(
+        `Device transfers are limited to one every ${cooldownHours} hours`,
+        'TRANSFER_COOLDOWN'
+      );
+    }
+  }
+
+  /**
+   * Hash a transfer code together with the device it was issued for
+   * @param {string} toIdentifier - Processed hash of the new device
+   * @param {string} code - Six digit code
+   * @returns {string} - Hex digest
+   */
+  hashCode(toIdentifier, code) {
+    return crypto.createHash('sha256').update(`${toIdentifier}:${code}`).digest('hex');
+  }
+
+  /**
+   * Cancel pending transfers so only the latest request can complete
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async cancelPendingTransfers(userId) {
+    await prisma.deviceTransfer.updateMany({
+      where: { userId, status: 'PENDING' },
+      data: { status: 'CANCELLED' }
+    });
+  }
+
+  /**
+   * Check the new device is not already bound to as many other accounts
+   * as the user's device policy allows
+   * @param {number} userId - User ID
+   * @param {string} newDeviceHash - Device hash of the new device (from client)
+   * @returns {Promise<void>}
+   */
+  async assertTargetDeviceAvailable(userId, newDeviceHash) {
+    const user = await devicePolicyService.findPolicyUser(userId);
+    await devicePolicyService.assertDeviceAvailable(newDeviceHash, user);
+  }
+
+  /**
+   * Approve a transfer from the currently bound device.
+   * The new device completes it by logging in normally.
+   * @param {number} userId - User ID
+   * @param {string} currentDeviceHash - Processed device hash of the calling session
+   * @param {string} newDeviceHash - Device hash of the new device (from client)
+   * @returns {Promise<Object>} - { transferId, expiresAt }
+   */
+  async startFromOldDevice(userId, currentDeviceHash, newDeviceHash) {
+    await this.assertTransferAllowed(userId);
+
+    const fromDevice = await prisma.device.findUnique({
+      where: {
+        userId_identifier: { userId, identifier: currentDeviceHash }
+      }
+    });
+
+    if (!fromDevice || fromDevice.status !== 'ACTIVE') {
+      throw new ForbiddenError('Transfers can only be started from the active device', 'DEVICE_NOT_BOUND');
+    }
+
+    const toIdentifier = deviceService.generateDeviceHash(newDeviceHash);
+    if (toIdentifier === currentDeviceHash) {
+      throw new BadRequestError('The new device must be different from the current device', 'TRANSFER_SAME_DEVICE');
+    }
+
+    await this.assertTargetDeviceAvailable(userId, newDeviceHash);
+    await this.cancelPendingTransfers(userId);
+
+    const transfer = await prisma.deviceTransfer.create({
+      data: {
+        userId,
+        method: 'OLD_DEVICE',
+        fromDeviceId: fromDevice.id,
+        toIdentifier,
+        expiresAt: new Date(
+          Date.now() + authConfig.deviceTransfer.approvalTtlHours * 60 * 60 * 1000
+        )
+      }
+    });
+
+    return {
+      transferId: transfer.id,
+      expiresAt: transfer.expiresAt
+    };
+  }
+
+  /**
+   * Start a transfer from the new device and email a confirmation code.
+   * The caller must already have checked the password and device proof.
+   * @param {Object} user - User record
+   * @param {string} newDeviceHash - Device hash of the new device (from client)
+   * @returns {Promise<Object>} - { transferId, expiresAt }
+   */
+  async requestEmailCode(user, newDeviceHash) {
+    await this.assertTransferAllowed(user.id);
+    await this.assertTargetDeviceAvailable(user.id, newDeviceHash);
+    await this.cancelPendingTransfers(user.id);
+
+    const toIdentifier = deviceService.generateDeviceHash(newDeviceHash);
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const { codeTtlMinutes } = authConfig.deviceTransfer;
+
+    const transfer = await prisma.deviceTransfer.create({
+      data: {
+        userId: user.id,
+        method: 'EMAIL_CODE',
+        toIdentifier,
+        codeHash: this.hashCode(toIdentifier, code),
+        expiresAt: new Date(Date.now() + codeTtlMinutes * 60 * 1000)
+      }
+    });
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your device transfer code',
+      text: `Use this code to move your account to a new device: ${code}\n\n` +
+        `The code expires in ${codeTtlMinutes} minutes. ` +
+        'If you did not request this, change your password immediately.'
+    });
+
+    return {
+      transferId: transfer.id,
+      expiresAt: transfer.expiresAt
+    };
+  }
+
+  /**
+   * Check an emailed code and complete the transfer
+   * @param {string} transferId - Transfer ID
+   * @param {string} code - Code from the email
+   * @param {Object} device - { deviceHash, publicKey, deviceInfo } of the new device
+   * @returns {Promise<Object>} - { userId, device }
+   */
+  async confirmEmailCode(transferId, code, device) {
+    const transfer = await prisma.deviceTransfer.findUnique({
+      where: { id: transferId }
+    });
+
+    if (!transfer || transfer.method !== 'EMAIL_CODE' ||
+      transfer.status !== 'PENDING' || new Date() > transfer.expiresAt) {
+      throw new BadRequestError('Device transfer not found or expired', 'TRANSFER_NOT_FOUND');
+    }
+
+    if (deviceService.generateDeviceHash(device.deviceHash) !== transfer.toIdentifier) {
+      throw new ForbiddenError('This transfer was requested for a different device', 'TRANSFER_DEVICE_MISMATCH');
+    }
+
+    if (transfer.codeAttempts >= authConfig.deviceTransfer.maxCodeAttempts) {
+      await this.cancelPendingTransfers(transfer.userId);
+      throw new TooManyRequestsError('Too many invalid codes. Please request a new transfer.', 'TRANSFER_CODE_ATTEMPTS');
+    }
+
+    const expected = Buffer.from(transfer.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(transfer.toIdentifier, String(code)), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      await prisma.deviceTransfer.update({
+        where: { id: transfer.id },
+        data: { codeAttempts: { increment: 1 } }
+      });
+      throw new UnauthorizedError('Invalid transfer code', 'TRANSFER_CODE_INVALID');
+    }
+
+    const newDevice = await this.completeTransfer(transfer, device);
+
+    return {
+      userId: transfer.userId,
+      device: newDevice
+    };
+  }
+
+  /**
+   * Find a transfer approved from the old device for the device now logging in
+   * @param {number} userId - User ID
+   * @param {string} processedHash - Processed device hash of the new device
+   * @returns {Promise<Object|null>} - Pending transfer or null
+   */
+  async findApprovedTransfer(userId, processedHash) {
+    return await prisma.deviceTransfer.findFirst({
+      where: {
+        userId,
+        method: 'OLD_DEVICE',
+        status: 'PENDING',
+        toIdentifier: processedHash,
+        expiresAt: {
+          gt: new Date()
+        }
+      }
+    });
+  }
+
+  /**
+   * Move the account to the new device: revoke the old binding and every
+   * session, register the new device and notify the account owner
+   * @param {Object} transfer - Pending transfer record
+   * @param {Object} device - { deviceHash, publicKey, deviceInfo } of the new device
+   * @returns {Promise<Object>} - New device record
+   */
+  async completeTransfer(transfer, { deviceHash, publicKey, deviceInfo }) {
+    await this.assertTransferAllowed(transfer.userId);
+
+    const claimed = await prisma.deviceTransfer.updateMany({
+      where: { id: transfer.id, status: 'PENDING' },
+      data: { status: 'COMPLETED', completedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      throw new BadRequestError('Device transfer not found or expired', 'TRANSFER_NOT_FOUND');
+    }
+
+    await prisma.device.updateMany({
+      where: { userId: transfer.userId, status: 'ACTIVE' },
+      data: {
+        status: 'REVOKED',
+        revokedAt: new Date(),
+        revokedReason: 'TRANSFERRED'
+      }
+    });
+
+    await tokenService.invalidateAllUserTokens(transfer.userId, 'DEVICE_TRANSFERRED');
+
+    const newDevice = await deviceService.registerDevice(transfer.userId, {
+      deviceHash,
+      publicKey,
+      deviceInfo
+    });
+
+    const user = await prisma.user.findUnique({
+      where: { id: transfer.userId },
+      select: { email: true }
+    });
+
+    const deviceName = [newDevice.hostname, newDevice.platform].filter(Boolean).join(' / ') || 'a new device';
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your account was moved to a new device',
+      text: `Your account is now bound to ${deviceName}. ` +
+        'The previous device has been signed out and can no longer be used.\n\n' +
+        'If you did not do this, contact support immediately.'
+    });
+
+    return newDevice;
+  }
+}
+
+module.exports = new DeviceTransferService();
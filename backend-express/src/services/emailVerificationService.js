@@ -0,0 +1,136 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const mailService = require('./mailService');
+const { BadRequestError } = require('../utils/errors');
+
+class EmailVerificationService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Whether the configured policy keeps unverified users from logging in
+   * @returns {boolean}
+   */
+  blocksLogin() {
+    return authConfig.emailVerification.policy === 'block';
+  }
+
+  /**
+   * Whether a user may use features that rely on a verified address
+   * @param {Object} user - User record
+   * @returns {boolean}
+   */
+  isSatisfied(user) {
+    return user.emailVerified || authConfig.emailVerification.policy === 'off';
+  }
+
+  /**
+   * Email a verification code for the user's current address.
+   * Earlier unused codes stop working.
+   * @param {Object} user - User record with id and email
+   * @returns {Promise<void>}
+   */
+  async sendVerification(user) {
+    const { tokenTtlHours } = authConfig.emailVerification;
+    const token = crypto.randomBytes(16).toString('base64url');
+
+    await prisma.$transaction([
+      prisma.emailVerificationToken.deleteMany({
+        where: { userId: user.id, usedAt: null }
+      }),
+      prisma.emailVerificationToken.create({
+        data: {
+          userId: user.id,
+          email: user.email,
+          tokenHash: this.hashToken(token),
+          expiresAt: new Date(Date.now() + tokenTtlHours * 60 * 60 * 1000)
+        }
+      })
+    ]);
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Enter this code in the app to verify your email address: ${token}\n\n` +
+        `The code expires in ${tokenTtlHours} hours. ` +
+        'If you did not create an account, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Resend the verification email for an unverified account.
+   * Unknown or already verified addresses are ignored so the response stays generic.
+   * @param {string} email - Normalized email address
+   * @returns {Promise<number|null>} - User ID the code was sent to, or null
+   */
+  async resendVerification(email) {
+    const user = await prisma.user.findFirst({
+      where: { email, isActive: true, emailVerified: false }
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    await this.sendVerification(user);
+    return user.id;
+  }
+
+  /**
+   * Mark an email address as verified with a code from sendVerification()
+   * @param {string} token - Verification code from the email
+   * @returns {Promise<number>} - User ID whose address was verified
+   */
+  async verifyEmail(token) {
+    const verification = await prisma.emailVerificationToken.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: { user: true }
+    });
+
+    // A code sent to an old address must not verify the new one
+    if (!verification || verification.usedAt || new Date() > verification.expiresAt ||
+      verification.email !== verification.user.email) {
+      throw new BadRequestError('Invalid or expired verification code', 'VERIFICATION_CODE_INVALID');
+    }
+
+    const claimed = await prisma.emailVerificationToken.updateMany({
+      where: { id: verification.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (claimed.count !== 1) {
+      throw new BadRequestError('Invalid or expired verification code', 'VERIFICATION_CODE_INVALID');
+    }
+
+    await prisma.user.update({
+      where: { id: verification.userId },
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }
+    });
+
+    return verification.userId;
+  }
+
+  /**
+   * Remove verification codes that were used or have expired
+   * @returns {Promise<number>} - Number of codes removed
+   */
+  async cleanupExpiredTokens() {
+    const result = await prisma.emailVerificationToken.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lt: new Date() } },
+          { usedAt: { not: null } }
+        ]
+      }
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = new EmailVerificationService();
@@ -0,0 +1,74 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const { generateToken, decodeToken } = require('../utils/jwt');
+const { ForbiddenError } = require('../utils/errors');
+
+const LEASE_PURPOSE = 'offline-lease';
+
+class LeaseService {
+  /**
+   * The hash the desktop app computes for itself: SHA-256 of the device
+   * public key in SPKI DER form. Token.deviceHash is salted on the server,
+   * so the app could not check a lease against that one.
+   * @param {string} publicKey - PEM public key registered for the device
+   * @returns {string} - Hex hash
+   */
+  getClientDeviceHash(publicKey) {
+    const publicKeyDer = crypto
+      .createPublicKey(publicKey)
+      .export({ type: 'spki', format: 'der' });
+
+    return crypto.createHash('sha256').update(publicKeyDer).digest('hex');
+  }
+
+  /**
+   * Sign a lease that lets the desktop app work offline on the device the
+   * current session belongs to. The app checks it against our JWKS, never
+   * against a key that travels with the lease.
+   * @param {Object} user - Authenticated user
+   * @param {string} processedHash - Device hash of the current session
+   * @returns {Promise<Object>} - { lease, issuedAt, expiresAt }
+   */
+  async issueLease(user, processedHash) {
+    try {
+      const device = await prisma.device.findUnique({
+        where: {
+          userId_identifier: {
+            userId: user.id,
+            identifier: processedHash
+          }
+        }
+      });
+
+      if (!device || device.status !== 'ACTIVE') {
+        throw new ForbiddenError('This session has no active device binding', 'DEVICE_NOT_BOUND');
+      }
+
+      const lease = generateToken(
+        {
+          purpose: LEASE_PURPOSE,
+          userId: user.id,
+          username: user.username,
+          email: user.email,
+          deviceId: device.id,
+          deviceHash: this.getClientDeviceHash(device.publicKey)
+        },
+        { expiresIn: `${authConfig.offlineLease.days}d` }
+      );
+
+      const payload = decodeToken(lease);
+
+      return {
+        lease,
+        issuedAt: new Date(payload.iat * 1000),
+        expiresAt: new Date(payload.exp * 1000)
+      };
+    } catch (error) {
+      console.error('Issue lease error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new LeaseService();
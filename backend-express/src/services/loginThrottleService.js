@@ -0,0 +1,252 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const mailService = require('./mailService');
+const auditService = require('./auditService');
+const { AppError } = require('../utils/errors');
+
+const throttleError = (message, status, code, retryAt) => new AppError(message, status, code, {
+  retryAfter: Math.max(Math.ceil((retryAt.getTime() - Date.now()) / 1000), 1)
+});
+
+class LoginThrottleService {
+  userSubject(userId) {
+    return `user:${userId}`;
+  }
+
+  deviceSubject(processedHash) {
+    return `device:${processedHash}`;
+  }
+
+  /**
+   * Delay before the next attempt is accepted, doubling after the free attempts
+   * @param {number} failedCount - Consecutive failures so far
+   * @returns {number} - Delay in seconds
+   */
+  getDelaySeconds(failedCount) {
+    const { freeAttempts, baseDelaySeconds, maxDelaySeconds } = authConfig.loginLockout;
+    if (failedCount <= freeAttempts) {
+      return 0;
+    }
+
+    return Math.min(baseDelaySeconds * 2 ** (failedCount - freeAttempts - 1), maxDelaySeconds);
+  }
+
+  /**
+   * Reject the attempt if the account or device is locked or still backing off
+   * @param {string} subject - Result of userSubject() or deviceSubject()
+   * @returns {Promise<void>}
+   */
+  async assertCanAttempt(subject) {
+    const record = await prisma.loginThrottle.findUnique({
+      where: { subject }
+    });
+
+    if (!record) {
+      return;
+    }
+
+    const now = new Date();
+    if (record.lockedUntil && record.lockedUntil > now) {
+      throw subject.startsWith('user:')
+        ? throttleError(
+          'Account is temporarily locked after too many failed login attempts',
+          423,
+          'ACCOUNT_LOCKED',
+          record.lockedUntil
+        )
+        : throttleError(
+          'This device is temporarily locked after too many failed login attempts',
+          423,
+          'DEVICE_LOCKED',
+          record.lockedUntil
+        );
+    }
+
+    if (record.nextAttemptAt && record.nextAttemptAt > now) {
+      throw throttleError(
+        'Too many failed login attempts. Please wait before trying again.',
+        429,
+        'LOGIN_THROTTLED',
+        record.nextAttemptAt
+      );
+    }
+  }
+
+  /**
+   * Count a failed attempt against a subject
+   * @param {string} subject - Result of userSubject() or deviceSubject()
+   * @param {number} maxAttempts - Failures that trigger a lockout
+   * @returns {Promise<Object>} - { failedCount, lockedUntil }
+   */
+  async registerFailure(subject, maxAttempts) {
+    const { lockMinutes, failureWindowMinutes } = authConfig.loginLockout;
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - failureWindowMinutes * 60 * 1000);
+
+    const record = await prisma.loginThrottle.findUnique({
+      where: { subject }
+    });
+
+    // Start over once old failures fall out of the window or a lockout has run out
+    const lockExpired = record && record.lockedUntil && record.lockedUntil <= now;
+    const previousCount = record && !lockExpired && record.lastFailedAt > windowStart
+      ? record.failedCount
+      : 0;
+
+    const failedCount = previousCount + 1;
+    const lockedUntil = failedCount >= maxAttempts
+      ? new Date(now.getTime() + lockMinutes * 60 * 1000)
+      : null;
+    const data = {
+      failedCount,
+      lastFailedAt: now,
+      nextAttemptAt: new Date(now.getTime() + this.getDelaySeconds(failedCount) * 1000),
+      lockedUntil
+    };
+
+    await prisma.loginThrottle.upsert({
+      where: { subject },
+      update: data,
+      create: { subject, ...data }
+    });
+
+    return { failedCount, lockedUntil };
+  }
+
+  /**
+   * Record a failed password check for the device and, when known, the account.
+   * Locking an account emails the owner a link to unlock it early.
+   * @param {Object|null} user - User the attempt targeted, null for unknown usernames
+   * @param {string} processedHash - Processed device hash of the caller
+   * @returns {Promise<void>}
+   */
+  async recordFailedLogin(user, processedHash) {
+    const { maxAccountAttempts, maxDeviceAttempts } = authConfig.loginLockout;
+
+    await this.registerFailure(this.deviceSubject(processedHash), maxDeviceAttempts);
+
+    if (!user) {
+      return;
+    }
+
+    const { failedCount, lockedUntil } = await this.registerFailure(
+      this.userSubject(user.id),
+      maxAccountAttempts
+    );
+
+    if (lockedUntil) {
+      await this.sendUnlockEmail(user, lockedUntil);
+      await auditService.record('ACCOUNT_LOCKED', {
+        userId: user.id,
+        success: false,
+        metadata: { failedCount, lockedUntil }
+      });
+    }
+  }
+
+  /**
+   * Forget previous failures of the account and the device after a correct password
+   * @param {number} userId - User ID
+   * @param {string} processedHash - Processed device hash of the caller
+   * @returns {Promise<void>}
+   */
+  async clearFailedLogins(userId, processedHash) {
+    await prisma.loginThrottle.deleteMany({
+      where: {
+        subject: { in: [this.userSubject(userId), this.deviceSubject(processedHash)] }
+      }
+    });
+  }
+
+  hashUnlockToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Email the account owner a single-use token that lifts the lockout
+   * @param {Object} user - Locked user
+   * @param {Date} lockedUntil - When the lockout ends by itself
+   * @returns {Promise<void>}
+   */
+  async sendUnlockEmail(user, lockedUntil) {
+    const { unlockTokenTtlMinutes } = authConfig.loginLockout;
+    const token = crypto.randomBytes(16).toString('base64url');
+
+    await prisma.loginThrottle.update({
+      where: { subject: this.userSubject(user.id) },
+      data: {
+        unlockTokenHash: this.hashUnlockToken(token),
+        unlockTokenExpiresAt: new Date(Date.now() + unlockTokenTtlMinutes * 60 * 1000)
+      }
+    });
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Your account has been locked',
+      text: 'Your account was locked after too many failed login attempts. ' +
+        `It unlocks automatically at ${lockedUntil.toISOString()}.\n\n` +
+        `If these attempts were yours, unlock it now with this code: ${token}\n` +
+        `The code expires in ${unlockTokenTtlMinutes} minutes. ` +
+        'If they were not yours, consider changing your password.'
+    });
+  }
+
+  /**
+   * Lift a lockout with a token from the unlock email
+   * @param {string} token - Unlock token
+   * @returns {Promise<number|null>} - Unlocked user ID, or null if the token is unknown or expired
+   */
+  async unlockWithToken(token) {
+    const record = await prisma.loginThrottle.findFirst({
+      where: { unlockTokenHash: this.hashUnlockToken(token) }
+    });
+
+    if (!record || !record.unlockTokenExpiresAt || new Date() > record.unlockTokenExpiresAt) {
+      return null;
+    }
+
+    const removed = await prisma.loginThrottle.deleteMany({
+      where: { id: record.id }
+    });
+
+    return removed.count === 1 ? parseInt(record.subject.slice('user:'.length)) : null;
+  }
+
+  /**
+   * Lift a lockout for an account (administrator action)
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} - True if the account had failures or a lock
+   */
+  async unlockUser(userId) {
+    const removed = await prisma.loginThrottle.deleteMany({
+      where: { subject: this.userSubject(userId) }
+    });
+
+    return removed.count > 0;
+  }
+
+  /**
+   * Remove throttle records that no longer affect anything: not locked,
+   * no pending delay, and last failure outside the counting window
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async cleanupStaleThrottles() {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - authConfig.loginLockout.failureWindowMinutes * 60 * 1000);
+
+    const result = await prisma.loginThrottle.deleteMany({
+      where: {
+        lastFailedAt: { lt: windowStart },
+        AND: [
+          { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+          { OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lt: now } }] }
+        ]
+      }
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,45 @@
+const mailConfig = require('../config/mail');
+const { createTransport } = require('./mailTransports');
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  /**
+   * Replace the transport, e.g. with a custom one
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(mailConfig);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email to a user through the configured transport
+   * (MAIL_TRANSPORT: console, file or smtp)
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<void>}
+   */
+  async sendMail({ to, subject, text }) {
+    try {
+      await this.getTransport().send({
+        from: mailConfig.from,
+        to,
+        subject,
+        text
+      });
+    } catch (error) {
+      console.error('Send mail error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,75 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Every transport exposes `send({ from, to, subject, text })`.
+
+class ConsoleTransport {
+  async send({ from, to, subject, text }) {
+    console.log(`[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+  }
+}
+
+class FileTransport {
+  /**
+   * @param {Object} options - { directory }
+   */
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+    // Builds the raw RFC 822 message without sending it anywhere
+    this.builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const { message: raw } = await this.builder.sendMail(message);
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, fileName), raw);
+  }
+}
+
+class SmtpTransport {
+  /**
+   * @param {Object} options - { host, port, secure, user, pass }
+   */
+  constructor({ host, port, secure, user, pass }) {
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      // Local stand-ins such as MailHog or smtp4dev take mail without a login
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Create the transport named in the mail config
+ * @param {Object} mailConfig - See config/mail.js
+ * @returns {Object} - Transport instance
+ */
+const createTransport = (mailConfig) => {
+  switch (mailConfig.transport) {
+    case 'smtp':
+      return new SmtpTransport(mailConfig.smtp);
+    case 'file':
+      return new FileTransport(mailConfig.file);
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+  }
+};
+
+module.exports = {
+  ConsoleTransport,
+  FileTransport,
+  SmtpTransport,
+  createTransport,
+};
@@ -0,0 +1,126 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const authConfig = require('../config/auth');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const loginThrottleService = require('./loginThrottleService');
+const { BadRequestError } = require('../utils/errors');
+
+class PasswordResetService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Email a reset code if the address belongs to an active account.
+   * Unknown addresses are ignored so the response never reveals which exist.
+   * @param {string} email - Normalized email address
+   * @returns {Promise<number|null>} - User ID the code was sent to, or null
+   */
+  async requestReset(email) {
+    const { tokenTtlMinutes } = authConfig.passwordReset;
+
+    const user = await prisma.user.findFirst({
+      where: { email, isActive: true }
+    });
+
+    if (!user) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(16).toString('base64url');
+
+    // Only the newest code works
+    await prisma.$transaction([
+      prisma.passwordResetToken.deleteMany({
+        where: { userId: user.id, usedAt: null }
+      }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId: user.id,
+          tokenHash: this.hashToken(token),
+          expiresAt: new Date(Date.now() + tokenTtlMinutes * 60 * 1000)
+        }
+      })
+    ]);
+
+    await mailService.sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Use this code in the app to choose a new password: ${token}\n\n` +
+        `The code expires in ${tokenTtlMinutes} minutes and can be used once. ` +
+        'If you did not ask to reset your password, you can ignore this email.'
+    });
+
+    return user.id;
+  }
+
+  /**
+   * Set a new password with a reset code and sign the user out everywhere
+   * @param {string} token - Reset code from the email
+   * @param {string} newPassword - New plain text password
+   * @returns {Promise<number>} - User ID whose password was reset
+   */
+  async resetPassword(token, newPassword) {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: this.hashToken(token) },
+      include: { user: true }
+    });
+
+    if (!resetToken || resetToken.usedAt || new Date() > resetToken.expiresAt ||
+      !resetToken.user.isActive) {
+      throw new BadRequestError('Invalid or expired reset code', 'RESET_CODE_INVALID');
+    }
+
+    // Conditional update so the code works only once even under concurrent requests
+    const claimed = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (claimed.count !== 1) {
+      throw new BadRequestError('Invalid or expired reset code', 'RESET_CODE_INVALID');
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword }
+    });
+
+    await tokenService.invalidateAllUserTokens(resetToken.userId, 'PASSWORD_RESET');
+
+    // Proving access to the mailbox is enough to lift a lockout
+    await loginThrottleService.unlockUser(resetToken.userId);
+
+    await mailService.sendMail({
+      to: resetToken.user.email,
+      subject: 'Your password was changed',
+      text: 'The password for your account was just reset and all devices were signed out.\n\n' +
+        'If you did not do this, contact support immediately.'
+    });
+
+    return resetToken.userId;
+  }
+
+  /**
+   * Remove reset codes that were used or have expired
+   * @returns {Promise<number>} - Number of codes removed
+   */
+  async cleanupExpiredTokens() {
+    const result = await prisma.passwordResetToken.deleteMany({
+      where: {
+        OR: [
+          { expiresAt: { lt: new Date() } },
+          { usedAt: { not: null } }
+        ]
+      }
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = new PasswordResetService();
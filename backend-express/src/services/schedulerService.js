@@ -0,0 +1,201 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+const os = require('os');
+const crypto = require('crypto');
+const jobsConfig = require('../config/jobs');
+const { NotFoundError } = require('../utils/errors');
+
+// Timers fire a little late and instances disagree slightly on the time, so a
+// job counts as due a bit before a full interval has passed
+const DUE_TOLERANCE = 0.9;
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.started = false;
+  }
+
+  /**
+   * Add a job. Every instance registers the same jobs; the database lock
+   * decides which instance actually runs each occurrence.
+   * @param {Object} job - { name, intervalMs, handler }
+   */
+  register({ name, intervalMs, handler }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      timer: null,
+      running: false,
+      nextRunAt: null
+    });
+  }
+
+  /**
+   * Start the interval timers and run every due job once right away
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      await prisma.scheduledJob.upsert({
+        where: { name: job.name },
+        create: { name: job.name },
+        update: {}
+      });
+
+      job.timer = setInterval(() => this.tick(job), job.intervalMs);
+      // Pending jobs must not keep the process alive on shutdown
+      job.timer.unref();
+      this.tick(job);
+    }
+
+    console.log(`Scheduler started with ${this.jobs.size} jobs (instance ${this.instanceId})`);
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+    this.started = false;
+  }
+
+  tick(job) {
+    job.nextRunAt = new Date(Date.now() + job.intervalMs);
+    this.runJob(job.name).catch(error => {
+      console.error(`Job ${job.name} error:`, error);
+    });
+  }
+
+  /**
+   * Claim the job's lock if nobody holds it and, unless forced, the job is due
+   * @param {Object} job - Registered job
+   * @param {boolean} force - Ignore when the job last ran
+   * @returns {Promise<boolean>} - True if this instance now holds the lock
+   */
+  async acquireLock(job, force) {
+    const now = new Date();
+
+    const claimed = await prisma.scheduledJob.updateMany({
+      where: {
+        name: job.name,
+        AND: [
+          { OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+          ...(force ? [] : [{
+            OR: [
+              { lastStartedAt: null },
+              { lastStartedAt: { lte: new Date(now.getTime() - job.intervalMs * DUE_TOLERANCE) } }
+            ]
+          }])
+        ]
+      },
+      data: {
+        lockedBy: this.instanceId,
+        lockedUntil: new Date(now.getTime() + jobsConfig.lockTtlSeconds * 1000),
+        lastStartedAt: now
+      }
+    });
+
+    return claimed.count === 1;
+  }
+
+  /**
+   * Run a job now if no instance is already running it
+   * @param {string} name - Job name
+   * @param {Object} [options] - { force: run even if the interval has not passed }
+   * @returns {Promise<Object>} - { ran, status?, result?, error? }
+   */
+  async runJob(name, { force = false } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new NotFoundError('Job not found', 'JOB_NOT_FOUND');
+    }
+
+    if (job.running || !(await this.acquireLock(job, force))) {
+      return { ran: false };
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+    let status = 'SUCCESS';
+    let result = null;
+    let errorMessage = null;
+
+    try {
+      result = (await job.handler()) || null;
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      status = 'FAILED';
+      errorMessage = error.message;
+    } finally {
+      job.running = false;
+    }
+
+    await prisma.scheduledJob.updateMany({
+      where: { name, lockedBy: this.instanceId },
+      data: {
+        lockedBy: null,
+        lockedUntil: null,
+        lastFinishedAt: new Date(),
+        lastStatus: status,
+        // Nullable Json columns take DbNull rather than a plain null
+        lastResult: result ?? Prisma.DbNull,
+        lastError: errorMessage,
+        lastDurationMs: Date.now() - startedAt
+      }
+    });
+
+    return {
+      ran: true,
+      status,
+      ...(result && { result }),
+      ...(errorMessage && { error: errorMessage })
+    };
+  }
+
+  /**
+   * Last run of every registered job, whichever instance ran it
+   * @returns {Promise<Object>} - { instanceId, running, jobs }
+   */
+  async getStatus() {
+    const rows = await prisma.scheduledJob.findMany({
+      where: { name: { in: [...this.jobs.keys()] } }
+    });
+    const rowsByName = new Map(rows.map(row => [row.name, row]));
+
+    return {
+      instanceId: this.instanceId,
+      running: this.started,
+      jobs: [...this.jobs.values()].map(job => {
+        const row = rowsByName.get(job.name) || {};
+
+        return {
+          name: job.name,
+          intervalMs: job.intervalMs,
+          nextRunAt: job.nextRunAt,
+          lockedBy: row.lockedBy || null,
+          lockedUntil: row.lockedUntil || null,
+          lastStartedAt: row.lastStartedAt || null,
+          lastFinishedAt: row.lastFinishedAt || null,
+          lastStatus: row.lastStatus || null,
+          lastResult: row.lastResult || null,
+          lastError: row.lastError || null,
+          lastDurationMs: row.lastDurationMs ?? null
+        };
+      })
+    };
+  }
+}
+
+module.exports = new SchedulerService();
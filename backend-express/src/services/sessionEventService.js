@@ -0,0 +1,151 @@
+const { prisma } = require('../config/database');
+const authConfig = require('../config/auth');
+
+const EVENT_TYPES = [
+  'session.revoked',
+  'account.deactivated',
+  'policy.changed'
+];
+
+// After these the device has no session left, so its stream is closed too
+const TERMINAL_EVENTS = ['session.revoked', 'account.deactivated'];
+
+class SessionEventService {
+  constructor() {
+    // Open streams on this instance: { userId, deviceHash, res, timers }
+    this.streams = new Set();
+    this.eventTypes = EVENT_TYPES;
+  }
+
+  /**
+   * Turn a response into a server-sent event stream for one device session.
+   * Events are pushed from this process only; a revocation made by another
+   * instance is picked up by the periodic session check instead.
+   * @param {Object} session - { userId, deviceHash } of the authenticated token
+   * @param {Object} req - Express request, closed when the client goes away
+   * @param {Object} res - Express response to stream to
+   */
+  subscribe({ userId, deviceHash }, req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Proxies must not buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${authConfig.sessionEvents.retryMs}\n\n`);
+
+    const stream = { userId, deviceHash, res, timers: [] };
+    this.streams.add(stream);
+
+    stream.timers.push(setInterval(() => {
+      res.write(': ping\n\n');
+    }, authConfig.sessionEvents.heartbeatSeconds * 1000));
+
+    stream.timers.push(setInterval(() => {
+      this.checkSession(stream).catch((error) => {
+        console.error('Session event check error:', error);
+      });
+    }, authConfig.sessionEvents.recheckSeconds * 1000));
+
+    req.on('close', () => this.close(stream));
+
+    this.send(stream, 'connected', {});
+  }
+
+  close(stream) {
+    if (!this.streams.delete(stream)) {
+      return;
+    }
+
+    stream.timers.forEach(clearInterval);
+    stream.res.end();
+  }
+
+  send(stream, event, data) {
+    // A check can finish after the client went away
+    if (!this.streams.has(stream)) {
+      return;
+    }
+
+    stream.res.write(`event: ${event}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`);
+
+    if (TERMINAL_EVENTS.includes(event)) {
+      this.close(stream);
+    }
+  }
+
+  /**
+   * Push an event to a user's connected devices
+   * @param {number} userId - User ID
+   * @param {string} event - One of EVENT_TYPES
+   * @param {Object} [data] - Event payload, usually { reason }
+   * @param {Object} [target] - { deviceHash } for one device only, or
+   *   { exceptDeviceHash } to skip the device that caused the change
+   * @returns {number} - Number of streams the event was sent to
+   */
+  publish(userId, event, data = {}, { deviceHash, exceptDeviceHash } = {}) {
+    if (!EVENT_TYPES.includes(event)) {
+      throw new Error(`Unknown session event: ${event}`);
+    }
+
+    let sent = 0;
+    for (const stream of [...this.streams]) {
+      if (stream.userId !== userId ||
+          (deviceHash && stream.deviceHash !== deviceHash) ||
+          (exceptDeviceHash && stream.deviceHash === exceptDeviceHash)) {
+        continue;
+      }
+
+      this.send(stream, event, data);
+      sent++;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Catch revocations this instance did not see. Access tokens are rotated
+   * under an open stream, so the session counts as alive while the device
+   * holds any refresh token that was not revoked.
+   * @param {Object} stream - Open stream
+   * @returns {Promise<void>}
+   */
+  async checkSession(stream) {
+    const user = await prisma.user.findUnique({
+      where: { id: stream.userId },
+      select: { isActive: true }
+    });
+
+    if (!user || !user.isActive) {
+      this.send(stream, 'account.deactivated', {
+        reason: user ? 'ACCOUNT_DEACTIVATED' : 'ACCOUNT_DELETED'
+      });
+      return;
+    }
+
+    const refreshTokens = await prisma.refreshToken.count({
+      where: {
+        userId: stream.userId,
+        deviceHash: stream.deviceHash,
+        isRevoked: false,
+        expiresAt: { gt: new Date() }
+      }
+    });
+
+    if (refreshTokens === 0) {
+      this.send(stream, 'session.revoked', { reason: 'SESSION_ENDED' });
+    }
+  }
+
+  /**
+   * End every stream, e.g. on shutdown
+   */
+  closeAll() {
+    for (const stream of [...this.streams]) {
+      this.close(stream);
+    }
+  }
+}
+
+module.exports = new SessionEventService();
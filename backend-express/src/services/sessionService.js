@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const authConfig = require('../config/auth');
+const tokenService = require('./tokenService');
+const deviceService = require('./deviceService');
+const { NotFoundError } = require('../utils/errors');
+
+class SessionService {
+  /**
+   * Open a session: a new refresh token family plus a record of where the
+   * login came from, so the user can recognise it later
+   * @param {number} userId - User ID
+   * @param {string} deviceHash - Processed device hash
+   * @param {Object} [details] - { deviceInfo, context } of the login request
+   * @returns {Promise<Object>} - { token, refreshToken }
+   */
+  async startSession(userId, deviceHash, { deviceInfo, context } = {}) {
+    const familyId = crypto.randomUUID();
+
+    await prisma.session.create({
+      data: {
+        id: familyId,
+        userId,
+        deviceHash,
+        ...deviceService.pickDeviceMetadata(deviceInfo),
+        ipAddress: context ? context.ipAddress : null,
+        userAgent: context ? context.userAgent : null
+      }
+    });
+
+    return await tokenService.generateTokenPair(userId, deviceHash, familyId);
+  }
+
+  /**
+   * Note that a session was just refreshed. Sessions from before session
+   * records existed have no row, which is fine.
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<void>}
+   */
+  async touchSession(familyId) {
+    await prisma.session.updateMany({
+      where: { id: familyId },
+      data: { lastSeenAt: new Date() }
+    });
+  }
+
+  /**
+   * List the sessions of a user that can still be refreshed
+   * @param {number} userId - User ID
+   * @param {Object} [current] - { familyId, deviceHash } of the requesting
+   *   access token, to mark its session; omitted for admin views
+   * @returns {Promise<Array>} - Sessions, most recently used first
+   */
+  async getActiveSessions(userId, current = null) {
+    try {
+      // The unused refresh token of a family is its current one
+      const refreshTokens = await prisma.refreshToken.findMany({
+        where: {
+          userId,
+          isRevoked: false,
+          usedAt: null,
+          expiresAt: {
+            gt: new Date()
+          }
+        },
+        select: {
+          familyId: true,
+          deviceHash: true,
+          createdAt: true,
+          expiresAt: true
+        }
+      });
+      const familyIds = refreshTokens.map(refreshToken => refreshToken.familyId);
+
+      const sessions = await prisma.session.findMany({
+        where: { id: { in: familyIds } }
+      });
+      const sessionsById = new Map(sessions.map(session => [session.id, session]));
+
+      const devices = await prisma.device.findMany({
+        where: {
+          userId,
+          identifier: {
+            in: refreshTokens.map(refreshToken => refreshToken.deviceHash)
+          }
+        }
+      });
+      const devicesByIdentifier = new Map(
+        devices.map(device => [device.identifier, device])
+      );
+
+      const lastUse = await prisma.token.groupBy({
+        by: ['familyId'],
+        where: { familyId: { in: familyIds } },
+        _max: { lastUsed: true }
+      });
+      const lastUsedByFamily = new Map(
+        lastUse.map(group => [group.familyId, group._max.lastUsed])
+      );
+
+      return refreshTokens
+        .map(refreshToken => this.describeSession(
+          refreshToken,
+          sessionsById.get(refreshToken.familyId),
+          devicesByIdentifier.get(refreshToken.deviceHash),
+          lastUsedByFamily.get(refreshToken.familyId),
+          current
+        ))
+        .sort((a, b) => b.lastUsed - a.lastUsed);
+    } catch (error) {
+      console.error('Get active sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shape one session for the API
+   * @param {Object} refreshToken - Current refresh token of the family
+   * @param {Object} [session] - Session record; missing for sessions opened
+   *   before session records existed
+   * @param {Object} [device] - Device record the session is bound to
+   * @param {Date} [lastUsed] - Last request made with one of its access tokens
+   * @param {Object} [current] - { familyId, deviceHash } of the caller
+   * @returns {Object} - Session as returned by the sessions endpoints
+   */
+  describeSession(refreshToken, session, device, lastUsed, current) {
+    const details = session || {};
+    // The session record is the login itself; the device record only knows
+    // what the device reported last
+    const platform = details.platform || (device && device.platform) || null;
+    const hostname = details.hostname || (device && device.hostname) || null;
+
+    let isCurrent = false;
+    if (current) {
+      // Access tokens issued before session records had no family
+      isCurrent = current.familyId
+        ? current.familyId === refreshToken.familyId
+        : current.deviceHash === refreshToken.deviceHash;
+    }
+
+    return {
+      id: refreshToken.familyId,
+      name: details.name || null,
+      label: details.name || (device && device.name) || hostname || platform || 'Unknown device',
+      current: isCurrent,
+      deviceId: deviceService.truncateIdentifier(refreshToken.deviceHash),
+      device: device ? {
+        id: device.id,
+        name: device.name,
+        platform: device.platform,
+        hostname: device.hostname,
+        status: device.status
+      } : null,
+      platform,
+      arch: details.arch || (device && device.arch) || null,
+      hostname,
+      appVersion: details.appVersion || (device && device.appVersion) || null,
+      ipAddress: details.ipAddress || null,
+      userAgent: details.userAgent || null,
+      createdAt: details.createdAt || refreshToken.createdAt,
+      lastUsed: lastUsed || details.lastSeenAt || refreshToken.createdAt,
+      expiresAt: refreshToken.expiresAt
+    };
+  }
+
+  /**
+   * Give one of the user's sessions a name, or clear it with null
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session (refresh token family) ID
+   * @param {string|null} name - New name
+   * @returns {Promise<Object>} - { id, name }
+   */
+  async renameSession(userId, sessionId, name) {
+    try {
+      const refreshToken = await prisma.refreshToken.findFirst({
+        where: {
+          familyId: sessionId,
+          userId,
+          isRevoked: false,
+          expiresAt: {
+            gt: new Date()
+          }
+        }
+      });
+
+      if (!refreshToken) {
+        throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+      }
+
+      // Sessions from before session records existed get one now
+      const session = await prisma.session.upsert({
+        where: { id: sessionId },
+        create: {
+          id: sessionId,
+          userId,
+          deviceHash: refreshToken.deviceHash,
+          name: name || null,
+          createdAt: refreshToken.createdAt
+        },
+        update: { name: name || null }
+      });
+
+      return { id: session.id, name: session.name };
+    } catch (error) {
+      console.error('Rename session error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove records of sessions that cannot be refreshed anymore: nothing
+   * refreshed them for longer than a refresh token lives
+   * @returns {Promise<number>} - Number of removed records
+   */
+  async cleanupStaleSessions() {
+    const cutoff = new Date(
+      Date.now() - authConfig.refreshToken.expiresInDays * 24 * 60 * 60 * 1000
+    );
+
+    const result = await prisma.session.deleteMany({
+      where: {
+        lastSeenAt: {
+          lt: cutoff
+        }
+      }
+    });
+
+    return result.count;
+  }
+}
+
+module.exports = new SessionService();
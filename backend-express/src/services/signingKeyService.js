@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+
+// JWT algorithm for each supported private key type
+const ALGORITHMS = {
+  ed25519: 'EdDSA',
+  rsa: 'RS256'
+};
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class SigningKeyService {
+  constructor() {
+    this.keys = [];
+    this.loadedAt = 0;
+  }
+
+  getDirectory() {
+    return path.resolve(authConfig.jwt.keyDirectory);
+  }
+
+  /**
+   * Read every <kid>.pem private key in the key directory, newest first.
+   * A key's age is its file modification time.
+   * @returns {Array} - Loaded keys
+   */
+  load() {
+    const directory = this.getDirectory();
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+
+    const keys = [];
+    for (const fileName of fs.readdirSync(directory)) {
+      const kid = path.basename(fileName, '.pem');
+      if (path.extname(fileName) !== '.pem' || !KID_PATTERN.test(kid)) {
+        continue;
+      }
+
+      const filePath = path.join(directory, fileName);
+      try {
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(filePath));
+        const alg = ALGORITHMS[privateKey.asymmetricKeyType];
+        if (!alg) {
+          console.warn(`Skipping signing key ${fileName}: unsupported key type ${privateKey.asymmetricKeyType}`);
+          continue;
+        }
+
+        keys.push({
+          kid,
+          alg,
+          filePath,
+          privateKey,
+          publicKey: crypto.createPublicKey(privateKey),
+          createdAt: fs.statSync(filePath).mtime
+        });
+      } catch (error) {
+        console.error(`Load signing key ${fileName} error:`, error);
+      }
+    }
+
+    keys.sort((a, b) => b.createdAt - a.createdAt);
+    this.keys = keys;
+    this.loadedAt = Date.now();
+
+    return keys;
+  }
+
+  /**
+   * Loaded keys, reread from disk once they are older than reloadSeconds
+   * @param {boolean} [force] - Reread now
+   * @returns {Array} - Keys, newest first
+   */
+  getKeys(force = false) {
+    if (force || Date.now() - this.loadedAt > authConfig.jwt.reloadSeconds * 1000) {
+      this.load();
+    }
+    return this.keys;
+  }
+
+  /**
+   * Create a new key pair in the key directory. It signs from now on.
+   * @param {string} [algorithm] - EdDSA or RS256
+   * @returns {Object} - The new key
+   */
+  generateKey(algorithm = authConfig.jwt.algorithm) {
+    let keyPair;
+    if (algorithm === 'EdDSA') {
+      keyPair = crypto.generateKeyPairSync('ed25519');
+    } else if (algorithm === 'RS256') {
+      keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    } else {
+      throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+    }
+
+    const stamp = new Date().toISOString().replace(/[-:.TZ]/g, '');
+    const kid = `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+    const directory = this.getDirectory();
+
+    fs.mkdirSync(directory, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(
+      path.join(directory, `${kid}.pem`),
+      keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      { mode: 0o600, flag: 'wx' }
+    );
+
+    console.log(`Generated ${algorithm} signing key ${kid}`);
+    this.load();
+
+    return this.keys.find(key => key.kid === kid);
+  }
+
+  /**
+   * Key used to sign new tokens. The first key is created on demand.
+   * @returns {Object} - Newest key
+   */
+  getSigningKey() {
+    const keys = this.getKeys();
+    return keys.length > 0 ? keys[0] : this.generateKey();
+  }
+
+  /**
+   * Look up a key by kid. An unknown kid may be a key another instance
+   * created since the last load, so the directory is reread early - but at
+   * most once per unknownKidReloadSeconds, since the kid comes from a token
+   * nobody has verified yet.
+   * @param {string} kid - Key ID from the token header
+   * @returns {Object|null} - Key, or null if unknown
+   */
+  getVerificationKey(kid) {
+    const find = () => this.keys.find(key => key.kid === kid) || null;
+
+    this.getKeys();
+    let key = find();
+    const reloadedRecently = Date.now() - this.loadedAt < authConfig.jwt.unknownKidReloadSeconds * 1000;
+    if (!key && KID_PATTERN.test(kid || '') && !reloadedRecently) {
+      this.getKeys(true);
+      key = find();
+    }
+
+    return key;
+  }
+
+  /**
+   * Public half of a key as a JWK
+   * @param {Object} key - Loaded key
+   * @returns {Object} - JWK with kid, alg and use
+   */
+  toJwk(key) {
+    return {
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    };
+  }
+
+  /**
+   * Public keys in JWK Set format for /.well-known/jwks.json
+   * @returns {Object} - { keys }
+   */
+  getJwks() {
+    return {
+      keys: this.getKeys().map(key => this.toJwk(key))
+    };
+  }
+
+  /**
+   * Generate a new signing key when the current one is older than
+   * rotationDays, and delete keys that were replaced longer ago than the
+   * grace period
+   * @returns {Object} - { rotated, signingKid, removed }
+   */
+  rotateKeys() {
+    const { rotationDays } = authConfig.jwt;
+    // Offline leases are signed with these keys too and live for days
+    const gracePeriodHours = Math.max(authConfig.jwt.gracePeriodHours, authConfig.offlineLease.days * 24);
+    const now = Date.now();
+
+    let keys = this.getKeys(true);
+    let rotated = false;
+    if (keys.length === 0 || now - keys[0].createdAt > rotationDays * 24 * 60 * 60 * 1000) {
+      this.generateKey();
+      keys = this.keys;
+      rotated = true;
+    }
+
+    // A key is replaced when the next newer one is created
+    const removed = [];
+    keys.forEach((key, index) => {
+      if (index === 0) {
+        return;
+      }
+      const replacedAt = keys[index - 1].createdAt;
+      if (now - replacedAt > gracePeriodHours * 60 * 60 * 1000) {
+        fs.unlinkSync(key.filePath);
+        removed.push(key.kid);
+      }
+    });
+
+    if (removed.length > 0) {
+      this.load();
+    }
+
+    return { rotated, signingKid: this.keys[0].kid, removed };
+  }
+}
+
+module.exports = new SigningKeyService();
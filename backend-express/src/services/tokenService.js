@@ -1,26 +1,36 @@
 const { prisma } = require('../config/database');
-const { generateToken, verifyToken } = require('../utils/jwt');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const { generateToken, verifyToken, decodeToken } = require('../utils/jwt');
+const sessionEventService = require('./sessionEventService');
+const { UnauthorizedError } = require('../utils/errors');
 
 class TokenService {
   /**
    * Generate and store a new token
    * @param {number} userId - User ID
    * @param {string} deviceHash - Device hash
+   * @param {string} [familyId] - Session the token belongs to
    * @returns {Promise<string>} - Generated token
    */
-  async generateToken(userId, deviceHash) {
+  async generateToken(userId, deviceHash, familyId = null) {
     const token = generateToken({
       userId,
       deviceHash,
+      // Unique per token so a refresh within the same second never collides
+      jti: crypto.randomUUID(),
     });
 
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    // Keep the database expiry in sync with the JWT's own exp claim
+    const { exp } = decodeToken(token);
+    const expiresAt = new Date(exp * 1000);
 
     await prisma.token.create({
       data: {
-        token,
+        tokenHash: this.hashAccessToken(token),
         userId,
         deviceHash,
+        familyId,
         expiresAt,
         isValid: true,
         createdAt: new Date(),
@@ -31,6 +41,166 @@ class TokenService {
     return token;
   }
 
+  /**
+   * Generate an access token together with a refresh token
+   * @param {number} userId - User ID
+   * @param {string} deviceHash - Device hash
+   * @param {string} [familyId] - Refresh token family to continue (new family if omitted)
+   * @returns {Promise<Object>} - { token, refreshToken }
+   */
+  async generateTokenPair(userId, deviceHash, familyId = crypto.randomUUID()) {
+    const token = await this.generateToken(userId, deviceHash, familyId);
+    const refreshToken = await this.generateRefreshToken(userId, deviceHash, familyId);
+
+    return { token, refreshToken };
+  }
+
+  /**
+   * Generate and store a new single-use refresh token
+   * @param {number} userId - User ID
+   * @param {string} deviceHash - Device hash the refresh token is bound to
+   * @param {string} familyId - Refresh token family ID
+   * @returns {Promise<string>} - Generated refresh token
+   */
+  async generateRefreshToken(userId, deviceHash, familyId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(
+      Date.now() + authConfig.refreshToken.expiresInDays * 24 * 60 * 60 * 1000
+    );
+
+    await prisma.refreshToken.create({
+      data: {
+        tokenHash: this.hashRefreshToken(refreshToken),
+        familyId,
+        userId,
+        deviceHash,
+        expiresAt
+      }
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Hash an access token for storage and lookup, so a database dump
+   * contains no usable sessions
+   * @param {string} token - Raw JWT
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashAccessToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * A refresh token can only be used once; presenting one that was already
+   * used or revoked is treated as theft and revokes the whole family.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {string} deviceHash - Processed device hash of the caller
+   * @returns {Promise<Object>} - { userId, deviceHash, familyId, token, refreshToken }
+   */
+  async rotateRefreshToken(refreshToken, deviceHash) {
+    const record = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hashRefreshToken(refreshToken) }
+    });
+
+    if (!record) {
+      throw new UnauthorizedError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    if (record.usedAt) {
+      await this.revokeRefreshTokenFamily(record.familyId, record.userId, record.deviceHash, 'TOKEN_REUSE');
+      throw new UnauthorizedError('Refresh token reuse detected. All sessions for this device have been revoked.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    // Revoked by logout, password change or device transfer - nothing to escalate
+    if (record.isRevoked) {
+      throw new UnauthorizedError('Refresh token revoked', 'REFRESH_TOKEN_REVOKED');
+    }
+
+    if (new Date() > record.expiresAt) {
+      throw new UnauthorizedError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    if (deviceHash !== record.deviceHash) {
+      await this.revokeRefreshTokenFamily(record.familyId, record.userId, record.deviceHash, 'DEVICE_MISMATCH');
+      throw new UnauthorizedError('Device mismatch. This account is registered to a different device.', 'DEVICE_MISMATCH');
+    }
+
+    // Mark as used only if nobody else did it first, so two concurrent
+    // refreshes with the same token cannot both succeed
+    const claimed = await prisma.refreshToken.updateMany({
+      where: { id: record.id, usedAt: null, isRevoked: false },
+      data: { usedAt: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      await this.revokeRefreshTokenFamily(record.familyId, record.userId, record.deviceHash, 'TOKEN_REUSE');
+      throw new UnauthorizedError('Refresh token reuse detected. All sessions for this device have been revoked.', 'REFRESH_TOKEN_REUSED');
+    }
+
+    // Rotating ends the previous access token for this device as well
+    await prisma.token.updateMany({
+      where: { userId: record.userId, deviceHash: record.deviceHash, isValid: true },
+      data: { isValid: false }
+    });
+
+    const pair = await this.generateTokenPair(record.userId, record.deviceHash, record.familyId);
+
+    return {
+      userId: record.userId,
+      deviceHash: record.deviceHash,
+      familyId: record.familyId,
+      ...pair
+    };
+  }
+
+  /**
+   * Revoke every refresh token in a family and the access tokens issued to it
+   * @param {string} familyId - Refresh token family ID
+   * @param {number} userId - User ID
+   * @param {string} deviceHash - Device hash the family is bound to
+   * @param {string} [reason] - Sent to the device with the session.revoked event
+   * @returns {Promise<void>}
+   */
+  async revokeRefreshTokenFamily(familyId, userId, deviceHash, reason = 'SESSION_REVOKED') {
+    await prisma.refreshToken.updateMany({
+      where: { familyId, isRevoked: false },
+      data: { isRevoked: true }
+    });
+
+    await prisma.token.updateMany({
+      where: { userId, deviceHash, isValid: true },
+      data: { isValid: false }
+    });
+
+    sessionEventService.publish(userId, 'session.revoked', { reason }, { deviceHash });
+  }
+
+  /**
+   * Revoke the refresh token family a raw refresh token belongs to
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<void>}
+   */
+  async revokeRefreshToken(refreshToken) {
+    const record = await prisma.refreshToken.findUnique({
+      where: { tokenHash: this.hashRefreshToken(refreshToken) }
+    });
+
+    if (record) {
+      await this.revokeRefreshTokenFamily(record.familyId, record.userId, record.deviceHash, 'LOGGED_OUT');
+    }
+  }
+
   /**
    * Verify a token
    * @param {string} token - JWT token to verify
@@ -43,7 +213,7 @@ class TokenService {
     // Then check if token exists in database and is valid
     const tokenRecord = await prisma.token.findFirst({
       where: {
-        token,
+        tokenHash: this.hashAccessToken(token),
         isValid: true,
         expiresAt: {
           gt: new Date()
@@ -52,7 +222,7 @@ class TokenService {
     });
 
     if (!tokenRecord) {
-      throw new Error('Token not found or expired');
+      throw new UnauthorizedError('Token not found or expired', 'TOKEN_INVALID');
     }
 
     // Update last used timestamp
@@ -64,38 +234,58 @@ class TokenService {
     return decoded;
   }
 
-  async createToken(userId, deviceId) {
-    const token = generateToken({
-      userId,
-      deviceId,
+  async invalidateToken(token) {
+    await prisma.token.updateMany({
+      where: { tokenHash: this.hashAccessToken(token) },
+      data: { isValid: false }
     });
+  }
 
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  /**
+   * Revoke every session of a user
+   * @param {number} userId - User ID
+   * @param {string|null} [reason] - Pushed to the user's connected devices as
+   *   session.revoked; null revokes without telling them
+   * @returns {Promise<void>}
+   */
+  async invalidateAllUserTokens(userId, reason = 'SESSION_REVOKED') {
+    await prisma.token.updateMany({
+      where: { userId },
+      data: { isValid: false }
+    });
 
-    await prisma.token.create({
-      data: {
-        token,
-        userId,
-        deviceId,
-        expiresAt,
-      }
+    await prisma.refreshToken.updateMany({
+      where: { userId, isRevoked: false },
+      data: { isRevoked: true }
     });
 
-    return token;
+    if (reason) {
+      sessionEventService.publish(userId, 'session.revoked', { reason });
+    }
   }
 
-  async invalidateToken(token) {
+  /**
+   * Revoke the sessions of one device of a user
+   * @param {number} userId - User ID
+   * @param {string} deviceHash - Processed device hash
+   * @param {string|null} [reason] - Pushed to that device as session.revoked;
+   *   null revokes without telling it
+   * @returns {Promise<void>}
+   */
+  async invalidateDeviceTokens(userId, deviceHash, reason = 'SESSION_REVOKED') {
     await prisma.token.updateMany({
-      where: { token },
+      where: { userId, deviceHash, isValid: true },
       data: { isValid: false }
     });
-  }
 
-  async invalidateAllUserTokens(userId) {
-    await prisma.token.updateMany({
-      where: { userId },
-      data: { isValid: false }
+    await prisma.refreshToken.updateMany({
+      where: { userId, deviceHash, isRevoked: false },
+      data: { isRevoked: true }
     });
+
+    if (reason) {
+      sessionEventService.publish(userId, 'session.revoked', { reason }, { deviceHash });
+    }
   }
 
   async cleanupExpiredTokens() {
@@ -107,16 +297,25 @@ class TokenService {
       }
     });
 
-    return result.count;
+    const refreshResult = await prisma.refreshToken.deleteMany({
+      where: {
+        expiresAt: {
+          lt: new Date()
+        }
+      }
+    });
+
+    return result.count + refreshResult.count;
   }
 
   /**
    * Invalidate tokens from other devices
    * @param {number} userId - User ID
    * @param {string} currentDeviceHash - Current device hash to keep active
+   * @param {string|null} [reason] - Sent to the other devices with the session.revoked event; null sends none
    * @returns {Promise<void>}
    */
-  async invalidateOtherDeviceTokens(userId, currentDeviceHash) {
+  async invalidateOtherDeviceTokens(userId, currentDeviceHash, reason = 'LOGGED_OUT_ELSEWHERE') {
     await prisma.token.updateMany({
       where: {
         userId,
@@ -127,24 +326,21 @@ class TokenService {
       },
       data: { isValid: false }
     });
-  }
 
-  async getActiveTokens(userId) {
-    return await prisma.token.findMany({
+    await prisma.refreshToken.updateMany({
       where: {
         userId,
-        isValid: true,
-        expiresAt: {
-          gt: new Date()
-        }
+        deviceHash: {
+          not: currentDeviceHash
+        },
+        isRevoked: false
       },
-      select: {
-        id: true,
-        deviceId: true,
-        createdAt: true,
-        expiresAt: true,
-      }
+      data: { isRevoked: true }
     });
+
+    if (reason) {
+      sessionEventService.publish(userId, 'session.revoked', { reason }, { exceptDeviceHash: currentDeviceHash });
+    }
   }
 }
 
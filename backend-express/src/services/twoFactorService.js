@@ -0,0 +1,269 @@
+const { prisma } = require('../config/database');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const totp = require('../utils/totp');
+const { generateToken, verifyToken } = require('../utils/jwt');
+const { BadRequestError, UnauthorizedError, ConflictError } = require('../utils/errors');
+
+const LOGIN_TICKET_PURPOSE = 'login-2fa';
+
+class TwoFactorService {
+  /**
+   * AES key for TOTP secrets, derived from TWO_FACTOR_ENCRYPTION_KEY
+   * @returns {Buffer} - 32 byte key
+   */
+  getEncryptionKey() {
+    if (!authConfig.twoFactor.encryptionKey) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not set');
+    }
+
+    return crypto.createHash('sha256').update(authConfig.twoFactor.encryptionKey).digest();
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage
+   * @param {string} secret - Base32 secret
+   * @returns {string} - iv:tag:ciphertext, base64 encoded
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} stored - Value produced by encryptSecret()
+   * @returns {string} - Base32 secret
+   */
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = code.toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Start enrollment by storing a new, not yet enabled secret
+   * @param {Object} user - User record
+   * @returns {Promise<Object>} - { secret, otpauthUrl }
+   */
+  async startSetup(user) {
+    if (user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = totp.generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: this.encryptSecret(secret),
+        twoFactorLastStep: null
+      }
+    });
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl(secret, user.username, authConfig.twoFactor.issuer)
+    };
+  }
+
+  /**
+   * Check a TOTP code, accepting each time step at most once
+   * @param {Object} user - User record with twoFactorSecret
+   * @param {string} code - Six digit code
+   * @param {number} [now] - Unix time in milliseconds
+   * @returns {Promise<boolean>} - True if the code is valid and unused
+   */
+  async verifyCode(user, code, now = Date.now()) {
+    if (!user.twoFactorSecret) {
+      return false;
+    }
+
+    const step = totp.verifyTotp(this.decryptSecret(user.twoFactorSecret), code, {
+      now,
+      window: authConfig.twoFactor.window
+    });
+
+    if (step === null) {
+      return false;
+    }
+
+    // Conditional update so a code (or an older one) cannot be replayed
+    const claimed = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { lt: step } }
+        ]
+      },
+      data: { twoFactorLastStep: step }
+    });
+
+    return claimed.count === 1;
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {number} userId - User ID
+   * @param {string} code - Six digit code
+   * @returns {Promise<string[]>} - Recovery codes, shown to the user once
+   */
+  async enable(userId, code) {
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (user.twoFactorEnabled) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new BadRequestError('Start two-factor setup first', 'TWO_FACTOR_SETUP_REQUIRED');
+    }
+
+    if (!(await this.verifyCode(user, code))) {
+      throw new BadRequestError('Invalid two-factor code', 'TWO_FACTOR_INVALID');
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: true }
+    });
+
+    return await this.generateRecoveryCodes(userId);
+  }
+
+  /**
+   * Replace a user's recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} - New plain text codes
+   */
+  async generateRecoveryCodes(userId) {
+    const codes = Array.from({ length: authConfig.twoFactor.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.createMany({
+        data: codes.map(code => ({
+          userId,
+          codeHash: this.hashRecoveryCode(code)
+        }))
+      })
+    ]);
+
+    return codes;
+  }
+
+  /**
+   * Spend a recovery code
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code
+   * @returns {Promise<boolean>} - True if the code was valid and unused
+   */
+  async useRecoveryCode(userId, code) {
+    const claimed = await prisma.recoveryCode.updateMany({
+      where: {
+        userId,
+        codeHash: this.hashRecoveryCode(code),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return claimed.count === 1;
+  }
+
+  /**
+   * Count recovery codes that have not been used yet
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} - Remaining codes
+   */
+  async countRecoveryCodes(userId) {
+    return await prisma.recoveryCode.count({
+      where: { userId, usedAt: null }
+    });
+  }
+
+  /**
+   * Check either a TOTP code or a recovery code
+   * @param {Object} user - User record
+   * @param {Object} factor - { code, recoveryCode }
+   * @returns {Promise<Object>} - { valid, usedRecoveryCode }
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const valid = await this.useRecoveryCode(user.id, recoveryCode);
+      return { valid, usedRecoveryCode: valid };
+    }
+
+    return { valid: await this.verifyCode(user, code), usedRecoveryCode: false };
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and recovery codes
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async disable(userId) {
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastStep: null
+        }
+      }),
+      prisma.recoveryCode.deleteMany({ where: { userId } })
+    ]);
+  }
+
+  /**
+   * Short-lived ticket proving the password step passed on a given device
+   * @param {number} userId - User ID
+   * @param {string} processedHash - Processed device hash that passed the first step
+   * @returns {string} - Signed ticket
+   */
+  createLoginTicket(userId, processedHash) {
+    return generateToken(
+      { userId, deviceHash: processedHash, purpose: LOGIN_TICKET_PURPOSE },
+      { expiresIn: authConfig.twoFactor.loginTicketTtlSeconds }
+    );
+  }
+
+  /**
+   * Verify a login ticket from createLoginTicket()
+   * @param {string} ticket - Signed ticket
+   * @returns {Object} - { userId, deviceHash }
+   */
+  verifyLoginTicket(ticket) {
+    let decoded;
+    try {
+      decoded = verifyToken(ticket);
+    } catch (error) {
+      throw new UnauthorizedError('Two-factor login expired. Please log in again.', 'TWO_FACTOR_TICKET_EXPIRED');
+    }
+
+    if (decoded.purpose !== LOGIN_TICKET_PURPOSE) {
+      throw new UnauthorizedError('Invalid two-factor login ticket', 'TWO_FACTOR_TICKET_INVALID');
+    }
+
+    return { userId: decoded.userId, deviceHash: decoded.deviceHash };
+  }
+}
+
+module.exports = new TwoFactorService();
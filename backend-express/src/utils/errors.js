@@ -0,0 +1,83 @@
+/**
+ * Errors the API reports to clients. The message is shown to the caller as
+ * is, so it must not contain internals; `code` is what clients branch on and
+ * stays the same when the wording changes.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Public message
+   * @param {number} status - HTTP status
+   * @param {string} code - Stable machine-readable code, e.g. INVALID_CREDENTIALS
+   * @param {Object} [extra] - { retryAfter, details } to include in the response
+   */
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', extra = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+
+    if (extra.retryAfter) {
+      this.retryAfter = extra.retryAfter;
+    }
+    if (extra.details) {
+      this.details = extra.details;
+    }
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, code = 'BAD_REQUEST', extra) {
+    super(message, 400, code, extra);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, code = 'UNAUTHORIZED', extra) {
+    super(message, 401, code, extra);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN', extra) {
+    super(message, 403, code, extra);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND', extra) {
+    super(message, 404, code, extra);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', extra) {
+    super(message, 409, code, extra);
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, code = 'TOO_MANY_REQUESTS', extra) {
+    super(message, 429, code, extra);
+  }
+}
+
+// Request body or parameters failed express-validator checks
+class ValidationError extends AppError {
+  /**
+   * @param {Array} details - Result of validationResult(req).array()
+   */
+  constructor(details) {
+    super('Validation failed', 400, 'VALIDATION_FAILED', { details });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ValidationError
+};
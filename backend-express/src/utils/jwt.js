@@ -1,26 +1,116 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const authConfig = require('../config/auth');
+const signingKeyService = require('../services/signingKeyService');
+const { UnauthorizedError } = require('./errors');
 
-const generateToken = (payload) => {
-  return jwt.sign(payload, authConfig.jwt.secret, {
-    expiresIn: authConfig.jwt.expiresIn,
-  });
+// jsonwebtoken cannot sign EdDSA, so tokens are signed and checked with
+// node's crypto directly. Only the algorithm of the key named by `kid` is
+// accepted, which rules out algorithm confusion attacks.
+const DIGESTS = {
+  EdDSA: null,
+  RS256: 'sha256'
 };
 
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+/**
+ * Convert '15m', '12h', '30' (seconds) or a number of seconds to seconds
+ * @param {string|number} value - Duration
+ * @returns {number} - Seconds
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Sign a JWT with the current signing key
+ * @param {Object} payload - Claims
+ * @param {Object} [options] - { expiresIn }, defaults to JWT_EXPIRES_IN
+ * @returns {string} - Signed token
+ */
+const generateToken = (payload, { expiresIn = authConfig.jwt.expiresIn } = {}) => {
+  const key = signingKeyService.getSigningKey();
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = { alg: key.alg, typ: 'JWT', kid: key.kid };
+  const claims = {
+    ...payload,
+    iss: authConfig.jwt.issuer,
+    iat: now,
+    exp: now + parseDuration(expiresIn)
+  };
+
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = crypto.sign(DIGESTS[key.alg], Buffer.from(signingInput), key.privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Check signature, issuer and expiry of a JWT
+ * @param {string} token - Signed token
+ * @returns {Object} - Claims
+ */
 const verifyToken = (token) => {
   try {
-    return jwt.verify(token, authConfig.jwt.secret);
+    const parts = String(token).split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+
+    const header = decodeSegment(parts[0]);
+    const key = signingKeyService.getVerificationKey(header.kid);
+    if (!key || header.alg !== key.alg) {
+      throw new Error('Unknown signing key');
+    }
+
+    const valid = crypto.verify(
+      DIGESTS[key.alg],
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      key.publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+      throw new Error('Bad signature');
+    }
+
+    const claims = decodeSegment(parts[1]);
+    if (claims.iss !== authConfig.jwt.issuer) {
+      throw new Error('Wrong issuer');
+    }
+    if (typeof claims.exp !== 'number' || Date.now() >= claims.exp * 1000) {
+      throw new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
+    }
+
+    return claims;
   } catch (error) {
-    throw new Error('Invalid token');
+    // Expiry is normal and worth telling apart; other reasons stay private
+    if (error.code === 'TOKEN_EXPIRED') {
+      throw error;
+    }
+    throw new UnauthorizedError('Invalid token', 'TOKEN_INVALID');
   }
 };
 
-const decodeToken = (token) => {
-  return jwt.decode(token);
+const decodeToken = (token, options) => {
+  return jwt.decode(token, options);
 };
 
 module.exports = {
   generateToken,
   verifyToken,
   decodeToken,
+  parseDuration,
 };
@@ -1,4 +1,11 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
+const { ValidationError } = require('./errors');
+
+// Values of the UserRole enum in schema.prisma
+const USER_ROLES = ['USER', 'ADMIN'];
+
+// Values of the DeviceLimitAction enum in schema.prisma
+const DEVICE_LIMIT_ACTIONS = ['REJECT', 'EVICT_OLDEST', 'REQUIRE_APPROVAL'];
 
 const validateRegistration = [
   body('username')
@@ -26,6 +33,28 @@ const validateLogin = [
     .withMessage('Password is required'),
 ];
 
+const validateUsernameCheck = [
+  body('username')
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Username must be between 3 and 20 characters long')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+];
+
+const validateEmailCheck = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 32 })
+    .withMessage('Valid refresh token required'),
+];
+
 const validateDeviceHash = [
   body('deviceHash')
     .isLength({ min: 32 })
@@ -34,6 +63,29 @@ const validateDeviceHash = [
     .withMessage('Invalid device hash format'),
 ];
 
+const validateDeviceProof = [
+  body('publicKey')
+    .isString()
+    .isLength({ min: 40, max: 1000 })
+    .withMessage('Device public key required'),
+  body('challengeId')
+    .isUUID()
+    .withMessage('Valid device challenge required'),
+  body('signature')
+    .isBase64()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Valid device signature required'),
+  body('deviceInfo')
+    .optional()
+    .isObject()
+    .withMessage('Device info must be an object'),
+  body(['deviceInfo.platform', 'deviceInfo.arch', 'deviceInfo.hostname', 'deviceInfo.appVersion'])
+    .optional()
+    .isString()
+    .isLength({ max: 191 })
+    .withMessage('Invalid device info'),
+];
+
 const validateDeviceChange = [
   body('newDeviceHash')
     .isLength({ min: 32 })
@@ -42,6 +94,238 @@ const validateDeviceChange = [
     .withMessage('Invalid device hash format'),
 ];
 
+const validateTransferConfirm = [
+  body('transferId')
+    .isUUID()
+    .withMessage('Valid transfer ID required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Transfer code must be 6 digits'),
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+];
+
+// Either a TOTP code or a recovery code
+const validateSecondFactor = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 32 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Two-factor code or recovery code required'),
+];
+
+const validateTwoFactorLogin = [
+  body('loginTicket')
+    .isString()
+    .notEmpty()
+    .withMessage('Login ticket required'),
+  ...validateSecondFactor,
+];
+
+// Only needed when the account has two-factor authentication enabled
+const validateTransferSecondFactor = [
+  body('twoFactorCode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 32 })
+    .withMessage('Invalid recovery code'),
+];
+
+const validateTwoFactorDisable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...validateSecondFactor,
+];
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+];
+
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 16, max: 64 })
+    .withMessage('Valid reset code required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+];
+
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 16, max: 64 })
+    .withMessage('Valid verification code required'),
+];
+
+const validateUnlockToken = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 16, max: 64 })
+    .withMessage('Valid unlock code required'),
+];
+
+const validateAuditPagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Limit must be a positive integer')
+    .toInt(),
+];
+
+const validateAuditQuery = [
+  ...validateAuditPagination,
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+    .toInt(),
+  query('username')
+    .optional()
+    .isString()
+    .isLength({ max: 191 })
+    .withMessage('Invalid username'),
+  query('event')
+    .optional()
+    .matches(/^[A-Z_]{1,64}$/)
+    .withMessage('Invalid event type'),
+  query('success')
+    .optional()
+    .isBoolean()
+    .withMessage('Success must be true or false')
+    .toBoolean(),
+  query('ipAddress')
+    .optional()
+    .isIP()
+    .withMessage('Invalid IP address'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+    .toDate(),
+];
+
+const validateUserIdParam = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid user ID required')
+    .toInt(),
+];
+
+const validateAdminUserQuery = [
+  ...validateAuditPagination,
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 191 })
+    .withMessage('Search must be 1-191 characters'),
+  query('role')
+    .optional()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(USER_ROLES)
+    .withMessage('Role must be user or admin'),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+];
+
+const validateRoleChange = [
+  ...validateUserIdParam,
+  body('role')
+    .isString()
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(USER_ROLES)
+    .withMessage('Role must be user or admin'),
+];
+
+const validateDeviceReset = [
+  ...validateUserIdParam,
+  body('deviceId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Device ID must be a positive integer')
+    .toInt(),
+];
+
+// null returns a field to the global default
+const validateDevicePolicy = [
+  ...validateUserIdParam,
+  body(['maxDevices', 'maxAccountsPerDevice'])
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limits must be between 1 and 100')
+    .toInt(),
+  body('onLimit')
+    .optional({ nullable: true })
+    .customSanitizer(value => String(value).toUpperCase())
+    .isIn(DEVICE_LIMIT_ACTIONS)
+    .withMessage('onLimit must be reject, evict_oldest or require_approval'),
+];
+
+const validateDeviceReview = [
+  ...validateUserIdParam,
+  param('deviceId')
+    .isInt({ min: 1 })
+    .withMessage('Valid device ID required')
+    .toInt(),
+];
+
+// An empty name or null clears it
+const displayName = body('name')
+  .optional({ nullable: true })
+  .isString()
+  .withMessage('Name must be text')
+  .trim()
+  .isLength({ max: 64 })
+  .withMessage('Name must be at most 64 characters long');
+
+const validateSessionRename = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid session ID required'),
+  displayName,
+];
+
+const validateDeviceRename = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Valid device ID required')
+    .toInt(),
+  displayName,
+];
+
 // Alternative device hash validation for logout-other-devices
 const validateDeviceHashOptional = [
   body('deviceHash')
@@ -55,10 +339,7 @@ const validateDeviceHashOptional = [
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({
-      error: 'Validation failed',
-      details: errors.array(),
-    });
+    return next(new ValidationError(errors.array()));
   }
   next();
 };
@@ -66,8 +347,31 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
   validateRegistration,
   validateLogin,
+  validateUsernameCheck,
+  validateEmailCheck,
+  validateRefreshToken,
   validateDeviceHash,
   validateDeviceHashOptional,
+  validateDeviceProof,
   validateDeviceChange,
+  validateTransferConfirm,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorDisable,
+  validateTransferSecondFactor,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerifyEmail,
+  validateUnlockToken,
+  validateAuditPagination,
+  validateAuditQuery,
+  validateUserIdParam,
+  validateAdminUserQuery,
+  validateRoleChange,
+  validateDeviceReset,
+  validateDevicePolicy,
+  validateDeviceReview,
+  validateSessionRename,
+  validateDeviceRename,
   handleValidationErrors,
 };
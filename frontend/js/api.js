@@ -1,6 +1,18 @@
 // API communication module
 const API_BASE_URL = 'http://localhost:3000/api';
 
+// Error codes for a device proof the server refused (missing or bad hash,
+// key, challenge or signature)
+const DEVICE_PROOF_ERRORS = [
+    'DEVICE_HASH_REQUIRED',
+    'INVALID_DEVICE_HASH',
+    'DEVICE_KEY_INVALID',
+    'DEVICE_HASH_MISMATCH',
+    'DEVICE_CHALLENGE_INVALID',
+    'DEVICE_SIGNATURE_INVALID',
+    'DEVICE_KEY_UNAVAILABLE'
+];
+
 /**
  * Login function to authenticate user
  * @param {string} username - User's username
@@ -9,33 +21,64 @@ const API_BASE_URL = 'http://localhost:3000/api';
  * @returns {Promise<Object>} - Login response with token and user info
  */
 async function login(username, password, deviceId) {
-    try {
-        const response = await fetch(`${API_BASE_URL}/auth/login`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                username,
-                password,
-                deviceId
-            })
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.error || data.message || 'Login failed');
-        }
-        
-        return data;
-    } catch (error) {
-        // Handle network errors
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            throw new Error('Network error: Unable to connect to server. Please check your connection.');
-        }
-        throw error;
+    return requestSession('/auth/login', { username, password, deviceId }, false, 'Login failed');
+}
+
+/**
+ * Send a request that issues tokens (login, registration, device transfer).
+ * The main process adds the device proof, makes the call and keeps the
+ * tokens; the response comes back without the refresh token.
+ * @param {string} endpoint - Sign-in endpoint, e.g. /auth/login
+ * @param {Object} body - Request body
+ * @param {boolean} remember - Keep the session after the app closes
+ * @param {string} fallbackMessage - Error message if the server sends none
+ * @returns {Promise<Object>} - Response body
+ */
+async function requestSession(endpoint, body, remember = false, fallbackMessage = 'Request failed') {
+    const result = await window.authSession.signIn(endpoint, body, remember);
+    
+    if (!result.ok) {
+        throw createApiError(result.data, fallbackMessage);
     }
+    
+    setSessionCache(result.session);
+    return result.data;
+}
+
+/**
+ * Turn an error response into an Error. Handle errors by `code`; the
+ * message is only meant to be shown.
+ * @param {Object} data - Response body: { error, code, retryAfter?, details? }
+ * @param {string} fallbackMessage - Message if the server sends none
+ * @returns {Error} - Error with code, retryAfter and details
+ */
+function createApiError(data, fallbackMessage) {
+    const error = new Error(data.error || data.message || fallbackMessage);
+    error.code = data.code;
+    error.retryAfter = data.retryAfter;
+    error.details = data.details;
+    return error;
+}
+
+/**
+ * Error for a server that could not be reached at all
+ * @returns {Error} - Error with code NETWORK_ERROR
+ */
+function createNetworkError() {
+    const error = new Error('Network error: Unable to connect to server. Please check your connection.');
+    error.code = 'NETWORK_ERROR';
+    return error;
+}
+
+/**
+ * Whether a request failed because the server could not be reached at all
+ * @param {Error} error - Error thrown by fetch or one of the functions here
+ * @returns {boolean} - True for connection failures
+ */
+function isNetworkError(error) {
+    if (!error) return false;
+    return error.code === 'NETWORK_ERROR' ||
+        (error.name === 'TypeError' && Boolean(error.message) && error.message.includes('fetch'));
 }
 
 /**
@@ -43,26 +86,21 @@ async function login(username, password, deviceId) {
  * @returns {Promise<void>}
  */
 async function logout() {
-    const token = getToken();
-    if (!token) return;
+    if (!getToken()) return;
     
-    try {
-        await fetch(`${API_BASE_URL}/auth/logout`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-            }
-        });
-    } catch (error) {
-        console.error('Logout request failed:', error);
-        // Continue with local logout even if server request fails
+    // The main process revokes the refresh token it holds, and drops the
+    // session locally even if the server cannot be reached
+    const result = await window.authSession.clear({ revoke: true });
+    if (!result.success) {
+        console.error('Logout request failed:', result.error);
     }
+    setSessionCache(null);
 }
 
 /**
  * Verify token validity
  * @returns {Promise<boolean>} - True if token is valid
+ * @throws {Error} - When the server cannot be reached
  */
 async function verifyToken() {
     const token = getToken();
@@ -76,40 +114,41 @@ async function verifyToken() {
             }
         });
         
+        // Access token is short-lived; try to renew it before giving up
+        if (!response.ok && canRefreshSession()) {
+            await refreshToken();
+            return true;
+        }
+        
         return response.ok;
     } catch (error) {
         console.error('Token verification failed:', error);
+        // An unreachable server says nothing about the session, so let the
+        // caller decide (the dashboard falls back to the offline lease)
+        if (isNetworkError(error)) {
+            throw createNetworkError();
+        }
         return false;
     }
 }
 
 /**
  * Refresh authentication token
+ * The main process rotates the refresh token it holds and stores the new
+ * binding expiry; this page only gets the new access token
  * @returns {Promise<string>} - New token
  */
 async function refreshToken() {
-    const token = getToken();
-    if (!token) throw new Error('No token available');
+    if (!canRefreshSession()) throw new Error('No refresh token available');
     
-    try {
-        const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json',
-            }
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.error || 'Token refresh failed');
-        }
-        
-        return data.token;
-    } catch (error) {
-        throw error;
+    const result = await window.authSession.refresh();
+    setSessionCache(result.session);
+    
+    if (!result.ok) {
+        throw createApiError(result.data, 'Token refresh failed');
     }
+    
+    return result.data.token;
 }
 
 /**
@@ -131,7 +170,7 @@ async function getUserProfile() {
         const data = await response.json();
         
         if (!response.ok) {
-            throw new Error(data.error || 'Failed to fetch user profile');
+            throw createApiError(data, 'Failed to fetch user profile');
         }
         
         return data;
@@ -144,9 +183,10 @@ async function getUserProfile() {
  * Generic API request function with authentication
  * @param {string} endpoint - API endpoint
  * @param {Object} options - Fetch options
+ * @param {boolean} retryOnExpiry - Refresh the token and retry once on 401
  * @returns {Promise<Object>} - API response
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, retryOnExpiry = true) {
     const token = getToken();
     
     const defaultOptions = {
@@ -172,11 +212,23 @@ async function apiRequest(endpoint, options = {}) {
         if (!response.ok) {
             // Handle token expiration
             if (response.status === 401) {
+                if (retryOnExpiry && canRefreshSession()) {
+                    try {
+                        await refreshToken();
+                        return apiRequest(endpoint, options, false);
+                    } catch (refreshError) {
+                        console.error('Token refresh failed:', refreshError);
+                    }
+                }
+                // The server ended the session, so offline use ends with it
+                if (token) {
+                    await clearOfflineLease();
+                }
                 clearAuthData();
                 window.location.href = './login.html';
                 return;
             }
-            throw new Error(data.error || data.message || 'API request failed');
+            throw createApiError(data, 'API request failed');
         }
         
         return data;
@@ -185,6 +237,21 @@ async function apiRequest(endpoint, options = {}) {
     }
 }
 
+/**
+ * Re-attest this device so the server extends its binding. The main
+ * process signs the proof and stores the new expiry.
+ * @returns {Promise<Object>} - { expiresAt, daysLeft, renewalDue, expired }
+ */
+async function renewDeviceBinding() {
+    const result = await window.authSession.renewDeviceBinding();
+    
+    if (!result.ok) {
+        throw createApiError(result.data, 'Failed to renew device binding');
+    }
+    
+    return syncDeviceBinding(result.data.deviceBinding);
+}
+
 /**
  * Register function to create new user account
  * @param {Object} userData - User registration data
@@ -195,29 +262,7 @@ async function apiRequest(endpoint, options = {}) {
  * @returns {Promise<Object>} - Registration response with token and user info
  */
 async function register(userData) {
-    try {
-        const response = await fetch(`${API_BASE_URL}/auth/register`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(userData)
-        });
-        
-        const data = await response.json();
-        
-        if (!response.ok) {
-            throw new Error(data.error || data.message || 'Registration failed');
-        }
-        
-        return data;
-    } catch (error) {
-        // Handle network errors
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            throw new Error('Network error: Unable to connect to server. Please check your connection.');
-        }
-        throw error;
-    }
+    return requestSession('/auth/register', userData, false, 'Registration failed');
 }
 
 /**
@@ -238,7 +283,7 @@ async function checkUsernameAvailability(username) {
         const data = await response.json();
         
         if (!response.ok) {
-            throw new Error(data.error || 'Failed to check username availability');
+            throw createApiError(data, 'Failed to check username availability');
         }
         
         return data;
@@ -265,7 +310,7 @@ async function checkEmailAvailability(email) {
         const data = await response.json();
         
         if (!response.ok) {
-            throw new Error(data.error || 'Failed to check email availability');
+            throw createApiError(data, 'Failed to check email availability');
         }
         
         return data;
@@ -273,3 +318,205 @@ async function checkEmailAvailability(email) {
         throw error;
     }
 }
+
+/**
+ * Approve moving this account to a new device (called from the current device)
+ * @param {string} newDeviceHash - Device code shown on the new device
+ * @returns {Promise<Object>} - { transferId, expiresAt }
+ */
+async function startDeviceTransfer(newDeviceHash) {
+    return apiRequest('/user/device/transfer', {
+        method: 'POST',
+        body: JSON.stringify({ newDeviceHash })
+    });
+}
+
+/**
+ * Request an emailed code to move the account to this device
+ * @param {string} username - Username or email
+ * @param {string} password - Account password
+ * @param {Object} [secondFactor] - { twoFactorCode } or { recoveryCode } for accounts with 2FA
+ * @returns {Promise<Object>} - { transferId, expiresAt }
+ */
+async function requestDeviceTransferCode(username, password, secondFactor = {}) {
+    // The main process adds the device proof of this device
+    const result = await window.authSession.requestDeviceTransfer({ username, password, ...secondFactor });
+    
+    if (!result.ok) {
+        throw createApiError(result.data, 'Failed to request device transfer');
+    }
+    
+    return result.data;
+}
+
+/**
+ * Confirm a device transfer with the emailed code
+ * @param {string} transferId - Transfer ID from requestDeviceTransferCode
+ * @param {string} code - Six digit code from the email
+ * @param {boolean} [remember] - Keep the session after the app closes
+ * @returns {Promise<Object>} - Login response with token and user info
+ */
+async function confirmDeviceTransfer(transferId, code, remember = false) {
+    return requestSession(
+        '/auth/device-transfer/confirm',
+        { transferId, code },
+        remember,
+        'Failed to confirm device transfer'
+    );
+}
+
+/**
+ * Lift a login lockout with the code from the unlock email
+ * @param {string} token - Unlock code
+ * @returns {Promise<Object>} - Unlock response
+ */
+async function unlockAccount(token) {
+    const response = await fetch(`${API_BASE_URL}/auth/unlock`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw createApiError(data, 'Failed to unlock account');
+    }
+    
+    return data;
+}
+
+/**
+ * Start two-factor enrollment
+ * @returns {Promise<Object>} - { secret, otpauthUrl }
+ */
+async function setupTwoFactor() {
+    return apiRequest('/user/2fa/setup', {
+        method: 'POST'
+    });
+}
+
+/**
+ * Finish two-factor enrollment with a code from the authenticator app
+ * @param {string} code - Six digit code
+ * @returns {Promise<Object>} - { recoveryCodes }
+ */
+async function verifyTwoFactorSetup(code) {
+    return apiRequest('/user/2fa/verify', {
+        method: 'POST',
+        body: JSON.stringify({ code })
+    });
+}
+
+/**
+ * Turn two-factor authentication off
+ * @param {string} password - Account password
+ * @param {Object} secondFactor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} - Response message
+ */
+async function disableTwoFactor(password, secondFactor) {
+    return apiRequest('/user/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ password, ...secondFactor })
+    });
+}
+
+/**
+ * Ask for a password reset code by email
+ * @param {string} email - Account email address
+ * @returns {Promise<Object>} - Response message
+ */
+async function requestPasswordReset(email) {
+    const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw createApiError(data, 'Failed to request password reset');
+    }
+    
+    return data;
+}
+
+/**
+ * Choose a new password with the emailed reset code
+ * @param {string} token - Reset code from the email
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} - Response message
+ */
+async function resetPassword(token, newPassword) {
+    const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, newPassword })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        const error = createApiError(data, 'Failed to reset password');
+        // Validation failures name the rule the new password broke
+        if (data.details && data.details.length) {
+            error.message = data.details[0].msg;
+        }
+        throw error;
+    }
+    
+    return data;
+}
+
+/**
+ * Verify the account email address with the emailed code
+ * @param {string} token - Verification code from the email
+ * @returns {Promise<Object>} - Response message
+ */
+async function verifyEmail(token) {
+    const response = await fetch(`${API_BASE_URL}/auth/verify-email`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw createApiError(data, 'Failed to verify email');
+    }
+    
+    return data;
+}
+
+/**
+ * Send a new verification code to an unverified address
+ * @param {string} email - Account email address
+ * @returns {Promise<Object>} - Response message
+ */
+async function resendVerificationEmail(email) {
+    const response = await fetch(`${API_BASE_URL}/auth/resend-verification`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email })
+    });
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw createApiError(data, 'Failed to resend verification email');
+    }
+    
+    return data;
+}
@@ -1,4 +1,37 @@
 // Main authentication logic for login page
+
+// Set while the login waits for the second factor of a two-factor account
+let pendingTwoFactor = null;
+
+// Why the server ended the previous session; the main process passes the
+// reason of its session event as ?reason= when it opens this page
+const SIGN_OUT_REASONS = {
+  FORCE_LOGOUT: 'You were logged out from all devices.',
+  LOGGED_OUT_ELSEWHERE: 'You were logged out from another device.',
+  PASSWORD_CHANGED: 'Your password was changed. Please log in with the new password.',
+  PASSWORD_RESET: 'Your password was reset. Please log in with the new password.',
+  DEVICE_TRANSFERRED: 'Your account was moved to another device.',
+  DEVICE_RESET: 'An administrator released this device. Please log in again.',
+  DEVICE_EVICTED: 'Your account was signed in on a new device, which replaced this one.',
+  DEVICE_BINDING_EXPIRED: 'This device has to prove its identity again. Please log in.',
+  TOKEN_REUSE: 'Your session was ended because its credentials were used twice.',
+  DEVICE_MISMATCH: 'Your session was ended because it was used from another device.',
+  ACCOUNT_INACTIVE: 'Your account is no longer active.',
+  ACCOUNT_DEACTIVATED: 'Your account was deactivated.',
+  ACCOUNT_DELETED: 'Your account was deleted.',
+  TWO_FACTOR_ENABLED: 'Two-factor authentication was turned on. Please log in again.',
+  TWO_FACTOR_DISABLED: 'Two-factor authentication was turned off. Please log in again.',
+  ROLE_CHANGED: 'Your account permissions changed. Please log in again.',
+  REFRESH_TOKEN_REUSED: 'Your session was ended because its credentials were used twice.'
+};
+
+// The two-factor step cannot finish; the login has to start over
+const TWO_FACTOR_RESTART_ERRORS = [
+  'TWO_FACTOR_TICKET_EXPIRED',
+  'TWO_FACTOR_TICKET_INVALID',
+  'TWO_FACTOR_DEVICE_MISMATCH'
+];
+
 document.addEventListener('DOMContentLoaded', async () => {
   try {
     // Validate secure device before proceeding
@@ -13,7 +46,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     console.log('Secure device validation passed');
 
+    showSignOutReason();
+
     // Check if already logged in
+    await loadSession();
     if (isAuthenticated()) {
       window.location.href = './dashboard.html';
       return;
@@ -29,6 +65,21 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
+/**
+ * Tell the user why they are back on the login page, if the server sent
+ * them here
+ */
+function showSignOutReason() {
+  const reason = new URLSearchParams(window.location.search).get('reason');
+  if (!reason) {
+    return;
+  }
+
+  const notice = document.getElementById('signOutNotice');
+  notice.textContent = SIGN_OUT_REASONS[reason] || 'Your session has ended. Please log in again.';
+  notice.style.display = 'block';
+}
+
 /**
  * Initialize login form event listeners
  */
@@ -46,6 +97,22 @@ function initializeLoginForm() {
     togglePasswordBtn.addEventListener('click', togglePasswordVisibility);
   }
 
+  // Two-factor step links
+  document.getElementById('toggleRecoveryCode').addEventListener('click', (e) => {
+    e.preventDefault();
+    setRecoveryCodeMode(!pendingTwoFactor.useRecoveryCode);
+  });
+
+  document.getElementById('cancelTwoFactor').addEventListener('click', (e) => {
+    e.preventDefault();
+    resetTwoFactorStep();
+  });
+
+  document.getElementById('forgotPasswordLink').addEventListener('click', (e) => {
+    e.preventDefault();
+    showPasswordResetOptions();
+  });
+
   // Handle form input changes
   const inputs = loginForm.querySelectorAll('input');
   inputs.forEach(input => {
@@ -60,6 +127,10 @@ function initializeLoginForm() {
 async function handleLogin(e) {
   e.preventDefault();
 
+  if (pendingTwoFactor) {
+    return handleTwoFactorLogin();
+  }
+
   const username = document.getElementById('username').value.trim();
   const password = document.getElementById('password').value;
   const rememberMe = document.getElementById('rememberMe').checked;
@@ -80,18 +151,15 @@ async function handleLogin(e) {
       throw new Error(`Device security check failed: ${deviceValidation.reason}`);
     }
 
-    // Get secure device hash for authentication
-    const deviceHash = await getSecureDeviceHash(username);
-    if (!deviceHash) {
-      throw new Error('Unable to generate secure device authentication.');
-    }
-
-    // Attempt login
-    const response = await loginWithDeviceHash(username, password, deviceHash);
+    // Attempt login; the main process signs a fresh challenge with the device key
+    const response = await loginWithDeviceProof(username, password, rememberMe);
 
-    // Save authentication data
-    saveAuthData(response.token, response.user, rememberMe);
+    if (response.twoFactorRequired) {
+      showTwoFactorStep(username, password, response.loginTicket);
+      return;
+    }
 
+    // The main process already stored the session and the offline lease
     // Show success message briefly
     showSuccess('Login successful! Redirecting...');
 
@@ -102,6 +170,9 @@ async function handleLogin(e) {
 
   } catch (error) {
     console.error('Login error:', error);
+    if (isNetworkError(error) && await tryOfflineLogin(username, password)) {
+      return;
+    }
     handleLoginError(error);
   } finally {
     setLoadingState(false);
@@ -109,42 +180,150 @@ async function handleLogin(e) {
 }
 
 /**
- * Login with device hash
+ * Login with a signed device challenge
  * @param {string} username - Username
  * @param {string} password - Password  
- * @param {string} deviceHash - Device hash
- * @returns {Promise<Object>} - Login response
+ * @param {boolean} [remember] - Keep the session after the app closes
+ * @returns {Promise<Object>} - Login response, without the refresh token
+ */
+async function loginWithDeviceProof(username, password, remember = false) {
+  return requestSession('/auth/login', {
+    username,
+    password
+  }, remember, 'Login failed');
+}
+
+/**
+ * Log in against the stored offline lease when the server is unreachable
+ * @param {string} username - Username or email
+ * @param {string} password - Password
+ * @returns {Promise<boolean>} - True if an offline session was started
  */
-async function loginWithDeviceHash(username, password, deviceHash) {
+async function tryOfflineLogin(username, password) {
+  const result = await unlockOfflineSession(username, password);
+  if (!result.success) {
+    console.warn('Offline login not possible:', result.error);
+    return false;
+  }
+
+  saveOfflineSession(result.user, result.expiresAt);
+  showSuccess(`Server unreachable. Working offline until ${new Date(result.expiresAt).toLocaleString()}. Redirecting...`);
+
+  setTimeout(() => {
+    window.location.href = './dashboard.html';
+  }, 1000);
+
+  return true;
+}
+
+/**
+ * Finish a two-factor login with the code entered in the second step
+ */
+async function handleTwoFactorLogin() {
+  const value = document.getElementById('twoFactorCode').value.trim();
+
+  if (pendingTwoFactor.useRecoveryCode ? !value : !/^\d{6}$/.test(value)) {
+    showError(pendingTwoFactor.useRecoveryCode
+      ? 'Please enter one of your recovery codes.'
+      : 'Please enter the 6-digit code from your authenticator app.');
+    return;
+  }
+
   try {
-    const response = await fetch(`${API_BASE_URL}/auth/login`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        username,
-        password,
-        deviceHash
-      })
-    });
+    setLoadingState(true);
+    clearError();
 
-    const data = await response.json();
+    // The main process signs a fresh challenge for the second step too
+    const secondFactor = pendingTwoFactor.useRecoveryCode
+      ? { recoveryCode: value }
+      : { code: value };
 
-    if (!response.ok) {
-      throw new Error(data.error || data.message || 'Login failed');
-    }
+    await loginWithTwoFactorCode(
+      pendingTwoFactor.loginTicket,
+      secondFactor,
+      document.getElementById('rememberMe').checked
+    );
 
-    return data;
+    showSuccess('Login successful! Redirecting...');
+
+    setTimeout(() => {
+      window.location.href = './dashboard.html';
+    }, 1000);
   } catch (error) {
-    // Handle network errors
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      throw new Error('Network error: Unable to connect to server. Please check your connection.');
+    console.error('Two-factor login error:', error);
+    if (TWO_FACTOR_RESTART_ERRORS.includes(error.code)) {
+      resetTwoFactorStep();
     }
-    throw error;
+    handleLoginError(error);
+  } finally {
+    setLoadingState(false);
   }
 }
 
+/**
+ * Complete the second login step
+ * @param {string} loginTicket - Ticket returned by the first step
+ * @param {Object} secondFactor - { code } or { recoveryCode }
+ * @param {boolean} [remember] - Keep the session after the app closes
+ * @returns {Promise<Object>} - Login response, without the refresh token
+ */
+async function loginWithTwoFactorCode(loginTicket, secondFactor, remember = false) {
+  return requestSession('/auth/login/2fa', {
+    loginTicket,
+    ...secondFactor
+  }, remember, 'Login failed');
+}
+
+/**
+ * Swap the credential fields for the two-factor code field
+ * @param {string} username - Username from the first step
+ * @param {string} password - Password from the first step, kept for device transfer
+ * @param {string} loginTicket - Ticket returned by the first step
+ */
+function showTwoFactorStep(username, password, loginTicket) {
+  pendingTwoFactor = { username, password, loginTicket, useRecoveryCode: false };
+
+  document.getElementById('credentialsStep').style.display = 'none';
+  document.getElementById('twoFactorStep').style.display = 'block';
+  setRecoveryCodeMode(false);
+  document.querySelector('#loginButton .button-text').textContent = 'Verify';
+  document.getElementById('twoFactorCode').focus();
+}
+
+/**
+ * Go back to the username/password step
+ */
+function resetTwoFactorStep() {
+  pendingTwoFactor = null;
+
+  document.getElementById('twoFactorCode').value = '';
+  document.getElementById('twoFactorStep').style.display = 'none';
+  document.getElementById('credentialsStep').style.display = 'block';
+  document.querySelector('#loginButton .button-text').textContent = 'Login';
+  clearError();
+}
+
+/**
+ * Switch the second step between authenticator codes and recovery codes
+ * @param {boolean} useRecoveryCode - True to ask for a recovery code
+ */
+function setRecoveryCodeMode(useRecoveryCode) {
+  const codeInput = document.getElementById('twoFactorCode');
+
+  pendingTwoFactor.useRecoveryCode = useRecoveryCode;
+  codeInput.value = '';
+  codeInput.maxLength = useRecoveryCode ? 11 : 6;
+  codeInput.inputMode = useRecoveryCode ? 'text' : 'numeric';
+  codeInput.placeholder = useRecoveryCode ? 'xxxxx-xxxxx' : '';
+  document.getElementById('twoFactorLabel').textContent = useRecoveryCode ? 'Recovery Code' : 'Authentication Code';
+  document.getElementById('twoFactorHint').textContent = useRecoveryCode
+    ? 'Enter one of the recovery codes you saved when enabling two-factor authentication.'
+    : 'Enter the 6-digit code from your authenticator app.';
+  document.getElementById('toggleRecoveryCode').textContent = useRecoveryCode
+    ? 'Use an authenticator code instead'
+    : 'Use a recovery code instead';
+}
+
 /**
  * Validate login inputs
  * @param {string} username - Username input
@@ -184,95 +363,405 @@ function validateInputs(username, password) {
  * @param {Error} error - Login error
  */
 function handleLoginError(error) {
-  let errorMessage = 'Login failed. Please try again.';
-
-  if (error.message) {
-    const message = error.message.toLowerCase();
+  let errorMessage;
 
-    if (message.includes('invalid credentials') || message.includes('unauthorized')) {
+  switch (error.code) {
+    case 'INVALID_CREDENTIALS':
       errorMessage = 'Invalid username or password. Please try again.';
-    } else if (message.includes('device') && message.includes('active')) {
-      errorMessage = 'This account is already active on another device. Please logout from the other device first or use force logout.';
-      showDeviceConflictOptions();
-    } else if (message.includes('device') && message.includes('registered')) {
-      errorMessage = 'This device is already registered to another account.';
-    } else if (message.includes('device authentication')) {
-      errorMessage = 'Device authentication failed. Please restart the application.';
-    } else if (message.includes('account is deactivated')) {
+      break;
+    case 'ACCOUNT_LOCKED':
+      errorMessage = `Your account is locked after too many failed attempts. Try again in ${formatWaitTime(error.retryAfter)}, or unlock it with the code sent to your email.`;
+      showAccountUnlockOptions();
+      break;
+    case 'DEVICE_LOCKED':
+      errorMessage = `Too many failed attempts from this device. Try again in ${formatWaitTime(error.retryAfter)}.`;
+      break;
+    case 'LOGIN_THROTTLED':
+      errorMessage = `Too many failed attempts. Please wait ${formatWaitTime(error.retryAfter)} before trying again.`;
+      break;
+    case 'EMAIL_NOT_VERIFIED':
+      errorMessage = 'Please verify your email address before logging in. Enter the code we emailed you.';
+      showEmailVerificationOptions();
+      break;
+    case 'TWO_FACTOR_INVALID':
+      errorMessage = pendingTwoFactor && pendingTwoFactor.useRecoveryCode
+        ? 'That recovery code is invalid or has already been used.'
+        : 'Invalid authentication code. Please try again.';
+      break;
+    case 'TWO_FACTOR_TICKET_EXPIRED':
+    case 'TWO_FACTOR_TICKET_INVALID':
+    case 'TWO_FACTOR_DEVICE_MISMATCH':
+      errorMessage = 'Your sign-in took too long. Please enter your password again.';
+      break;
+    case 'DEVICE_MISMATCH':
+      errorMessage = 'This account is registered to a different device.';
+      showDeviceTransferOptionsForLogin();
+      break;
+    case 'DEVICE_LIMIT_REACHED':
+      // More than one device allowed, all of them taken
+      errorMessage = `${error.message} Move the account to this device, or ask an administrator to release one.`;
+      showDeviceTransferOptionsForLogin();
+      break;
+    case 'DEVICE_APPROVAL_REQUIRED':
+      errorMessage = 'Your account is already in use on as many devices as allowed. An administrator has to approve this device; log in again once it is approved.';
+      break;
+    case 'DEVICE_REJECTED':
+      errorMessage = 'An administrator did not approve this device for your account.';
+      break;
+    case 'DEVICE_ACCOUNT_LIMIT':
+      errorMessage = 'This device is already used by as many accounts as allowed.';
+      break;
+    case 'ACCOUNT_INACTIVE':
       errorMessage = 'Your account has been deactivated. Please contact support.';
-    } else if (message.includes('network') || message.includes('fetch')) {
+      break;
+    case 'NETWORK_ERROR':
       errorMessage = 'Network error. Please check your connection and try again.';
-    } else if (message.includes('server') || message.includes('500')) {
+      break;
+    case 'INTERNAL_ERROR':
       errorMessage = 'Server error. Please try again later.';
-    } else {
-      errorMessage = error.message;
-    }
+      break;
+    default:
+      errorMessage = DEVICE_PROOF_ERRORS.includes(error.code)
+        ? 'Device authentication failed. Please restart the application.'
+        : error.message || 'Login failed. Please try again.';
   }
 
   showError(errorMessage);
 
-  // Clear password field on error
-  document.getElementById('password').value = '';
+  // Clear the field that was just entered
+  if (pendingTwoFactor) {
+    document.getElementById('twoFactorCode').value = '';
+  } else {
+    document.getElementById('password').value = '';
+  }
 }
 
 /**
- * Show device conflict resolution options
+ * Offer to move the account to this device, with the credentials just entered
  */
-function showDeviceConflictOptions() {
-  // Create modal or additional UI for device conflict resolution
-  const conflictDiv = document.createElement('div');
-  conflictDiv.className = 'device-conflict-options';
-  conflictDiv.innerHTML = `
-        <div class="conflict-message">
-            <p>Your account is active on another device.</p>
-            <button id="forceLogoutBtn" class="force-logout-btn">
-                Force Logout from Other Devices
-            </button>
-            <button id="cancelBtn" class="cancel-btn">Cancel</button>
+function showDeviceTransferOptionsForLogin() {
+  showDeviceTransferOptions(
+    pendingTwoFactor ? pendingTwoFactor.username : document.getElementById('username').value.trim(),
+    pendingTwoFactor ? pendingTwoFactor.password : document.getElementById('password').value,
+    Boolean(pendingTwoFactor)
+  );
+}
+
+/**
+ * Format a Retry-After value for error messages
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} - Human readable duration
+ */
+function formatWaitTime(seconds) {
+  if (!seconds) {
+    return 'a moment';
+  }
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Show the unlock form for a locked account
+ */
+function showAccountUnlockOptions() {
+  const existingDiv = document.querySelector('.account-unlock-options');
+  if (existingDiv) {
+    existingDiv.remove();
+  }
+
+  const unlockDiv = document.createElement('div');
+  unlockDiv.className = 'account-unlock-options';
+  unlockDiv.innerHTML = `
+        <div class="unlock-message">
+            <p><small>We emailed an unlock code to the address on your account.</small></p>
+            <input type="text" id="unlockCode" placeholder="Unlock code">
+            <button type="button" id="unlockAccountBtn" class="force-logout-btn">Unlock Account</button>
+            <button type="button" id="cancelUnlockBtn" class="cancel-btn">Cancel</button>
         </div>
     `;
 
-  // Insert after error message
   const errorElement = document.getElementById('errorMessage');
   if (errorElement && errorElement.parentNode) {
-    errorElement.parentNode.insertBefore(conflictDiv, errorElement.nextSibling);
+    errorElement.parentNode.insertBefore(unlockDiv, errorElement.nextSibling);
   }
 
-  // Handle force logout
-  document.getElementById('forceLogoutBtn').addEventListener('click', async () => {
+  document.getElementById('unlockAccountBtn').addEventListener('click', async () => {
+    const code = document.getElementById('unlockCode').value.trim();
+    if (!code) {
+      showError('Please enter the unlock code from your email.');
+      return;
+    }
+
     try {
       setLoadingState(true);
+      await unlockAccount(code);
+      unlockDiv.remove();
+      clearError();
+      showSuccess('Account unlocked. You can log in again.');
+    } catch (error) {
+      console.error('Account unlock error:', error);
+      showError(error.message || 'Failed to unlock account.');
+    } finally {
+      setLoadingState(false);
+    }
+  });
 
-      const username = document.getElementById('username').value.trim();
-      const password = document.getElementById('password').value;
-      const deviceHash = await getDeviceHashForAuth(username);
+  document.getElementById('cancelUnlockBtn').addEventListener('click', () => {
+    unlockDiv.remove();
+  });
+}
 
-      // First login to get token, then force logout from other devices
-      const response = await loginWithDeviceHash(username, password, deviceHash);
+/**
+ * Show the email verification form for accounts that cannot log in until verified
+ */
+function showEmailVerificationOptions() {
+  const existingDiv = document.querySelector('.email-verification-options');
+  if (existingDiv) {
+    existingDiv.remove();
+  }
 
-      // Now logout from other devices
-      await logoutFromOtherDevices(response.token, deviceHash);
+  const verifyDiv = document.createElement('div');
+  verifyDiv.className = 'email-verification-options';
+  verifyDiv.innerHTML = `
+        <div class="verification-message">
+            <input type="text" id="emailVerificationCode" placeholder="Verification code">
+            <button type="button" id="verifyEmailBtn" class="force-logout-btn">Verify Email</button>
+            <p><small>Didn't get the email? Enter your address to send a new code.</small></p>
+            <input type="email" id="verificationEmail" placeholder="Email address">
+            <button type="button" id="resendVerificationBtn" class="cancel-btn">Resend Code</button>
+            <button type="button" id="cancelVerificationBtn" class="cancel-btn">Cancel</button>
+        </div>
+    `;
 
-      // Save auth data and redirect
-      saveAuthData(response.token, response.user, document.getElementById('rememberMe').checked);
-      showSuccess('Successfully logged out from other devices. Redirecting...');
+  const errorElement = document.getElementById('errorMessage');
+  if (errorElement && errorElement.parentNode) {
+    errorElement.parentNode.insertBefore(verifyDiv, errorElement.nextSibling);
+  }
+
+  document.getElementById('verifyEmailBtn').addEventListener('click', async () => {
+    const code = document.getElementById('emailVerificationCode').value.trim();
+    if (!code) {
+      showError('Please enter the verification code from your email.');
+      return;
+    }
+
+    try {
+      setLoadingState(true);
+      await verifyEmail(code);
+      verifyDiv.remove();
+      showSuccess('Email verified. You can log in now.');
+    } catch (error) {
+      console.error('Email verification error:', error);
+      showError(error.message || 'Failed to verify email.');
+    } finally {
+      setLoadingState(false);
+    }
+  });
+
+  document.getElementById('resendVerificationBtn').addEventListener('click', async () => {
+    const email = document.getElementById('verificationEmail').value.trim();
+    if (!email) {
+      showError('Please enter your email address.');
+      return;
+    }
+
+    try {
+      setLoadingState(true);
+      const result = await resendVerificationEmail(email);
+      showSuccess(result.message);
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      showError(error.message || 'Failed to resend verification email.');
+    } finally {
+      setLoadingState(false);
+    }
+  });
+
+  document.getElementById('cancelVerificationBtn').addEventListener('click', () => {
+    verifyDiv.remove();
+  });
+}
+
+/**
+ * Show the forgot password form: request a code by email, then set a new password
+ */
+function showPasswordResetOptions() {
+  const existingDiv = document.querySelector('.password-reset-options');
+  if (existingDiv) {
+    existingDiv.remove();
+  }
+
+  const resetDiv = document.createElement('div');
+  resetDiv.className = 'password-reset-options';
+  resetDiv.innerHTML = `
+        <div class="reset-message">
+            <p><small>Enter your account email and we will send you a reset code.</small></p>
+            <input type="email" id="resetEmail" placeholder="Email address">
+            <button type="button" id="sendResetCodeBtn" class="force-logout-btn">Send Reset Code</button>
+            <div id="resetPasswordForm" style="display: none;">
+                <input type="text" id="resetCode" placeholder="Reset code">
+                <input type="password" id="resetNewPassword" placeholder="New password">
+                <input type="password" id="resetConfirmPassword" placeholder="Confirm new password">
+                <button type="button" id="resetPasswordBtn" class="force-logout-btn">Reset Password</button>
+            </div>
+            <button type="button" id="cancelResetBtn" class="cancel-btn">Cancel</button>
+        </div>
+    `;
+
+  const errorElement = document.getElementById('errorMessage');
+  if (errorElement && errorElement.parentNode) {
+    errorElement.parentNode.insertBefore(resetDiv, errorElement.nextSibling);
+  }
+
+  document.getElementById('resetEmail').value = document.getElementById('username').value.includes('@')
+    ? document.getElementById('username').value.trim()
+    : '';
+
+  document.getElementById('sendResetCodeBtn').addEventListener('click', async () => {
+    const email = document.getElementById('resetEmail').value.trim();
+    if (!email) {
+      showError('Please enter your email address.');
+      return;
+    }
+
+    try {
+      setLoadingState(true);
+      const result = await requestPasswordReset(email);
+      showSuccess(result.message);
+      document.getElementById('resetPasswordForm').style.display = 'block';
+      document.getElementById('resetCode').focus();
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      showError(error.message || 'Failed to request password reset.');
+    } finally {
+      setLoadingState(false);
+    }
+  });
+
+  document.getElementById('resetPasswordBtn').addEventListener('click', async () => {
+    const code = document.getElementById('resetCode').value.trim();
+    const newPassword = document.getElementById('resetNewPassword').value;
+    const confirmPassword = document.getElementById('resetConfirmPassword').value;
+
+    if (!code) {
+      showError('Please enter the reset code from your email.');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      showError('Passwords do not match.');
+      return;
+    }
+
+    try {
+      setLoadingState(true);
+      await resetPassword(code, newPassword);
+      resetDiv.remove();
+      document.getElementById('password').value = '';
+      showSuccess('Password reset. Please log in with your new password.');
+    } catch (error) {
+      console.error('Password reset error:', error);
+      showError(error.message || 'Failed to reset password.');
+    } finally {
+      setLoadingState(false);
+    }
+  });
+
+  document.getElementById('cancelResetBtn').addEventListener('click', () => {
+    resetDiv.remove();
+  });
+}
+
+/**
+ * Show options to move the account to this device
+ * @param {string} username - Username entered on the form
+ * @param {string} password - Password entered on the form
+ * @param {boolean} [twoFactorEnabled] - Ask for an authenticator code as well
+ */
+async function showDeviceTransferOptions(username, password, twoFactorEnabled = false) {
+  const existingDiv = document.querySelector('.device-transfer-options');
+  if (existingDiv) {
+    existingDiv.remove();
+  }
+
+  const transferDiv = document.createElement('div');
+  transferDiv.className = 'device-transfer-options';
+  transferDiv.innerHTML = `
+        <div class="transfer-message">
+            <p>Got a new device? Move your account here:</p>
+            <p><small>Option 1: On your old device open the dashboard, choose
+            "Transfer Device" and enter this device code, then log in again here.</small></p>
+            <code id="transferDeviceCode">Loading...</code>
+            <p><small>Option 2: Confirm with a code sent to your email.</small></p>
+            ${twoFactorEnabled ? '<input type="text" id="transferTwoFactorCode" inputmode="numeric" maxlength="6" placeholder="New authenticator code">' : ''}
+            <button type="button" id="requestTransferCodeBtn" class="force-logout-btn">Email Me a Code</button>
+            <div id="transferCodeForm" style="display: none;">
+                <input type="text" id="transferCode" inputmode="numeric" maxlength="6" placeholder="6-digit code">
+                <button type="button" id="confirmTransferBtn" class="force-logout-btn">Move Account to This Device</button>
+            </div>
+            <button type="button" id="cancelTransferBtn" class="cancel-btn">Cancel</button>
+        </div>
+    `;
+
+  const errorElement = document.getElementById('errorMessage');
+  if (errorElement && errorElement.parentNode) {
+    errorElement.parentNode.insertBefore(transferDiv, errorElement.nextSibling);
+  }
+
+  try {
+    document.getElementById('transferDeviceCode').textContent = await getSecureDeviceHash();
+  } catch (error) {
+    document.getElementById('transferDeviceCode').textContent = 'Unavailable';
+  }
+
+  let transferId = null;
+
+  document.getElementById('requestTransferCodeBtn').addEventListener('click', async () => {
+    try {
+      setLoadingState(true);
+      const secondFactor = twoFactorEnabled
+        ? { twoFactorCode: document.getElementById('transferTwoFactorCode').value.trim() }
+        : {};
+      const transfer = await requestDeviceTransferCode(username, password, secondFactor);
+      transferId = transfer.transferId;
+      document.getElementById('transferCodeForm').style.display = 'block';
+      document.getElementById('transferCode').focus();
+    } catch (error) {
+      console.error('Device transfer request error:', error);
+      showError(error.message || 'Failed to request device transfer.');
+    } finally {
+      setLoadingState(false);
+    }
+  });
+
+  document.getElementById('confirmTransferBtn').addEventListener('click', async () => {
+    const code = document.getElementById('transferCode').value.trim();
+    if (!/^\d{6}$/.test(code)) {
+      showError('Please enter the 6-digit code from your email.');
+      return;
+    }
+
+    try {
+      setLoadingState(true);
+      await confirmDeviceTransfer(transferId, code, document.getElementById('rememberMe').checked);
+      transferDiv.remove();
+      showSuccess('Account moved to this device. Redirecting...');
 
       setTimeout(() => {
         window.location.href = './dashboard.html';
       }, 1000);
-
     } catch (error) {
-      console.error('Force logout error:', error);
-      showError('Failed to logout from other devices. Please try again.');
+      console.error('Device transfer confirmation error:', error);
+      showError(error.message || 'Failed to confirm device transfer.');
     } finally {
       setLoadingState(false);
-      conflictDiv.remove();
     }
   });
 
-  // Handle cancel
-  document.getElementById('cancelBtn').addEventListener('click', () => {
-    conflictDiv.remove();
+  document.getElementById('cancelTransferBtn').addEventListener('click', () => {
+    transferDiv.remove();
   });
 }
 
@@ -386,12 +875,6 @@ function clearError() {
     errorElement.style.backgroundColor = '#fdf2f2';
     errorElement.style.borderColor = '#f5c6cb';
   }
-
-  // Remove any device conflict options
-  const conflictDiv = document.querySelector('.device-conflict-options');
-  if (conflictDiv) {
-    conflictDiv.remove();
-  }
 }
 
 /**
@@ -401,7 +884,9 @@ document.addEventListener('keydown', (e) => {
   // Handle Enter key on login form
   if (e.key === 'Enter') {
     const activeElement = document.activeElement;
-    if (activeElement && activeElement.form && activeElement.form.id === 'loginForm') {
+    const inTransferOptions = activeElement &&
+      activeElement.closest('.device-transfer-options, .account-unlock-options, .password-reset-options, .email-verification-options');
+    if (activeElement && activeElement.form && activeElement.form.id === 'loginForm' && !inTransferOptions) {
       e.preventDefault();
       handleLogin(e);
     }
@@ -473,9 +958,9 @@ async function handleDeviceReset() {
 
     const result = await resetDeviceBinding();
     if (result) {
-      showSuccess('Device binding reset successfully. Please restart the application.');
+      showSuccess('Device binding reset successfully. Restarting the application...');
       setTimeout(() => {
-        window.location.reload();
+        window.appApi.restart();
       }, 2000);
     } else {
       showError('Failed to reset device binding. Please restart the application manually.');
@@ -496,6 +981,7 @@ function debugAuth() {
   console.log('User Data:', getUserData());
   console.log('Storage Info:', getStorageInfo());
   getDeviceInfo().then(info => console.log('Device Info:', info));
+  window.appApi.getInfo().then(info => console.log('App Info:', info));
 }
 
 // Make debug function available globally
@@ -2,6 +2,7 @@
 document.addEventListener('DOMContentLoaded', async () => {
   try {
     // Check authentication
+    await loadSession();
     if (!isAuthenticated()) {
       window.location.href = './login.html';
       return;
@@ -47,9 +48,27 @@ async function initializeDashboard() {
     // Setup logout button
     setupLogoutButton();
 
+    // Offline lease: show its expiry and renew it while online
+    await setupOfflineLease();
+
+    // Device binding: renew it with the server before it expires
+    await setupDeviceBindingRenewal();
+
     // Setup periodic token validation
     setupTokenValidation();
 
+    // Device transfer panel
+    setupDeviceTransfer();
+
+    // Security card (two-factor authentication)
+    setupSecurityCard();
+
+    // Auto-lock timeout and unlock PIN
+    setupIdleLockSettings();
+
+    // Reminder banner for unverified email addresses
+    setupEmailVerificationBanner();
+
     // Quick action listeners
     const refreshBtn = document.getElementById('refreshSession');
     if (refreshBtn) {
@@ -110,7 +129,13 @@ async function displaySecureDeviceInfo() {
     if (lastValEl) lastValEl.textContent = new Date().toLocaleString();
 
     const integrityEl = document.getElementById('deviceIntegrity');
-    if (integrityEl) integrityEl.textContent = info.integrityValid ? '100% 🟢' : '0% 🔴';
+    if (integrityEl) {
+      const percent = Math.round((info.integrityScore ?? (info.integrityValid ? 1 : 0)) * 100);
+      integrityEl.textContent = `${percent}% ${info.integrityValid ? '🟢' : '🔴'}`;
+      if (info.lastHardwareChange) {
+        integrityEl.title = `Hardware changed on ${new Date(info.lastHardwareChange.at).toLocaleString()}: ${info.lastHardwareChange.changedComponents.join(', ')}`;
+      }
+    }
 
     const statusEl = document.getElementById('deviceStatusText');
     if (statusEl) statusEl.textContent = info.integrityValid ? 'Active' : 'Warning';
@@ -186,7 +211,8 @@ async function performLogout() {
     // Call logout API
     await logout();
 
-    // Clear local authentication data
+    // Clear local authentication data and the offline lease
+    await clearOfflineLease();
     clearAuthData();
 
     // Redirect to login page
@@ -202,40 +228,390 @@ async function performLogout() {
 }
 
 /**
- * Setup periodic token validation
+ * Setup the device transfer panel (approve moving this account to a new device)
  */
-function setupTokenValidation() {
-  // Check token validity every 5 minutes
-  setInterval(async () => {
+function setupDeviceTransfer() {
+  const toggleBtn = document.getElementById('transferDevice');
+  const panel = document.getElementById('deviceTransferPanel');
+  const approveBtn = document.getElementById('approveTransfer');
+  const statusEl = document.getElementById('transferStatus');
+
+  if (!toggleBtn || !panel || !approveBtn) return;
+
+  toggleBtn.addEventListener('click', () => {
+    panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+  });
+
+  approveBtn.addEventListener('click', async () => {
+    const newDeviceHash = document.getElementById('newDeviceCode').value.trim();
+    if (!/^[a-fA-F0-9]{32,}$/.test(newDeviceHash)) {
+      statusEl.textContent = 'Please enter the full device code from the new device.';
+      return;
+    }
+
     try {
-      const isValid = await verifyToken();
+      approveBtn.disabled = true;
+      const transfer = await startDeviceTransfer(newDeviceHash);
+      statusEl.textContent = `Transfer approved until ${new Date(transfer.expiresAt).toLocaleString()}. Log in on the new device to finish.`;
+      dashboardComponents.addActivity('Device transfer approved');
+    } catch (error) {
+      console.error('Device transfer error:', error);
+      statusEl.textContent = error.message || 'Failed to approve device transfer.';
+    } finally {
+      approveBtn.disabled = false;
+    }
+  });
+}
 
-      if (!isValid) {
-        console.log('Token validation failed, redirecting to login');
-        clearAuthData();
-        window.location.href = './login.html';
-      }
+/**
+ * Setup the security card for enabling and disabling two-factor authentication
+ */
+async function setupSecurityCard() {
+  const statusEl = document.getElementById('twoFactorStatus');
+  const enableBtn = document.getElementById('enableTwoFactor');
+  const setupBox = document.getElementById('twoFactorSetup');
+  const disableForm = document.getElementById('twoFactorDisableForm');
+  const messageEl = document.getElementById('twoFactorMessage');
+
+  if (!statusEl) return;
+
+  const showStatus = (enabled) => {
+    statusEl.textContent = enabled ? 'Enabled' : 'Disabled';
+    enableBtn.style.display = enabled ? 'none' : 'inline-block';
+    disableForm.style.display = enabled ? 'block' : 'none';
+    setupBox.style.display = 'none';
+  };
+
+  try {
+    const profile = await apiRequest('/user/profile');
+    showStatus(profile.user.twoFactorEnabled);
+  } catch (error) {
+    console.error('Error loading security settings:', error);
+    statusEl.textContent = 'Unavailable';
+  }
+
+  enableBtn.addEventListener('click', async () => {
+    try {
+      const setup = await setupTwoFactor();
+      document.getElementById('twoFactorSecret').textContent = setup.secret;
+      document.getElementById('twoFactorUri').textContent = setup.otpauthUrl;
+      setupBox.style.display = 'block';
+      enableBtn.style.display = 'none';
+      messageEl.textContent = '';
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      messageEl.textContent = error.message || 'Failed to start two-factor setup.';
+    }
+  });
+
+  document.getElementById('confirmTwoFactor').addEventListener('click', async () => {
+    const code = document.getElementById('twoFactorSetupCode').value.trim();
+    if (!/^\d{6}$/.test(code)) {
+      messageEl.textContent = 'Please enter the 6-digit code from your authenticator app.';
+      return;
+    }
+
+    try {
+      const result = await verifyTwoFactorSetup(code);
+      const list = document.getElementById('recoveryCodesList');
+      list.innerHTML = '';
+      result.recoveryCodes.forEach(recoveryCode => {
+        const li = document.createElement('li');
+        li.textContent = recoveryCode;
+        list.appendChild(li);
+      });
+      document.getElementById('recoveryCodesBox').style.display = 'block';
+      showStatus(true);
+      messageEl.textContent = '';
+      dashboardComponents.addActivity('Two-factor authentication enabled');
     } catch (error) {
-      console.error('Token validation error:', error);
+      console.error('Two-factor verify error:', error);
+      messageEl.textContent = error.message || 'Failed to enable two-factor authentication.';
     }
-  }, 5 * 60 * 1000); // 5 minutes
+  });
+
+  document.getElementById('disableTwoFactor').addEventListener('click', async () => {
+    const password = document.getElementById('twoFactorDisablePassword').value;
+    const code = document.getElementById('twoFactorDisableCode').value.trim();
+    if (!password || !code) {
+      messageEl.textContent = 'Enter your password and a current code to disable two-factor authentication.';
+      return;
+    }
+
+    try {
+      await disableTwoFactor(password, /^\d{6}$/.test(code) ? { code } : { recoveryCode: code });
+      document.getElementById('twoFactorDisablePassword').value = '';
+      document.getElementById('twoFactorDisableCode').value = '';
+      document.getElementById('recoveryCodesBox').style.display = 'none';
+      showStatus(false);
+      messageEl.textContent = 'Two-factor authentication disabled.';
+      dashboardComponents.addActivity('Two-factor authentication disabled');
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      messageEl.textContent = error.message || 'Failed to disable two-factor authentication.';
+    }
+  });
 }
 
 /**
- * Handle page visibility change
+ * Show the auto-lock timeout and let the user set a PIN for the lock screen.
+ * The main process does the locking; this only configures it.
  */
-document.addEventListener('visibilitychange', async () => {
-  if (!document.hidden) {
+async function setupIdleLockSettings() {
+  const timeoutEl = document.getElementById('idleLockTimeout');
+  if (!timeoutEl) return;
+
+  const pinStatusEl = document.getElementById('unlockPinStatus');
+  const pinInput = document.getElementById('unlockPinInput');
+  const clearBtn = document.getElementById('clearUnlockPin');
+  const messageEl = document.getElementById('idleLockMessage');
+
+  const showState = async () => {
+    const state = await window.idleLock.getState();
+    timeoutEl.textContent = state.timeoutMinutes;
+    pinStatusEl.textContent = state.pinEnabled ? 'Set' : 'Not set (password only)';
+    clearBtn.style.display = state.pinEnabled ? 'inline-block' : 'none';
+  };
+
+  try {
+    await showState();
+  } catch (error) {
+    console.error('Error loading auto-lock settings:', error);
+    pinStatusEl.textContent = 'Unavailable';
+  }
+
+  document.getElementById('setUnlockPin').addEventListener('click', async () => {
+    const pin = pinInput.value.trim();
+    if (!/^\d{4,8}$/.test(pin)) {
+      messageEl.textContent = 'The PIN must be 4 to 8 digits.';
+      return;
+    }
+
+    const result = await window.idleLock.setPin(pin);
+    pinInput.value = '';
+    messageEl.textContent = result.success ? 'PIN saved. It unlocks this app on this device only.' : result.error;
+    if (result.success) {
+      dashboardComponents.addActivity('Unlock PIN set');
+    }
+    await showState();
+  });
+
+  clearBtn.addEventListener('click', async () => {
+    const result = await window.idleLock.clearPin();
+    messageEl.textContent = result.success ? 'PIN removed. Unlock with your password.' : result.error;
+    await showState();
+  });
+
+  document.getElementById('lockNow').addEventListener('click', () => {
+    window.idleLock.lockNow();
+  });
+}
+
+/**
+ * Show the verification banner until the account email is verified
+ */
+async function setupEmailVerificationBanner() {
+  const banner = document.getElementById('emailVerificationBanner');
+  if (!banner) return;
+
+  let user;
+  try {
+    const profile = await apiRequest('/user/profile');
+    user = profile.user;
+  } catch (error) {
+    console.error('Error loading email verification status:', error);
+    return;
+  }
+
+  if (user.emailVerified) return;
+
+  const messageEl = document.getElementById('emailVerificationMessage');
+  document.getElementById('unverifiedEmail').textContent = user.email;
+  banner.style.display = 'block';
+
+  document.getElementById('bannerVerifyEmail').addEventListener('click', async () => {
+    const code = document.getElementById('bannerVerificationCode').value.trim();
+    if (!code) {
+      messageEl.textContent = 'Please enter the code from your email.';
+      return;
+    }
+
+    try {
+      await verifyEmail(code);
+      banner.style.display = 'none';
+      updateUserData({ ...getUserData(), emailVerified: true });
+      dashboardComponents.addActivity('Email address verified');
+    } catch (error) {
+      console.error('Email verification error:', error);
+      messageEl.textContent = error.message || 'Failed to verify email.';
+    }
+  });
+
+  document.getElementById('bannerResendEmail').addEventListener('click', async () => {
+    try {
+      const result = await resendVerificationEmail(user.email);
+      messageEl.textContent = result.message;
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      messageEl.textContent = error.message || 'Failed to resend verification email.';
+    }
+  });
+}
+
+/**
+ * Show the offline lease and renew it once half of it is used up, so a
+ * device that goes offline always has most of the lease left
+ */
+async function setupOfflineLease() {
+  if (isOfflineSession()) {
+    document.getElementById('offlineBanner').style.display = 'block';
+    await checkOfflineAccess();
+    return;
+  }
+
+  let status = await getOfflineLeaseStatus();
+  const userData = getUserData();
+  const otherUser = status.valid && userData && status.userId !== userData.id;
+  const halfUsed = status.valid &&
+    Date.now() > (new Date(status.issuedAt).getTime() + new Date(status.expiresAt).getTime()) / 2;
+
+  if (!status.valid || otherUser || halfUsed) {
     try {
-      // Verify token when page becomes visible
-      const isValid = await verifyToken();
-      if (!isValid) {
-        clearAuthData();
-        window.location.href = './login.html';
+      status = await renewOfflineLease();
+      dashboardComponents.addActivity('Offline access renewed');
+    } catch (error) {
+      console.warn('Could not renew offline lease:', error);
+      // Started offline with a remembered session: it needs a usable lease
+      if (isNetworkError(error)) {
+        await checkOfflineAccess();
+        return;
       }
+    }
+  }
+
+  showOfflineLeaseStatus(status);
+}
+
+/**
+ * Renew the device binding once it is inside the renewal window the server
+ * sent, keeping the same deviceId and key
+ */
+async function setupDeviceBindingRenewal() {
+  const validation = await validateSecureDevice();
+  let renewal = validation.renewal;
+  if (!renewal) return;
+
+  if (renewal.renewalDue && !isOfflineSession()) {
+    try {
+      renewal = (await renewDeviceBinding()) || renewal;
+      dashboardComponents.addActivity('Device binding renewed');
     } catch (error) {
-      console.error('Error verifying token on visibility change:', error);
+      console.warn('Could not renew device binding:', error);
+    }
+  }
+
+  showDeviceBindingExpiry(renewal);
+}
+
+/**
+ * Display when the binding expires and warn while it is overdue for renewal
+ * @param {Object} renewal - { expiresAt, daysLeft, renewalDue, expired }
+ */
+function showDeviceBindingExpiry(renewal) {
+  const expiryEl = document.getElementById('deviceBindingExpiry');
+  if (expiryEl) expiryEl.textContent = new Date(renewal.expiresAt).toLocaleString();
+
+  if (renewal.expired) {
+    showDeviceWarning('The device binding has expired. Log in again to renew it.');
+  } else if (renewal.renewalDue) {
+    showDeviceWarning(`The device binding expires in ${renewal.daysLeft} days. It is renewed automatically the next time the server can be reached.`);
+  }
+}
+
+/**
+ * Display the lease expiry, or why offline use is not available
+ * @param {Object} status - Result of getOfflineLeaseStatus()
+ */
+function showOfflineLeaseStatus(status) {
+  const text = status.valid
+    ? new Date(status.expiresAt).toLocaleString()
+    : status.reason;
+
+  const expiryEl = document.getElementById('offlineLeaseExpiry');
+  if (expiryEl) expiryEl.textContent = text;
+
+  const bannerExpiryEl = document.getElementById('offlineBannerExpiry');
+  if (bannerExpiryEl) bannerExpiryEl.textContent = text;
+}
+
+/**
+ * Without the server, the session continues only while the lease is valid
+ * @returns {Promise<boolean>} - True if offline use may continue
+ */
+async function checkOfflineAccess() {
+  const status = await getOfflineLeaseStatus();
+  showOfflineLeaseStatus(status);
+
+  if (!status.valid) {
+    console.log('Offline access ended:', status.reason);
+    clearAuthData();
+    window.location.href = './login.html';
+  }
+
+  return status.valid;
+}
+
+/**
+ * The server rejected the session, which also ends offline use
+ */
+async function handleRejectedSession() {
+  console.log('Token validation failed, redirecting to login');
+  await clearOfflineLease();
+  clearAuthData();
+  window.location.href = './login.html';
+}
+
+/**
+ * Check the session with the server, or against the lease when offline
+ */
+async function validateSession() {
+  if (isOfflineSession()) {
+    await checkOfflineAccess();
+    return;
+  }
+
+  try {
+    const isValid = await verifyToken();
+
+    if (!isValid) {
+      await handleRejectedSession();
     }
+  } catch (error) {
+    console.error('Token validation error:', error);
+    if (isNetworkError(error)) {
+      await checkOfflineAccess();
+    }
+  }
+}
+
+/**
+ * Setup periodic token validation
+ */
+function setupTokenValidation() {
+  // Check token validity every 5 minutes
+  setInterval(validateSession, 5 * 60 * 1000); // 5 minutes
+
+  // The app can stay open for days; look at the binding expiry once a day
+  setInterval(setupDeviceBindingRenewal, 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Handle page visibility change
+ */
+document.addEventListener('visibilitychange', async () => {
+  if (!document.hidden) {
+    // Verify token when page becomes visible
+    await validateSession();
   }
 });
 
@@ -245,7 +621,7 @@ document.addEventListener('visibilitychange', async () => {
 window.addEventListener('beforeunload', () => {
   // Cleanup if not using remember me
   if (!isRememberMeEnabled()) {
-    // Session storage will be cleared automatically
+    // The main process keeps such sessions in memory only, so quitting ends them
     console.log('Session cleanup on page unload');
   }
 });
@@ -292,6 +668,7 @@ function debugDashboard() {
   console.log('User Data:', getUserData());
   console.log('Storage Info:', getStorageInfo());
   getDeviceInfo().then(info => console.log('Device Info:', info));
+  window.appApi.getInfo().then(info => console.log('App Info:', info));
 }
 
 // Make debug function available globally
@@ -1,5 +1,6 @@
 // Secure Device handling module for Electron
-const { ipcRenderer } = require('electron');
+// window.secureDevice is exposed by preload.js; pages have no Node access
+const secureDeviceApi = window.secureDevice;
 
 let deviceCredentials = null;
 
@@ -14,7 +15,7 @@ async function initializeDeviceCredentials() {
     }
 
     // Get secure device credentials from main process
-    deviceCredentials = await ipcRenderer.invoke('get-device-credentials');
+    deviceCredentials = await secureDeviceApi.getCredentials();
 
     if (!deviceCredentials || !deviceCredentials.deviceId) {
       throw new Error('Failed to get secure device credentials from main process');
@@ -34,15 +35,15 @@ async function initializeDeviceCredentials() {
 
 /**
  * Generate secure device hash for server authentication
- * @param {string} additionalData - Additional data to include in hash
+ * The hash is derived from the device public key and is stable across logins
  * @returns {Promise<string>} - Secure device hash
  */
-async function generateSecureDeviceHash(additionalData = '') {
+async function generateSecureDeviceHash() {
   try {
     await initializeDeviceCredentials();
 
     // Use main process to generate secure hash with hardware binding
-    const deviceHash = await ipcRenderer.invoke('generate-device-hash', additionalData);
+    const deviceHash = await secureDeviceApi.getDeviceHash();
 
     if (!deviceHash) {
       throw new Error('Failed to generate secure device hash');
@@ -55,6 +56,19 @@ async function generateSecureDeviceHash(additionalData = '') {
   }
 }
 
+/**
+ * Get the device public key registered with the server
+ * @returns {Promise<string>} - PEM encoded Ed25519 public key
+ */
+async function getDevicePublicKey() {
+  try {
+    return await secureDeviceApi.getPublicKey();
+  } catch (error) {
+    console.error('Error getting device public key:', error);
+    throw new Error('Secure device authentication failed');
+  }
+}
+
 /**
  * Get device ID (for display purposes only)
  * @returns {Promise<string>} - Device ID
@@ -75,7 +89,7 @@ async function getDeviceId() {
  */
 async function validateSecureDeviceIntegrity() {
   try {
-    const result = await ipcRenderer.invoke('validate-device-integrity');
+    const result = await secureDeviceApi.validateIntegrity();
 
     if (!result.isValid) {
       console.warn('Secure device integrity validation failed:', result.reason);
@@ -84,6 +98,10 @@ async function validateSecureDeviceIntegrity() {
       }
     } else {
       console.log('Secure device integrity validation passed');
+      // Small hardware changes are accepted and written into the binding
+      if (result.changedComponents && result.changedComponents.length > 0) {
+        console.warn('Hardware changed, device binding updated:', result.changedComponents.join(', '));
+      }
     }
 
     return result;
@@ -103,7 +121,7 @@ async function validateSecureDeviceIntegrity() {
  */
 async function resetDeviceBinding() {
   try {
-    const result = await ipcRenderer.invoke('reset-device-binding');
+    const result = await secureDeviceApi.resetBinding();
 
     if (result.success) {
       // Clear cached credentials to force reload
@@ -120,6 +138,83 @@ async function resetDeviceBinding() {
   }
 }
 
+/**
+ * Store the binding expiry the server returned with a login, refresh or
+ * renewal. Older servers send none; the binding then keeps its current expiry.
+ * @param {Object|null} deviceBinding - deviceBinding field of the response
+ * @returns {Promise<Object|null>} - { expiresAt, daysLeft, renewalDue, expired }, or null
+ */
+async function syncDeviceBinding(deviceBinding) {
+  if (!deviceBinding) return null;
+
+  try {
+    return await secureDeviceApi.renewBinding(deviceBinding);
+  } catch (error) {
+    console.error('Error storing device binding expiry:', error);
+    return null;
+  }
+}
+
+/**
+ * Have the main process fetch, check and keep a new lease for this session
+ * @returns {Promise<Object>} - Lease status
+ */
+async function renewOfflineLease() {
+  const result = await secureDeviceApi.renewOfflineLease();
+  if (!result.success) {
+    throw result.networkError ? createNetworkError() : new Error(result.error);
+  }
+
+  return result.status;
+}
+
+/**
+ * Check whether this device may currently be used offline
+ * @returns {Promise<Object>} - { hasLease, valid, reason, expiresAt, ... }
+ */
+async function getOfflineLeaseStatus() {
+  try {
+    return await secureDeviceApi.getOfflineLeaseStatus();
+  } catch (error) {
+    console.error('Error checking offline lease:', error);
+    return {
+      hasLease: false,
+      valid: false,
+      reason: 'Validation error',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Log in with the stored lease while the server is unreachable
+ * @param {string} identifier - Username or email
+ * @param {string} password - Password
+ * @returns {Promise<Object>} - { success, user, expiresAt } or { success, error }
+ */
+async function unlockOfflineSession(identifier, password) {
+  try {
+    return await secureDeviceApi.unlockOfflineSession(identifier, password);
+  } catch (error) {
+    console.error('Error unlocking offline session:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Forget the offline lease, e.g. on logout
+ * @returns {Promise<boolean>} - Success status
+ */
+async function clearOfflineLease() {
+  try {
+    const result = await secureDeviceApi.clearOfflineLease();
+    return result.success;
+  } catch (error) {
+    console.error('Error clearing offline lease:', error);
+    return false;
+  }
+}
+
 /**
  * Display device ID in UI element (truncated for security)
  * @param {string} elementId - Element ID to display device ID
@@ -179,6 +274,9 @@ async function getDeviceInfo() {
       bindTime: credentials.bindTime,
       integrityValid: integrity.isValid,
       integrityReason: integrity.reason,
+      integrityScore: integrity.isValid ? integrity.score : (integrity.details && integrity.details.score) || 0,
+      lastHardwareChange: integrity.lastDrift || null,
+      bindingRenewal: integrity.renewal || null,
       userAgent: navigator.userAgent,
       language: navigator.language,
       screen: `${screen.width}x${screen.height}`,
@@ -205,10 +303,8 @@ async function initializeSecureDevice() {
     const validation = await validateSecureDeviceIntegrity();
     if (!validation.isValid) {
       console.warn('Secure device integrity check failed:', validation.reason);
-      // Don't throw error for some cases, just log warning
-      if (validation.reason.includes('expired')) {
-        console.warn('Device binding expired - may need re-authentication');
-      }
+    } else if (validation.renewal && validation.renewal.expired) {
+      console.warn('Device binding expired - the next login renews it');
     }
 
     console.log('Secure device system initialized successfully');
@@ -228,13 +324,11 @@ async function initializeSecureDevice() {
 
 /**
  * Get secure device hash for authentication
- * @param {string} username - Username for additional entropy
  * @returns {Promise<string>} - Secure device hash
  */
-async function getSecureDeviceHash(username = '') {
+async function getSecureDeviceHash() {
   try {
-    // Generate hash with username as additional data for unique session binding
-    const deviceHash = await generateSecureDeviceHash(username);
+    const deviceHash = await generateSecureDeviceHash();
     return deviceHash;
   } catch (error) {
     console.error('Error getting secure device hash for auth:', error);
@@ -270,8 +364,8 @@ async function initializeDeviceId() {
   return await initializeSecureDevice();
 }
 
-async function getDeviceHashForAuth(username) {
-  return await getSecureDeviceHash(username);
+async function getDeviceHashForAuth() {
+  return await getSecureDeviceHash();
 }
 
 async function validateDeviceForAuth() {
@@ -284,8 +378,8 @@ async function validateDeviceIntegrity() {
   return validation.isValid;
 }
 
-async function generateDeviceHash(additionalData) {
-  return await generateSecureDeviceHash(additionalData);
+async function generateDeviceHash() {
+  return await generateSecureDeviceHash();
 }
 
 // Export functions for use in other modules
@@ -293,9 +387,15 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     initializeDeviceCredentials,
     generateSecureDeviceHash,
+    getDevicePublicKey,
     getDeviceId,
     validateSecureDeviceIntegrity,
     resetDeviceBinding,
+    syncDeviceBinding,
+    renewOfflineLease,
+    getOfflineLeaseStatus,
+    unlockOfflineSession,
+    clearOfflineLease,
     displayDeviceId,
     getDeviceInfo,
     initializeSecureDevice,
@@ -0,0 +1,142 @@
+// Lock screen shown by the main process after the app was idle. The session
+// stays signed in; the password (or PIN) only proves the same user is back.
+
+const LOCK_REASONS = {
+  idle: 'The app locked itself after a period of inactivity.',
+  suspend: 'The app locked when the computer went to sleep.',
+  'lock-screen': 'The app locked together with your screen.',
+  manual: 'You locked the app.'
+};
+
+let usePin = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const state = await window.idleLock.getState();
+
+    if (!state.locked) {
+      window.location.href = './dashboard.html';
+      return;
+    }
+
+    document.getElementById('lockUser').textContent = state.username || 'unknown user';
+    document.getElementById('lockReason').textContent = LOCK_REASONS[state.reason] || '';
+
+    if (state.pinEnabled) {
+      document.getElementById('unlockMethodLinks').style.display = 'flex';
+      setUnlockMethod(true);
+    } else {
+      setUnlockMethod(false);
+    }
+
+    document.getElementById('unlockForm').addEventListener('submit', handleUnlock);
+    document.getElementById('toggleUnlockMethod').addEventListener('click', (e) => {
+      e.preventDefault();
+      setUnlockMethod(!usePin);
+    });
+    document.getElementById('signOutLink').addEventListener('click', async (e) => {
+      e.preventDefault();
+      await signOutFromLock();
+    });
+  } catch (error) {
+    console.error('Error initializing lock screen:', error);
+    showError('Unable to load the lock screen. Please restart the application.');
+  }
+});
+
+/**
+ * Switch between the PIN and the password field
+ * @param {boolean} pin - Show the PIN field
+ */
+function setUnlockMethod(pin) {
+  usePin = pin;
+  document.getElementById('pinGroup').style.display = pin ? 'block' : 'none';
+  document.getElementById('passwordGroup').style.display = pin ? 'none' : 'block';
+  document.getElementById('toggleUnlockMethod').textContent = pin ? 'Use password instead' : 'Use PIN instead';
+  document.getElementById(pin ? 'pin' : 'password').focus();
+  clearError();
+}
+
+/**
+ * Send the PIN or password to the main process, which reloads the dashboard
+ * once it is accepted
+ * @param {Event} e - Submit event
+ */
+async function handleUnlock(e) {
+  e.preventDefault();
+
+  const field = document.getElementById(usePin ? 'pin' : 'password');
+  const value = field.value;
+  if (!value) {
+    showError(usePin ? 'Please enter your PIN.' : 'Please enter your password.');
+    return;
+  }
+
+  setLoadingState(true);
+  clearError();
+
+  try {
+    const result = await window.idleLock.unlock(usePin ? { pin: value } : { password: value });
+    if (result.success) {
+      return;
+    }
+
+    field.value = '';
+    showError(result.error || 'Unlock failed.');
+
+    if (result.signOut) {
+      // The session ended or the account is locked; unlocking cannot work anymore
+      setTimeout(signOutFromLock, 2000);
+      return;
+    }
+
+    // Too many wrong PINs
+    if (usePin) {
+      const state = await window.idleLock.getState();
+      if (!state.pinEnabled) {
+        document.getElementById('unlockMethodLinks').style.display = 'none';
+        setUnlockMethod(false);
+        showError(result.error);
+      }
+    }
+  } catch (error) {
+    console.error('Unlock error:', error);
+    showError('Unlock failed. Please try again.');
+  } finally {
+    setLoadingState(false);
+  }
+}
+
+/**
+ * End the session instead of unlocking, as a logout from the dashboard would
+ */
+async function signOutFromLock() {
+  const result = await window.idleLock.signOut();
+  if (!result.success) {
+    console.error('Sign out error:', result.error);
+  }
+
+  clearAuthData();
+  window.location.href = './login.html';
+}
+
+function setLoadingState(isLoading) {
+  const button = document.getElementById('unlockButton');
+  button.disabled = isLoading;
+  button.querySelector('.button-text').style.display = isLoading ? 'none' : 'inline';
+  button.querySelector('.loading-spinner').style.display = isLoading ? 'inline-block' : 'none';
+}
+
+function showError(message) {
+  const errorElement = document.getElementById('errorMessage');
+  errorElement.textContent = message;
+  errorElement.classList.add('show');
+  errorElement.style.display = 'block';
+}
+
+function clearError() {
+  const errorElement = document.getElementById('errorMessage');
+  errorElement.classList.remove('show');
+  errorElement.style.display = 'none';
+  errorElement.textContent = '';
+}
@@ -12,6 +12,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     // Check if already logged in
+    await loadSession();
     if (isAuthenticated()) {
       window.location.href = './dashboard.html';
       return;
@@ -63,25 +64,26 @@ async function handleRegistration(e) {
       throw new Error('Device authentication failed. Please restart the application.');
     }
 
-    // Get device hash for authentication
-    const deviceHash = await getDeviceHashForAuth(formData.username);
-    if (!deviceHash) {
-      throw new Error('Unable to generate device authentication. Please restart the application.');
-    }
-
-    // Prepare registration data
+    // Prepare registration data; the main process adds a device proof so
+    // the device key gets registered
     const registrationData = {
       username: formData.username,
       email: formData.email,
-      password: formData.password,
-      deviceHash: deviceHash
+      password: formData.password
     };
 
     // Attempt registration
     const response = await registerWithDeviceHash(registrationData);
 
-    // Save authentication data
-    saveAuthData(response.token, response.user, false);
+    // The server only opens a session once the email address is verified
+    if (response.emailVerificationRequired) {
+      showSuccess('Registration successful! Check your email for a verification code, then log in.');
+      clearForm();
+      setTimeout(() => {
+        window.location.href = './login.html';
+      }, 3000);
+      return;
+    }
 
     // Show success message
     showSuccess('Registration successful! Redirecting to dashboard...');
@@ -108,57 +110,38 @@ async function handleRegistration(e) {
  * @returns {Promise<Object>} - Registration response
  */
 async function registerWithDeviceHash(registrationData) {
-  try {
-    const response = await fetch(`${API_BASE_URL}/auth/register`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(registrationData)
-    });
-
-    const data = await response.json();
-
-    if (!response.ok) {
-      throw new Error(data.error || data.message || 'Registration failed');
-    }
-
-    return data;
-  } catch (error) {
-    // Handle network errors
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      throw new Error('Network error: Unable to connect to server. Please check your connection.');
-    }
-    throw error;
-  }
+  // The main process keeps the tokens if the server opens a session right away
+  return requestSession('/auth/register', registrationData, false, 'Registration failed');
 }
 
 /**
  * Handle registration errors
  */
 function handleRegistrationError(error) {
-  let errorMessage = 'Registration failed. Please try again.';
-
-  if (error.message) {
-    const message = error.message.toLowerCase();
+  let errorMessage;
 
-    if (message.includes('username') && message.includes('exists')) {
+  switch (error.code) {
+    case 'USERNAME_TAKEN':
       errorMessage = 'Username already exists. Please choose a different username.';
       document.getElementById('username').focus();
-    } else if (message.includes('email') && message.includes('exists')) {
+      break;
+    case 'EMAIL_TAKEN':
       errorMessage = 'Email already registered. Please use a different email or login.';
       document.getElementById('email').focus();
-    } else if (message.includes('device') && message.includes('registered')) {
-      errorMessage = 'This device is already registered to another account. Each device can only have one account.';
-    } else if (message.includes('device authentication')) {
-      errorMessage = 'Device authentication failed. Please restart the application.';
-    } else if (message.includes('network') || message.includes('fetch')) {
+      break;
+    case 'DEVICE_ACCOUNT_LIMIT':
+      errorMessage = 'This device is already used by as many accounts as allowed.';
+      break;
+    case 'NETWORK_ERROR':
       errorMessage = 'Network error. Please check your connection and try again.';
-    } else if (message.includes('server') || message.includes('500')) {
+      break;
+    case 'INTERNAL_ERROR':
       errorMessage = 'Server error. Please try again later.';
-    } else {
-      errorMessage = error.message;
-    }
+      break;
+    default:
+      errorMessage = DEVICE_PROOF_ERRORS.includes(error.code)
+        ? 'Device authentication failed. Please restart the application.'
+        : error.message || 'Registration failed. Please try again.';
   }
 
   showError(errorMessage);
@@ -248,22 +231,75 @@ function setupFieldValidation() {
   }
 }
 
-function validateUsernameField() {
+// Cached availability results so blur + debounced input don't query twice
+const availabilityCache = {
+  username: new Map(),
+  email: new Map()
+};
+
+/**
+ * Ask the server whether a username or email is still free
+ * @param {string} field - 'username' or 'email'
+ * @param {string} value - Value to check
+ * @returns {Promise<boolean|null>} - Availability, or null if it could not be checked
+ */
+async function checkAvailability(field, value) {
+  const cache = availabilityCache[field];
+  if (cache.has(value)) {
+    return cache.get(value);
+  }
+
+  try {
+    const check = field === 'username' ? checkUsernameAvailability : checkEmailAvailability;
+    const result = await check(value);
+    cache.set(value, result.available);
+    return result.available;
+  } catch (error) {
+    // Rate limited or offline - the server still rejects duplicates on submit
+    console.warn(`Could not check ${field} availability:`, error.message);
+    return null;
+  }
+}
+
+async function validateUsernameField() {
   const input = document.getElementById('username');
   const errorElement = document.getElementById('usernameError');
   const successElement = document.getElementById('usernameSuccess');
 
-  const result = validateField('username', input.value);
+  const value = input.value;
+  const result = validateField('username', value);
   updateFieldValidation(input, errorElement, successElement, result);
+
+  if (result.error || !value) return;
+
+  const available = await checkAvailability('username', value);
+
+  // Ignore stale responses if the user kept typing
+  if (input.value !== value || available !== false) return;
+
+  updateFieldValidation(input, errorElement, successElement, {
+    error: 'Username is already taken'
+  });
 }
 
-function validateEmailField() {
+async function validateEmailField() {
   const input = document.getElementById('email');
   const errorElement = document.getElementById('emailError');
   const successElement = document.getElementById('emailSuccess');
 
-  const result = validateField('email', input.value);
+  const value = input.value;
+  const result = validateField('email', value);
   updateFieldValidation(input, errorElement, successElement, result);
+
+  if (result.error || !value) return;
+
+  const available = await checkAvailability('email', formatEmail(value));
+
+  if (input.value !== value || available !== false) return;
+
+  updateFieldValidation(input, errorElement, successElement, {
+    error: 'Email is already registered'
+  });
 }
 
 function validatePasswordField() {
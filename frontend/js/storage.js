@@ -1,34 +1,46 @@
 // Storage management module for authentication data
-const TOKEN_KEY = 'auth_token';
+// Tokens are kept by the main process (window.authSession). This page holds
+// a copy of the access token and user data so the getters stay synchronous;
+// the refresh token never reaches it.
 const USER_KEY = 'user_data';
 const DEVICE_KEY = 'device_id';
-const REMEMBER_KEY = 'remember_me';
+const OFFLINE_SESSION_KEY = 'offline_session';
+
+// Written by versions that stored tokens in web storage
+const LEGACY_KEYS = ['auth_token', 'refresh_token', 'remember_me'];
+
+// { token, user, remember, canRefresh } or null, see loadSession()
+let currentSession = null;
 
 /**
- * Save authentication data to storage
- * @param {string} token - JWT token
- * @param {Object} user - User information
- * @param {boolean} remember - Whether to persist data
+ * Load the session from the main process. Pages call this before checking
+ * isAuthenticated().
+ * @returns {Promise<Object|null>} - Session or null
  */
-function saveAuthData(token, user, remember = false) {
-    const storage = remember ? localStorage : sessionStorage;
-    
+async function loadSession() {
     try {
-        storage.setItem(TOKEN_KEY, token);
-        storage.setItem(USER_KEY, JSON.stringify(user));
-        storage.setItem(REMEMBER_KEY, remember.toString());
-        
-        // Also save to localStorage if remember is true
-        if (remember) {
-            localStorage.setItem(TOKEN_KEY, token);
-            localStorage.setItem(USER_KEY, JSON.stringify(user));
-            localStorage.setItem(REMEMBER_KEY, 'true');
-        }
+        LEGACY_KEYS.forEach(key => {
+            localStorage.removeItem(key);
+            sessionStorage.removeItem(key);
+        });
+        localStorage.removeItem(USER_KEY);
         
-        console.log('Authentication data saved successfully');
+        currentSession = await window.authSession.getSession();
     } catch (error) {
-        console.error('Error saving authentication data:', error);
+        console.error('Error loading session:', error);
+        currentSession = null;
     }
+    
+    return currentSession;
+}
+
+/**
+ * Replace the local copy after the main process changed the session
+ * (sign-in, refresh)
+ * @param {Object|null} session - Session returned by window.authSession
+ */
+function setSessionCache(session) {
+    currentSession = session || null;
 }
 
 /**
@@ -36,20 +48,15 @@ function saveAuthData(token, user, remember = false) {
  * @returns {string|null} - JWT token or null
  */
 function getToken() {
-    try {
-        // Check localStorage first (for remember me)
-        const localToken = localStorage.getItem(TOKEN_KEY);
-        if (localToken) return localToken;
-        
-        // Check sessionStorage
-        const sessionToken = sessionStorage.getItem(TOKEN_KEY);
-        if (sessionToken) return sessionToken;
-        
-        return null;
-    } catch (error) {
-        console.error('Error getting token:', error);
-        return null;
-    }
+    return currentSession ? currentSession.token : null;
+}
+
+/**
+ * Whether the main process can renew the access token
+ * @returns {boolean} - True if it holds a refresh token
+ */
+function canRefreshSession() {
+    return !!(currentSession && currentSession.canRefresh);
 }
 
 /**
@@ -57,20 +64,14 @@ function getToken() {
  * @returns {Object|null} - User data or null
  */
 function getUserData() {
+    if (currentSession) {
+        return currentSession.user || null;
+    }
+    
     try {
-        // Check localStorage first
-        const localUser = localStorage.getItem(USER_KEY);
-        if (localUser) {
-            return JSON.parse(localUser);
-        }
-        
-        // Check sessionStorage
-        const sessionUser = sessionStorage.getItem(USER_KEY);
-        if (sessionUser) {
-            return JSON.parse(sessionUser);
-        }
-        
-        return null;
+        // Offline sessions keep their user in sessionStorage
+        const offlineUser = sessionStorage.getItem(USER_KEY);
+        return offlineUser ? JSON.parse(offlineUser) : null;
     } catch (error) {
         console.error('Error getting user data:', error);
         return null;
@@ -83,7 +84,8 @@ function getUserData() {
  */
 function isAuthenticated() {
     const token = getToken();
-    if (!token) return false;
+    // Offline sessions have no token; the dashboard checks their lease
+    if (!token) return isOfflineSession();
     
     try {
         // Basic token validation (check if it's not expired)
@@ -91,6 +93,11 @@ function isAuthenticated() {
         const currentTime = Date.now() / 1000;
         
         if (payload.exp && payload.exp < currentTime) {
+            // Access token expired, but the main process can still renew the session
+            if (canRefreshSession()) {
+                return true;
+            }
+
             // Token expired, clear it
             clearAuthData();
             return false;
@@ -105,19 +112,18 @@ function isAuthenticated() {
 }
 
 /**
- * Clear all authentication data
+ * Clear all authentication data. The main process drops its copy without
+ * telling the server; use logout() for that.
  */
 function clearAuthData() {
     try {
-        // Clear from localStorage
-        localStorage.removeItem(TOKEN_KEY);
-        localStorage.removeItem(USER_KEY);
-        localStorage.removeItem(REMEMBER_KEY);
+        currentSession = null;
+        window.authSession.clear().catch(error => {
+            console.error('Error clearing session:', error);
+        });
         
-        // Clear from sessionStorage
-        sessionStorage.removeItem(TOKEN_KEY);
         sessionStorage.removeItem(USER_KEY);
-        sessionStorage.removeItem(REMEMBER_KEY);
+        sessionStorage.removeItem(OFFLINE_SESSION_KEY);
         
         console.log('Authentication data cleared');
     } catch (error) {
@@ -131,15 +137,16 @@ function clearAuthData() {
  */
 function updateUserData(userData) {
     try {
-        const remember = localStorage.getItem(REMEMBER_KEY) === 'true';
-        const storage = remember ? localStorage : sessionStorage;
-        
-        storage.setItem(USER_KEY, JSON.stringify(userData));
-        
-        if (remember) {
-            localStorage.setItem(USER_KEY, JSON.stringify(userData));
+        if (!currentSession) {
+            sessionStorage.setItem(USER_KEY, JSON.stringify(userData));
+            return;
         }
         
+        currentSession = { ...currentSession, user: userData };
+        window.authSession.setSession({ user: userData }).catch(error => {
+            console.error('Error updating user data:', error);
+        });
+        
         console.log('User data updated successfully');
     } catch (error) {
         console.error('Error updating user data:', error);
@@ -174,38 +181,54 @@ function getStoredDeviceId() {
 
 /**
  * Check if remember me is enabled
- * @returns {boolean} - True if remember me is enabled
+ * @returns {boolean} - True if the main process keeps the session on disk
  */
 function isRememberMeEnabled() {
+    return !!(currentSession && currentSession.remember);
+}
+
+/**
+ * Start an offline session after the main process accepted an offline login.
+ * It lives in sessionStorage only, so closing the app ends it.
+ * @param {Object} user - User from the lease
+ * @param {string} expiresAt - When the lease runs out
+ */
+function saveOfflineSession(user, expiresAt) {
     try {
-        return localStorage.getItem(REMEMBER_KEY) === 'true';
+        sessionStorage.setItem(USER_KEY, JSON.stringify(user));
+        sessionStorage.setItem(OFFLINE_SESSION_KEY, JSON.stringify({
+            expiresAt,
+            startedAt: new Date().toISOString()
+        }));
+        
+        console.log('Offline session started');
     } catch (error) {
-        console.error('Error checking remember me status:', error);
-        return false;
+        console.error('Error saving offline session:', error);
     }
 }
 
 /**
- * Update token in storage (for token refresh)
- * @param {string} newToken - New JWT token
+ * Get the offline session, if the user logged in without the server
+ * @returns {Object|null} - { expiresAt, startedAt } or null
  */
-function updateToken(newToken) {
+function getOfflineSession() {
     try {
-        const remember = isRememberMeEnabled();
-        const storage = remember ? localStorage : sessionStorage;
-        
-        storage.setItem(TOKEN_KEY, newToken);
-        
-        if (remember) {
-            localStorage.setItem(TOKEN_KEY, newToken);
-        }
-        
-        console.log('Token updated successfully');
+        const session = sessionStorage.getItem(OFFLINE_SESSION_KEY);
+        return session ? JSON.parse(session) : null;
     } catch (error) {
-        console.error('Error updating token:', error);
+        console.error('Error getting offline session:', error);
+        return null;
     }
 }
 
+/**
+ * Check if the current session was started offline (no tokens)
+ * @returns {boolean} - True for offline sessions
+ */
+function isOfflineSession() {
+    return !getToken() && !!getOfflineSession();
+}
+
 /**
  * Get storage info for debugging
  * @returns {Object} - Storage information
@@ -213,9 +236,11 @@ function updateToken(newToken) {
 function getStorageInfo() {
     return {
         hasToken: !!getToken(),
+        canRefresh: canRefreshSession(),
         hasUser: !!getUserData(),
         rememberMe: isRememberMeEnabled(),
+        offlineSession: isOfflineSession(),
         deviceId: getStoredDeviceId(),
-        storageType: isRememberMeEnabled() ? 'localStorage' : 'sessionStorage'
+        storageType: isRememberMeEnabled() ? 'encrypted store' : 'memory'
     };
 }
@@ -1,10 +1,25 @@
 // Main Electron process file
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, powerMonitor } = require('electron');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const SecureDeviceManager = require('./utils/secureDevice');
+const OfflineLeaseManager = require('./utils/offlineLease');
+const AuthSessionManager = require('./utils/authSession');
+const IdleLockManager = require('./utils/idleLock');
+const SessionEventStream = require('./utils/sessionEvents');
 
 let mainWindow;
 let secureDevice = null;
+let offlineLease = null;
+let authSession = null;
+let idleLock = null;
+let sessionEvents = null;
+
+// Password of a login waiting for its second factor, so the offline lease
+// fetched once the login completes can still allow offline logins
+let pendingTwoFactorLogin = null;
+
+const PAGES_DIR = path.join(__dirname, 'frontend/pages');
 
 /**
  * Initialize secure device binding
@@ -35,9 +50,11 @@ function createWindow() {
     width: 1200,
     height: 800,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: true
+      // Pages only see the window.* APIs from the preload
+      preload: path.join(__dirname, 'preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
     },
     icon: path.join(__dirname, 'assets/icon.png'),
     show: false,
@@ -45,8 +62,13 @@ function createWindow() {
     autoHideMenuBar: true
   });
 
-  // Load the login page
-  mainWindow.loadFile(path.join(__dirname, 'frontend/pages/login.html'));
+  // Load the login page, or the lock screen if the app was quit while locked
+  mainWindow.loadFile(path.join(PAGES_DIR, idleLock.locked ? 'lock.html' : 'login.html'));
+
+  // Only the dashboard holds a session worth locking
+  mainWindow.webContents.on('did-navigate', (event, url) => {
+    idleLock.setActive(new URL(url).pathname.endsWith('/dashboard.html'));
+  });
 
   // Show window when ready
   mainWindow.once('ready-to-show', () => {
@@ -74,15 +96,138 @@ function createWindow() {
 /**
  * Generate device hash for server communication
  */
-function generateDeviceHash(additionalData = '') {
+function generateDeviceHash() {
   try {
-    return secureDevice.generateDeviceHash(additionalData);
+    return secureDevice.generateDeviceHash();
   } catch (error) {
     console.error('Error generating device hash:', error);
     throw error;
   }
 }
 
+/**
+ * User of the signed-in session. Offline sessions have no tokens, so their
+ * user comes from the lease.
+ */
+function getCurrentUser() {
+  const session = authSession.getSession();
+  if (session) {
+    return session.user || null;
+  }
+
+  const lease = offlineLease.getStatus();
+  return lease.valid ? { id: lease.userId, username: lease.username } : null;
+}
+
+/**
+ * Check the password typed on the lock screen: with the server when it can
+ * be reached, otherwise against the password hash kept with the offline lease
+ */
+async function verifyUnlockPassword(password) {
+  if (typeof password !== 'string' || !password) {
+    return { valid: false, error: 'Enter your password to unlock' };
+  }
+
+  if (authSession.getSession()) {
+    const result = await authSession.reauthenticate(password);
+    if (result.ok) {
+      return { valid: true };
+    }
+    if (!result.networkError) {
+      // 401: the session ended meanwhile; 423: too many wrong passwords
+      return {
+        valid: false,
+        error: result.data.error,
+        signOut: result.status === 401 || result.status === 423
+      };
+    }
+  }
+
+  try {
+    const user = getCurrentUser();
+    offlineLease.unlock(user ? user.username : null, password);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Fetch a new offline lease for the signed-in session and keep it. The
+ * password, when given, must be one the server has just accepted.
+ * @param {string|null} [password] - Password of the login that just succeeded
+ * @returns {Promise<Object>} - { success, status } or { success, networkError, error }
+ */
+async function renewOfflineLease(password = null) {
+  const result = await authSession.requestOfflineLease();
+  if (!result.ok) {
+    return {
+      success: false,
+      networkError: Boolean(result.networkError),
+      error: result.data.error || 'Offline lease could not be fetched'
+    };
+  }
+
+  return { success: true, status: offlineLease.saveLease(result.data.lease, result.data.keys, password) };
+}
+
+/**
+ * Password the server accepted with a sign-in request, if there was one:
+ * directly for a login, or from the first step of a two-factor login
+ */
+function getAcceptedPassword(endpoint, body) {
+  if (endpoint === '/auth/login') {
+    return body.password || null;
+  }
+  if (endpoint === '/auth/login/2fa' && pendingTwoFactorLogin &&
+    pendingTwoFactorLogin.loginTicket === body.loginTicket) {
+    return pendingTwoFactorLogin.password;
+  }
+  return null;
+}
+
+/**
+ * Answer for auth:* calls that would hand out a token while the app is
+ * locked: the lock screen must be passed first
+ */
+function lockedAuthResult() {
+  return {
+    ok: false,
+    status: 423,
+    networkError: false,
+    data: { error: 'The app is locked. Unlock it first.', code: 'APP_LOCKED' },
+    session: null
+  };
+}
+
+function showLockScreen() {
+  if (mainWindow) {
+    mainWindow.loadFile(path.join(PAGES_DIR, 'lock.html'));
+  }
+}
+
+function showDashboard() {
+  if (mainWindow) {
+    mainWindow.loadFile(path.join(PAGES_DIR, 'dashboard.html'));
+  }
+}
+
+/**
+ * The server ended the session (revoked, account deactivated or login rules
+ * changed). Nothing of it may stay usable here, offline lease included.
+ */
+function endSessionFromServer(event, data) {
+  authSession.clear();
+  offlineLease.clear();
+  idleLock.release();
+
+  if (mainWindow) {
+    mainWindow.loadFile(path.join(PAGES_DIR, 'login.html'), {
+      query: { reason: data.reason || event }
+    });
+  }
+}
+
 /**
  * IPC Handlers
  */
@@ -96,6 +241,7 @@ ipcMain.handle('get-device-credentials', async () => {
       platform: deviceInfo.platform,
       arch: deviceInfo.arch,
       hostname: deviceInfo.hostname,
+      appVersion: app.getVersion(),
       bindTime: deviceInfo.bindTime
     };
   } catch (error) {
@@ -105,19 +251,31 @@ ipcMain.handle('get-device-credentials', async () => {
 });
 
 // Generate device hash for authentication
-ipcMain.handle('generate-device-hash', async (event, additionalData = '') => {
+ipcMain.handle('generate-device-hash', async () => {
   try {
-    return generateDeviceHash(additionalData);
+    return generateDeviceHash();
   } catch (error) {
     console.error('Error generating device hash:', error);
     throw error;
   }
 });
 
+// Get device public key for registration/login
+ipcMain.handle('get-device-public-key', async () => {
+  try {
+    return secureDevice.getDevicePublicKey();
+  } catch (error) {
+    console.error('Error getting device public key:', error);
+    throw error;
+  }
+});
+
 // Validate device integrity
 ipcMain.handle('validate-device-integrity', async () => {
   try {
-    return secureDevice.validateDeviceBinding();
+    // Never hand the stored binding (which holds the private key) to the renderer
+    const { bindingInfo, ...validation } = secureDevice.validateDeviceBinding();
+    return validation;
   } catch (error) {
     console.error('Error validating device integrity:', error);
     return {
@@ -128,13 +286,234 @@ ipcMain.handle('validate-device-integrity', async () => {
   }
 });
 
+// Store the binding expiry the server returned after a login or renewal
+ipcMain.handle('renew-device-binding', async (event, deviceBinding) => {
+  try {
+    return secureDevice.renewBinding(deviceBinding);
+  } catch (error) {
+    console.error('Error renewing device binding:', error);
+    throw error;
+  }
+});
+
+// Renew the lease of the signed-in session. The pages cannot hand in a
+// lease, key or password: offline logins would be forgeable otherwise.
+ipcMain.handle('renew-offline-lease', async () => {
+  try {
+    return await renewOfflineLease();
+  } catch (error) {
+    console.error('Error renewing offline lease:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Whether the stored lease allows working offline right now
+ipcMain.handle('get-offline-lease-status', async () => {
+  try {
+    return offlineLease.getStatus();
+  } catch (error) {
+    console.error('Error checking offline lease:', error);
+    return {
+      hasLease: false,
+      valid: false,
+      reason: 'Validation error',
+      error: error.message
+    };
+  }
+});
+
+// Log in against the stored lease while the server is unreachable
+ipcMain.handle('unlock-offline-session', async (event, identifier, password) => {
+  try {
+    return { success: true, ...offlineLease.unlock(identifier, password) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clear-offline-lease', async () => {
+  try {
+    offlineLease.clear();
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing offline lease:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Session for the renderer: access token and user, never the refresh token
+ipcMain.handle('auth:get-session', async () => {
+  // The lock screen works without the token
+  return idleLock.locked ? null : authSession.getSession();
+});
+
+// Update the user data or "remember me" choice of the current session
+ipcMain.handle('auth:set-session', async (event, changes) => {
+  if (idleLock.locked) {
+    return null;
+  }
+
+  try {
+    return authSession.updateSession(changes);
+  } catch (error) {
+    console.error('Error updating auth session:', error);
+    throw error;
+  }
+});
+
+// End the session; with revoke the server is told as well (logout)
+ipcMain.handle('auth:clear', async (event, options = {}) => {
+  try {
+    sessionEvents.stop();
+    if (options.revoke) {
+      await authSession.logout();
+    } else {
+      authSession.clear();
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error clearing auth session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Login, registration and device transfer: the tokens they return stay here
+ipcMain.handle('auth:sign-in', async (event, endpoint, body, remember) => {
+  if (idleLock.locked) {
+    return lockedAuthResult();
+  }
+
+  try {
+    const result = await authSession.signIn(endpoint, body, remember);
+
+    if (result.ok && result.data.twoFactorRequired) {
+      pendingTwoFactorLogin = { loginTicket: result.data.loginTicket, password: body.password };
+    }
+
+    if (result.ok && result.session) {
+      const password = getAcceptedPassword(endpoint, body);
+      pendingTwoFactorLogin = null;
+      sessionEvents.start();
+
+      // Without a lease the app just needs the server, so this may fail
+      const lease = await renewOfflineLease(password).catch(error => ({ success: false, error: error.message }));
+      if (!lease.success) {
+        console.warn('Offline lease unavailable:', lease.error);
+      }
+    }
+    return result;
+  } catch (error) {
+    console.error('Error signing in:', error);
+    throw error;
+  }
+});
+
+// Requests that need a device proof but issue no tokens; the proof is made
+// in authSession like for sign-ins
+ipcMain.handle('auth:request-device-transfer', async (event, body) => {
+  try {
+    return await authSession.requestDeviceTransfer(body);
+  } catch (error) {
+    console.error('Error requesting device transfer:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('auth:renew-device-binding', async () => {
+  try {
+    return await authSession.renewDeviceBinding();
+  } catch (error) {
+    console.error('Error renewing device binding with the server:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('auth:refresh', async () => {
+  // The session keeps running behind the lock, but its tokens stay here
+  if (idleLock.locked) {
+    return lockedAuthResult();
+  }
+
+  try {
+    return await authSession.refresh();
+  } catch (error) {
+    console.error('Error refreshing auth session:', error);
+    throw error;
+  }
+});
+
+// Lock screen state, plus who is signed in so the lock screen can say so
+ipcMain.handle('idle:get-state', async () => {
+  const user = getCurrentUser();
+  return {
+    ...idleLock.getState(user ? user.id : null),
+    username: user ? user.username : null
+  };
+});
+
+ipcMain.handle('idle:lock', async () => {
+  return { success: idleLock.lock('manual') };
+});
+
+ipcMain.handle('idle:unlock', async (event, credentials) => {
+  try {
+    const user = getCurrentUser();
+    return await idleLock.unlock(user ? user.id : null, credentials);
+  } catch (error) {
+    console.error('Error unlocking app:', error);
+    return { success: false, error: 'Unlock failed' };
+  }
+});
+
+ipcMain.handle('idle:set-pin', async (event, pin) => {
+  try {
+    if (idleLock.locked) {
+      throw new Error('Unlock the app first');
+    }
+    const user = getCurrentUser();
+    idleLock.setPin(user ? user.id : null, pin);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('idle:clear-pin', async () => {
+  if (idleLock.locked) {
+    return { success: false, error: 'Unlock the app first' };
+  }
+  idleLock.clearPin();
+  return { success: true };
+});
+
+// Give up on unlocking: end the session like a logout from the dashboard
+ipcMain.handle('idle:sign-out', async () => {
+  try {
+    sessionEvents.stop();
+    await authSession.logout();
+    offlineLease.clear();
+    idleLock.release();
+    return { success: true };
+  } catch (error) {
+    console.error('Error signing out from lock screen:', error);
+    idleLock.release();
+    return { success: false, error: error.message };
+  }
+});
+
 // Reset device binding (for development/debugging)
 ipcMain.handle('reset-device-binding', async () => {
   try {
+    // A lease and a stored session are tied to the binding being removed
+    offlineLease.clear();
+    sessionEvents.stop();
+    authSession.clear();
+
     const result = secureDevice.resetDeviceBinding();
     if (result) {
       // Reinitialize after reset
       initializeSecureDevice();
+      authSession = new AuthSessionManager(secureDevice, { appVersion: app.getVersion() });
     }
     return { success: result };
   } catch (error) {
@@ -157,6 +536,37 @@ app.whenReady().then(() => {
     return;
   }
 
+  // Track the clock while running so that turning it back is noticed
+  offlineLease = new OfflineLeaseManager(secureDevice);
+  offlineLease.checkClock();
+  setInterval(() => offlineLease.checkClock(), 60 * 1000);
+
+  authSession = new AuthSessionManager(secureDevice, { appVersion: app.getVersion() });
+
+  idleLock = new IdleLockManager(secureDevice, {
+    powerMonitor,
+    verifyPassword: verifyUnlockPassword,
+    getPolicyMinutes: () => {
+      const policy = authSession.getPolicy();
+      return policy ? policy.idleLockMinutes : null;
+    },
+    onLock: showLockScreen,
+    onUnlock: showDashboard
+  });
+  // A lock left from the last run only matters if its session survived
+  if (idleLock.locked && !authSession.getSession()) {
+    idleLock.release();
+  }
+  idleLock.start();
+
+  sessionEvents = new SessionEventStream({
+    getAuthSession: () => authSession,
+    onSessionEnd: endSessionFromServer
+  });
+  if (authSession.getSession()) {
+    sessionEvents.start();
+  }
+
   createWindow();
 
   app.on('activate', () => {
@@ -186,6 +596,24 @@ app.on('before-quit', () => {
 });
 
 app.on('web-contents-created', (event, contents) => {
+  // The preload bridge is exposed to whatever the window shows, so it may
+  // only ever show the app's own pages
+  const pagesUrl = pathToFileURL(path.join(PAGES_DIR, '/')).href;
+  const lockPageUrl = pathToFileURL(path.join(PAGES_DIR, 'lock.html')).href;
+  contents.on('will-navigate', (event, navigationUrl) => {
+    if (!navigationUrl.startsWith(pagesUrl)) {
+      event.preventDefault();
+      console.warn('Blocked navigation to', navigationUrl);
+      return;
+    }
+
+    // While locked the only way out is unlocking or signing out
+    if (idleLock && idleLock.locked && !navigationUrl.startsWith(lockPageUrl)) {
+      event.preventDefault();
+      console.warn('Blocked navigation while locked to', navigationUrl);
+    }
+  });
+
   contents.on('new-window', (event, navigationUrl) => {
     event.preventDefault();
     require('electron').shell.openExternal(navigationUrl);
@@ -0,0 +1,215 @@
+// Preload script: the only bridge between the pages and the main process.
+// Pages run with contextIsolation and sandbox, so they get these objects
+// and nothing else from Electron or Node.
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * @typedef {Object} DeviceCredentials
+ * @property {string} deviceId - Local binding ID
+ * @property {string} platform - process.platform of the bound device
+ * @property {string} arch - process.arch of the bound device
+ * @property {string} hostname - Host name at bind time
+ * @property {string} appVersion - App version
+ * @property {string} bindTime - ISO time the binding was created
+ */
+
+/**
+ * @typedef {Object} DeviceValidation
+ * @property {boolean} isValid - Whether the binding matches this hardware
+ * @property {string} [reason] - Why it does not
+ * @property {number} [score] - Weighted hardware similarity, 0..1
+ * @property {Array<string>} [changedComponents] - Components that differ from the binding
+ * @property {Object|null} [lastDrift] - Last recorded hardware change
+ * @property {Object} [renewal] - { expiresAt, daysLeft, renewalDue, expired }
+ */
+
+/**
+ * @typedef {Object} OfflineLeaseStatus
+ * @property {boolean} hasLease - Whether a lease is stored
+ * @property {boolean} valid - Whether it currently allows offline use
+ * @property {string} [reason] - Why it does not
+ * @property {number} [userId] - User the lease was issued to
+ * @property {string} [expiresAt] - ISO expiry of the lease
+ */
+
+/**
+ * @typedef {Object} AuthSession
+ * @property {string} token - Access token
+ * @property {Object} user - Signed-in user
+ * @property {boolean} remember - Whether the session survives an app restart
+ * @property {boolean} canRefresh - Whether the main process holds a refresh token
+ */
+
+/**
+ * @typedef {Object} AuthResult
+ * @property {boolean} ok - Whether the server accepted the request
+ * @property {number} status - HTTP status, 0 if the server was not reached,
+ *   423 (code APP_LOCKED) while the app is locked
+ * @property {boolean} networkError - Whether the server was not reached
+ * @property {Object} data - Response body without the refresh token
+ * @property {AuthSession|null} session - Session after the request
+ */
+
+/**
+ * @typedef {Object} IdleLockState
+ * @property {boolean} locked - Whether the lock screen is up
+ * @property {string|null} reason - idle, suspend, lock-screen or manual
+ * @property {string|null} lockedAt - ISO time the app locked
+ * @property {number} timeoutMinutes - Idle minutes before locking
+ * @property {boolean} pinEnabled - Whether a PIN may unlock it
+ * @property {string|null} username - Signed-in user
+ */
+
+/**
+ * @typedef {Object} AppInfo
+ * @property {string} name - App name
+ * @property {string} version - App version
+ * @property {string} platform - process.platform
+ * @property {string} arch - process.arch
+ * @property {string} electronVersion - Electron version
+ * @property {string} nodeVersion - Node version of the main process
+ */
+
+const requireString = (value, name) => {
+  if (typeof value !== 'string' || !value) {
+    throw new TypeError(`${name} must be a non-empty string`);
+  }
+  return value;
+};
+
+const requireObject = (value, name) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(`${name} must be an object`);
+  }
+  return value;
+};
+
+contextBridge.exposeInMainWorld('secureDevice', {
+  /** @returns {Promise<DeviceCredentials>} */
+  getCredentials: () => ipcRenderer.invoke('get-device-credentials'),
+
+  /** @returns {Promise<string>} - SHA-256 of the device public key */
+  getDeviceHash: () => ipcRenderer.invoke('generate-device-hash'),
+
+  /** @returns {Promise<string>} - PEM encoded Ed25519 public key */
+  getPublicKey: () => ipcRenderer.invoke('get-device-public-key'),
+
+  /** @returns {Promise<DeviceValidation>} */
+  validateIntegrity: () => ipcRenderer.invoke('validate-device-integrity'),
+
+  /**
+   * @param {Object} deviceBinding - deviceBinding field of a login, refresh or renewal response
+   * @returns {Promise<Object>} - { expiresAt, daysLeft, renewalDue, expired }
+   */
+  renewBinding: (deviceBinding) => ipcRenderer.invoke('renew-device-binding', requireObject(deviceBinding, 'deviceBinding')),
+
+  /** @returns {Promise<{success: boolean, error?: string}>} */
+  resetBinding: () => ipcRenderer.invoke('reset-device-binding'),
+
+  /**
+   * Fetch a new lease for the signed-in session in the main process
+   * @returns {Promise<{success: boolean, status?: OfflineLeaseStatus, networkError?: boolean, error?: string}>}
+   */
+  renewOfflineLease: () => ipcRenderer.invoke('renew-offline-lease'),
+
+  /** @returns {Promise<OfflineLeaseStatus>} */
+  getOfflineLeaseStatus: () => ipcRenderer.invoke('get-offline-lease-status'),
+
+  /**
+   * @param {string} identifier - Username or email
+   * @param {string} password - Password
+   * @returns {Promise<{success: boolean, user?: Object, expiresAt?: string, error?: string}>}
+   */
+  unlockOfflineSession: (identifier, password) => ipcRenderer.invoke(
+    'unlock-offline-session',
+    requireString(identifier, 'identifier'),
+    requireString(password, 'password')
+  ),
+
+  /** @returns {Promise<{success: boolean, error?: string}>} */
+  clearOfflineLease: () => ipcRenderer.invoke('clear-offline-lease')
+});
+
+contextBridge.exposeInMainWorld('authSession', {
+  /** @returns {Promise<AuthSession|null>} */
+  getSession: () => ipcRenderer.invoke('auth:get-session'),
+
+  /**
+   * @param {Object} changes - { user?, remember? }
+   * @returns {Promise<AuthSession|null>}
+   */
+  setSession: (changes) => ipcRenderer.invoke('auth:set-session', requireObject(changes, 'changes')),
+
+  /**
+   * @param {Object} [options] - { revoke } also logs the session out on the server
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  clear: (options = {}) => ipcRenderer.invoke('auth:clear', { revoke: Boolean(options && options.revoke) }),
+
+  /**
+   * @param {string} endpoint - /auth/login, /auth/login/2fa, /auth/register or /auth/device-transfer/confirm
+   * @param {Object} body - Request body; the main process adds the device proof
+   * @param {boolean} [remember] - Keep the session after the app closes
+   * @returns {Promise<AuthResult>}
+   */
+  signIn: (endpoint, body, remember = false) => ipcRenderer.invoke(
+    'auth:sign-in',
+    requireString(endpoint, 'endpoint'),
+    requireObject(body, 'body'),
+    Boolean(remember)
+  ),
+
+  /**
+   * @param {Object} body - { username, password, twoFactorCode?, recoveryCode? }
+   * @returns {Promise<AuthResult>} - data is { transferId, expiresAt } on success
+   */
+  requestDeviceTransfer: (body) => ipcRenderer.invoke('auth:request-device-transfer', requireObject(body, 'body')),
+
+  /** @returns {Promise<AuthResult>} - data.deviceBinding on success */
+  renewDeviceBinding: () => ipcRenderer.invoke('auth:renew-device-binding'),
+
+  /** @returns {Promise<AuthResult>} */
+  refresh: () => ipcRenderer.invoke('auth:refresh')
+});
+
+contextBridge.exposeInMainWorld('idleLock', {
+  /** @returns {Promise<IdleLockState>} */
+  getState: () => ipcRenderer.invoke('idle:get-state'),
+
+  /** @returns {Promise<{success: boolean}>} */
+  lockNow: () => ipcRenderer.invoke('idle:lock'),
+
+  /**
+   * @param {Object} credentials - { pin } or { password }
+   * @returns {Promise<{success: boolean, error?: string, signOut?: boolean}>}
+   */
+  unlock: (credentials) => {
+    requireObject(credentials, 'credentials');
+    return ipcRenderer.invoke('idle:unlock', credentials.pin !== undefined
+      ? { pin: requireString(credentials.pin, 'pin') }
+      : { password: requireString(credentials.password, 'password') });
+  },
+
+  /**
+   * @param {string} pin - 4 to 8 digits
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  setPin: (pin) => ipcRenderer.invoke('idle:set-pin', requireString(pin, 'pin')),
+
+  /** @returns {Promise<{success: boolean, error?: string}>} */
+  clearPin: () => ipcRenderer.invoke('idle:clear-pin'),
+
+  /** @returns {Promise<{success: boolean, error?: string}>} */
+  signOut: () => ipcRenderer.invoke('idle:sign-out')
+});
+
+contextBridge.exposeInMainWorld('appApi', {
+  /** @returns {Promise<AppInfo>} */
+  getInfo: () => ipcRenderer.invoke('get-app-info'),
+
+  /** @returns {Promise<void>} */
+  quit: () => ipcRenderer.invoke('quit-app'),
+
+  /** @returns {Promise<void>} */
+  restart: () => ipcRenderer.invoke('restart-app')
+});
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const Store = require('electron-store');
+
+// Same default as API_BASE_URL in frontend/js/api.js
+const DEFAULT_API_BASE_URL = 'http://localhost:3000/api';
+
+// Endpoints that answer with a new token pair
+const SIGN_IN_ENDPOINTS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/device-transfer/confirm'
+];
+
+class AuthSessionManager {
+  /**
+   * @param {SecureDeviceManager} secureDevice - Binding the stored session is tied to
+   * @param {Object} [options]
+   * @param {string} [options.apiBaseUrl] - Backend URL, default API_BASE_URL or http://localhost:3000/api
+   * @param {string} [options.appVersion] - Sent with device proofs as deviceInfo.appVersion
+   */
+  constructor(secureDevice, options = {}) {
+    this.secureDevice = secureDevice;
+    this.apiBaseUrl = options.apiBaseUrl || process.env.API_BASE_URL || DEFAULT_API_BASE_URL;
+    this.appVersion = options.appVersion || null;
+    this.refreshing = null;
+
+    // The key includes the binding, so a new binding cannot read a session
+    // stored under the old one; the unreadable file is simply discarded
+    this.store = new Store({
+      name: 'auth-session',
+      encryptionKey: this.getStoreKey(),
+      clearInvalidConfig: true
+    });
+
+    // Sessions without "remember me" live only as long as the app runs
+    this.session = this.store.get('session', null);
+  }
+
+  getStoreKey() {
+    const binding = this.secureDevice.getDeviceBinding();
+    if (!binding) {
+      throw new Error('No device binding to protect the session with');
+    }
+
+    return crypto
+      .createHash('sha256')
+      .update(`${this.secureDevice.getEncryptionKey()}:${binding.deviceId}:${binding.publicKey}`)
+      .digest('hex');
+  }
+
+  /**
+   * The session as the renderer may see it: never the refresh token
+   * @returns {Object|null} - { token, user, remember, canRefresh } or null
+   */
+  getSession() {
+    if (!this.session) {
+      return null;
+    }
+
+    return {
+      token: this.session.token,
+      user: this.session.user,
+      remember: this.session.remember,
+      canRefresh: Boolean(this.session.refreshToken)
+    };
+  }
+
+  /**
+   * Keep a session in memory, and on disk as well when the user asked to be
+   * remembered
+   * @param {Object} session - { token, refreshToken, user, remember }
+   */
+  saveSession(session) {
+    this.session = session;
+
+    if (session.remember) {
+      this.store.set('session', session);
+    } else {
+      this.store.delete('session');
+    }
+  }
+
+  /**
+   * Change the user data or the remember flag of the current session
+   * @param {Object} changes - { user?, remember? }
+   * @returns {Object|null} - Session, see getSession()
+   */
+  updateSession({ user, remember } = {}) {
+    if (!this.session) {
+      return null;
+    }
+
+    this.saveSession({
+      ...this.session,
+      ...(user && typeof user === 'object' && { user }),
+      ...(typeof remember === 'boolean' && { remember })
+    });
+
+    return this.getSession();
+  }
+
+  clear() {
+    this.session = null;
+    this.store.delete('session');
+  }
+
+  /**
+   * POST JSON to the backend. Connection failures come back as a result
+   * rather than an exception, because errors lose their fields over IPC.
+   * @returns {Promise<Object>} - { ok, status, data, networkError? }
+   */
+  async post(endpoint, body, token = null) {
+    return this.send(`${this.apiBaseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { 'Authorization': `Bearer ${token}` })
+      },
+      body: JSON.stringify(body || {})
+    });
+  }
+
+  async send(url, options) {
+    try {
+      const response = await fetch(url, options);
+
+      const data = await response.json().catch(() => ({}));
+      return { ok: response.ok, status: response.status, data };
+    } catch (error) {
+      console.error(`Request to ${url} failed:`, error.message);
+      return {
+        ok: false,
+        status: 0,
+        networkError: true,
+        data: {
+          error: 'Network error: Unable to connect to server. Please check your connection.',
+          code: 'NETWORK_ERROR'
+        }
+      };
+    }
+  }
+
+  /**
+   * Store the binding expiry that came with new tokens
+   */
+  applyDeviceBinding(deviceBinding) {
+    if (!deviceBinding) {
+      return;
+    }
+
+    try {
+      this.secureDevice.renewBinding(deviceBinding);
+    } catch (error) {
+      console.error('Error storing device binding expiry:', error);
+    }
+  }
+
+  /**
+   * Answer for the renderer: the response body minus the refresh token
+   */
+  toResult({ ok, status, data, networkError }) {
+    const { refreshToken, ...safeData } = data || {};
+
+    return {
+      ok,
+      status,
+      networkError: Boolean(networkError),
+      data: safeData,
+      session: this.getSession()
+    };
+  }
+
+  /**
+   * Send a login, register or transfer confirmation request and keep the
+   * tokens it returns
+   * @param {string} endpoint - One of the sign-in endpoints
+   * @param {Object} body - Request body; the device proof is added here
+   * @param {boolean} [remember] - Keep the session after the app closes
+   * @returns {Promise<Object>} - { ok, status, networkError, data, session }
+   */
+  async signIn(endpoint, body, remember = false) {
+    if (!SIGN_IN_ENDPOINTS.includes(endpoint)) {
+      throw new Error(`Not a sign-in endpoint: ${endpoint}`);
+    }
+
+    // Whatever proof fields the page sent are replaced by our own
+    const proof = await this.createDeviceProof();
+    if (!proof.ok) {
+      return this.toResult(proof);
+    }
+
+    const result = await this.post(endpoint, { ...body, ...proof.data });
+
+    if (result.ok && result.data.token && result.data.refreshToken) {
+      this.saveSession({
+        token: result.data.token,
+        refreshToken: result.data.refreshToken,
+        user: result.data.user,
+        remember: Boolean(remember),
+        policy: result.data.sessionPolicy || null
+      });
+      this.applyDeviceBinding(result.data.deviceBinding);
+    }
+
+    return this.toResult(result);
+  }
+
+  /**
+   * Exchange the refresh token for a new pair. Refresh tokens are single
+   * use, so concurrent callers share one request instead of each spending it.
+   * @returns {Promise<Object>} - { ok, status, networkError, data, session }
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.sendRefresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  async sendRefresh() {
+    const session = this.session;
+    if (!session || !session.refreshToken) {
+      return this.toResult({ ok: false, status: 401, data: { error: 'No refresh token available' } });
+    }
+
+    const proof = await this.createDeviceProof();
+    if (!proof.ok) {
+      // Without the device key the session can never be refreshed again
+      if (proof.data.code === 'DEVICE_KEY_UNAVAILABLE') {
+        this.clear();
+      }
+      return this.toResult(proof);
+    }
+
+    const result = await this.post('/auth/refresh', { refreshToken: session.refreshToken, ...proof.data });
+
+    if (result.ok) {
+      this.saveSession({
+        ...session,
+        token: result.data.token,
+        refreshToken: result.data.refreshToken,
+        user: result.data.user || session.user,
+        policy: result.data.sessionPolicy || session.policy
+      });
+      this.applyDeviceBinding(result.data.deviceBinding);
+    } else if (result.status === 401) {
+      // The server ended the session
+      this.clear();
+    }
+
+    return this.toResult(result);
+  }
+
+  /**
+   * Sign a fresh server challenge with the device key. Proofs are only made
+   * here and sent straight to the server: the pages cannot get anything
+   * signed with the device key.
+   * @returns {Promise<Object>} - { ok, status, data } where data is the proof
+   *   ({ deviceHash, publicKey, challengeId, signature, deviceInfo }) or the error
+   */
+  async createDeviceProof() {
+    const challenge = await this.post('/auth/challenge');
+    if (!challenge.ok) {
+      return challenge;
+    }
+
+    try {
+      const { platform, arch, hostname } = this.secureDevice.getDeviceInfo();
+
+      return {
+        ok: true,
+        status: 200,
+        data: {
+          deviceHash: this.secureDevice.generateDeviceHash(),
+          publicKey: this.secureDevice.getDevicePublicKey(),
+          challengeId: challenge.data.challengeId,
+          signature: this.secureDevice.signChallenge(challenge.data.nonce),
+          deviceInfo: {
+            platform,
+            arch,
+            hostname,
+            ...(this.appVersion && { appVersion: this.appVersion })
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error creating device proof:', error);
+      return {
+        ok: false,
+        status: 401,
+        data: { error: 'Device credentials are unavailable. Please log in again.', code: 'DEVICE_KEY_UNAVAILABLE' }
+      };
+    }
+  }
+
+  /**
+   * Rules the server set for this session, see sessionPolicy in the
+   * login response
+   * @returns {Object|null} - { idleLockMinutes } or null
+   */
+  getPolicy() {
+    return this.session ? this.session.policy || null : null;
+  }
+
+  /**
+   * Check the user's password with the server. Nothing about the session
+   * changes, except that an expired access token is refreshed first.
+   * @param {string} password - Account password
+   * @returns {Promise<Object>} - { ok, status, networkError, data, session }
+   */
+  async reauthenticate(password) {
+    if (!this.session) {
+      return this.toResult({ ok: false, status: 401, data: { error: 'Not signed in' } });
+    }
+
+    let result = await this.post('/user/reauth', { password }, this.session.token);
+
+    if (result.status === 401 && this.session.refreshToken) {
+      const refreshed = await this.refresh();
+      if (!refreshed.ok) {
+        return refreshed;
+      }
+      result = await this.post('/user/reauth', { password }, this.session.token);
+    }
+
+    return this.toResult(result);
+  }
+
+  /**
+   * Ask for an emailed code to move the account to this device. Tokens only
+   * come with the confirmation, see signIn().
+   * @param {Object} body - { username, password, twoFactorCode?, recoveryCode? }
+   * @returns {Promise<Object>} - { ok, status, networkError, data, session }
+   */
+  async requestDeviceTransfer(body) {
+    const proof = await this.createDeviceProof();
+    if (!proof.ok) {
+      return this.toResult(proof);
+    }
+
+    return this.toResult(await this.post('/auth/device-transfer/request', { ...body, ...proof.data }));
+  }
+
+  /**
+   * Prove the device key again so the server extends the binding of the
+   * signed-in device
+   * @returns {Promise<Object>} - { ok, status, networkError, data, session }
+   */
+  async renewDeviceBinding() {
+    if (!this.session) {
+      return this.toResult({ ok: false, status: 401, data: { error: 'Not signed in' } });
+    }
+
+    // Each attempt needs its own proof, challenges are single use
+    const send = async () => {
+      const proof = await this.createDeviceProof();
+      return proof.ok ? this.post('/user/device/renew', proof.data, this.session.token) : proof;
+    };
+
+    let result = await send();
+
+    if (result.status === 401 && this.session.refreshToken) {
+      const refreshed = await this.refresh();
+      if (!refreshed.ok) {
+        return refreshed;
+      }
+      result = await send();
+    }
+
+    if (result.ok) {
+      this.applyDeviceBinding(result.data.deviceBinding);
+    }
+
+    return this.toResult(result);
+  }
+
+  /**
+   * Fetch an offline lease for the signed-in device, together with the
+   * server's public signing keys to check it with. Both come straight from
+   * the server; nothing the pages send is trusted for this.
+   * @returns {Promise<Object>} - { ok, status, networkError?, data } where
+   *   data is { lease, keys } or the error
+   */
+  async requestOfflineLease() {
+    if (!this.session) {
+      return { ok: false, status: 401, data: { error: 'Not signed in' } };
+    }
+
+    let result = await this.post('/user/lease', {}, this.session.token);
+
+    if (result.status === 401 && this.session.refreshToken) {
+      const refreshed = await this.refresh();
+      if (!refreshed.ok) {
+        return refreshed;
+      }
+      result = await this.post('/user/lease', {}, this.session.token);
+    }
+
+    if (!result.ok) {
+      return result;
+    }
+
+    // Served next to the API, outside its /api prefix
+    const jwks = await this.send(new URL('/.well-known/jwks.json', this.apiBaseUrl).href, { method: 'GET' });
+    if (!jwks.ok) {
+      return jwks;
+    }
+
+    return {
+      ok: true,
+      status: 200,
+      data: { lease: result.data.lease, keys: jwks.data.keys || [] }
+    };
+  }
+
+  /**
+   * Revoke the session on the server, then forget it. The local session is
+   * removed even when the server cannot be reached.
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const session = this.session;
+    this.clear();
+
+    if (session) {
+      await this.post('/auth/logout', { refreshToken: session.refreshToken }, session.token);
+    }
+  }
+}
+
+module.exports = AuthSessionManager;
@@ -0,0 +1,178 @@
+const { machineIdSync } = require('node-machine-id');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * A collector reads one hardware component for the device fingerprint:
+ *
+ *   name      - Key the component hash is stored under in the binding
+ *   weight    - Share of the similarity score
+ *   required  - Must match exactly whatever the score (weight is ignored)
+ *   multi     - collect() returns a list; the share of stored entries that
+ *               are still present counts, new entries do not hurt
+ *   enabled   - Default true
+ *   collect(context) - Current value, or null when the source is not
+ *               available. context is { sysfsRoot, udevRoot, rootPath, rootDevice }.
+ */
+
+// Firmware fills unset DMI fields with strings like these
+const PLACEHOLDER_VALUES = new Set([
+  '',
+  '0',
+  'none',
+  'default string',
+  'not specified',
+  'not applicable',
+  'to be filled by o.e.m.',
+  'system serial number',
+  'system product name',
+  '00000000-0000-0000-0000-000000000000',
+  'ffffffff-ffff-ffff-ffff-ffffffffffff',
+  '03000200-0400-0500-0006-000700080009'
+]);
+
+/**
+ * Read a single-line sysfs attribute
+ * @param {string} filePath - Attribute path
+ * @returns {string|null} - Trimmed value, or null if missing, unreadable or a placeholder
+ */
+function readAttribute(filePath) {
+  try {
+    const value = fs.readFileSync(filePath, 'utf8').trim();
+    return PLACEHOLDER_VALUES.has(value.toLowerCase()) ? null : value;
+  } catch (error) {
+    // Most DMI serials are readable by root only
+    return null;
+  }
+}
+
+/**
+ * Block device (major:minor) of the filesystem holding rootPath. dev_t is
+ * split the way glibc does it; BigInt keeps the high bits intact.
+ */
+function getRootDevice({ rootPath, rootDevice }) {
+  if (rootDevice) {
+    return rootDevice;
+  }
+
+  const dev = fs.statSync(rootPath, { bigint: true }).dev;
+  const major = ((dev >> 8n) & 0xfffn) | ((dev >> 32n) & ~0xfffn);
+  const minor = (dev & 0xffn) | ((dev >> 12n) & ~0xffn);
+
+  return `${major}:${minor}`;
+}
+
+/**
+ * Serial of a whole disk from sysfs, falling back to the udev database
+ * (SATA disks only expose their serial there)
+ */
+function readDiskSerial(diskDir, udevRoot) {
+  for (const attribute of ['device/serial', 'serial', 'device/wwid', 'wwid']) {
+    const value = readAttribute(path.join(diskDir, attribute));
+    if (value) {
+      return value;
+    }
+  }
+
+  const devNumber = readAttribute(path.join(diskDir, 'dev'));
+  if (!devNumber) {
+    return null;
+  }
+
+  try {
+    const udevData = fs.readFileSync(path.join(udevRoot, 'data', `b${devNumber}`), 'utf8');
+    const match = /^E:ID_SERIAL_SHORT=(.+)$/m.exec(udevData) || /^E:ID_SERIAL=(.+)$/m.exec(udevData);
+    return match ? match[1].trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Serial of the disk the root filesystem lives on. Partitions resolve to
+ * their disk, device-mapper volumes (LVM, LUKS) to their first backing device.
+ */
+function collectRootDiskSerial(context) {
+  let blockDir;
+  try {
+    blockDir = fs.realpathSync(path.join(context.sysfsRoot, 'dev/block', getRootDevice(context)));
+  } catch (error) {
+    // overlayfs, tmpfs, network roots and non-Linux systems
+    return null;
+  }
+
+  for (let depth = 0; depth < 4; depth++) {
+    const diskDir = fs.existsSync(path.join(blockDir, 'partition')) ? path.dirname(blockDir) : blockDir;
+
+    const serial = readDiskSerial(diskDir, context.udevRoot);
+    if (serial) {
+      return serial;
+    }
+
+    let slaves = [];
+    try {
+      slaves = fs.readdirSync(path.join(diskDir, 'slaves')).sort();
+    } catch (error) {
+      // Not a stacked device
+    }
+    if (slaves.length === 0) {
+      return null;
+    }
+
+    blockDir = fs.realpathSync(path.join(diskDir, 'slaves', slaves[0]));
+  }
+
+  return null;
+}
+
+/**
+ * MAC addresses of physical network interfaces
+ */
+function collectMacAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(iface =>
+      !iface.internal &&
+      iface.mac &&
+      iface.mac !== '00:00:00:00:00:00' &&
+      !iface.mac.startsWith('00:15:5d') && // Hyper-V
+      !iface.mac.startsWith('00:50:56') && // VMware
+      !iface.mac.startsWith('08:00:27')    // VirtualBox
+    )
+    .map(iface => iface.mac)
+    .sort();
+}
+
+const dmiCollector = (name, attribute, weight) => ({
+  name,
+  weight,
+  collect: ({ sysfsRoot }) => readAttribute(path.join(sysfsRoot, 'class/dmi/id', attribute))
+});
+
+/**
+ * Built-in collectors. The first seven keep the names used by bindings made
+ * before collectors existed, so those bindings keep matching.
+ * @returns {Array<Object>} - Fresh collector objects
+ */
+function createDefaultCollectors() {
+  return [
+    { name: 'machineId', weight: 40, collect: () => machineIdSync(true) },
+    { name: 'cpuInfo', weight: 15, collect: () => os.cpus()[0]?.model || 'unknown' },
+    { name: 'platform', required: true, collect: () => process.platform },
+    { name: 'arch', required: true, collect: () => process.arch },
+    { name: 'hostname', weight: 10, collect: () => os.hostname() },
+    { name: 'totalMemory', weight: 10, collect: () => os.totalmem() },
+    { name: 'macAddresses', weight: 15, multi: true, collect: collectMacAddresses },
+    dmiCollector('dmiProductUuid', 'product_uuid', 30),
+    dmiCollector('dmiProductSerial', 'product_serial', 15),
+    dmiCollector('dmiBoardSerial', 'board_serial', 15),
+    { name: 'rootDiskSerial', weight: 20, collect: collectRootDiskSerial }
+  ];
+}
+
+module.exports = {
+  createDefaultCollectors,
+  readAttribute,
+  collectRootDiskSerial
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const Store = require('electron-store');
+
+const DEFAULT_TIMEOUT_MINUTES = 15;
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+// After this many wrong PINs only the password unlocks
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_PATTERN = /^\d{4,8}$/;
+
+class IdleLockManager {
+  /**
+   * @param {SecureDeviceManager} secureDevice - Provides the store encryption key
+   * @param {Object} options
+   * @param {Object} options.powerMonitor - Electron powerMonitor
+   * @param {Function} options.verifyPassword - async (password) => { valid, error?, signOut? }
+   * @param {Function} [options.getPolicyMinutes] - Timeout dictated by the server, if any
+   * @param {Function} [options.onLock] - Called with the reason once locked
+   * @param {Function} [options.onUnlock] - Called once unlocked
+   * @param {number} [options.timeoutMinutes] - Local timeout, default IDLE_LOCK_MINUTES or 15
+   */
+  constructor(secureDevice, options) {
+    this.powerMonitor = options.powerMonitor;
+    this.verifyPassword = options.verifyPassword;
+    this.getPolicyMinutes = options.getPolicyMinutes || (() => null);
+    this.onLock = options.onLock || (() => {});
+    this.onUnlock = options.onUnlock || (() => {});
+    this.localTimeoutMinutes = options.timeoutMinutes ||
+      parseInt(process.env.IDLE_LOCK_MINUTES) ||
+      DEFAULT_TIMEOUT_MINUTES;
+
+    // PIN hash and lock state; the lock survives an app restart, so
+    // quitting is no way around it
+    this.store = new Store({
+      name: 'idle-lock',
+      encryptionKey: secureDevice.getEncryptionKey()
+    });
+
+    const savedLock = this.store.get('lock', null);
+    this.active = false;
+    this.locked = Boolean(savedLock);
+    this.lockReason = savedLock ? savedLock.reason : null;
+    this.lockedAt = savedLock ? savedLock.lockedAt : null;
+    this.pinAttempts = savedLock ? savedLock.pinAttempts || 0 : 0;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.checkIdle(), CHECK_INTERVAL_MS);
+
+    // Sleeping or locking the OS session locks the app right away
+    this.powerMonitor.on('suspend', () => this.lock('suspend'));
+    this.powerMonitor.on('lock-screen', () => this.lock('lock-screen'));
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * The shorter of the local setting and the server policy
+   * @returns {number} - Minutes
+   */
+  getTimeoutMinutes() {
+    const policyMinutes = this.getPolicyMinutes();
+    return policyMinutes > 0
+      ? Math.min(this.localTimeoutMinutes, policyMinutes)
+      : this.localTimeoutMinutes;
+  }
+
+  /**
+   * Whether a signed-in page is showing. Only then is there anything to lock.
+   * @param {boolean} active
+   */
+  setActive(active) {
+    this.active = active;
+  }
+
+  checkIdle() {
+    if (this.powerMonitor.getSystemIdleTime() >= this.getTimeoutMinutes() * 60) {
+      this.lock('idle');
+    }
+  }
+
+  /**
+   * @param {string} reason - idle, suspend, lock-screen or manual
+   * @returns {boolean} - Whether the app was locked by this call
+   */
+  lock(reason) {
+    if (!this.active || this.locked) {
+      return false;
+    }
+
+    this.locked = true;
+    this.lockReason = reason;
+    this.lockedAt = new Date().toISOString();
+    this.pinAttempts = 0;
+    this.saveLock();
+    console.log('App locked:', reason);
+
+    this.onLock(reason);
+    return true;
+  }
+
+  saveLock() {
+    this.store.set('lock', {
+      reason: this.lockReason,
+      lockedAt: this.lockedAt,
+      pinAttempts: this.pinAttempts
+    });
+  }
+
+  /**
+   * Forget the lock without re-authentication, e.g. when the user signs out
+   * from the lock screen
+   */
+  release() {
+    this.locked = false;
+    this.lockReason = null;
+    this.lockedAt = null;
+    this.store.delete('lock');
+  }
+
+  /**
+   * @param {number|null} userId - User of the current session
+   * @returns {Object} - { locked, reason, lockedAt, timeoutMinutes, pinEnabled }
+   */
+  getState(userId) {
+    return {
+      locked: this.locked,
+      reason: this.lockReason,
+      lockedAt: this.lockedAt,
+      timeoutMinutes: this.getTimeoutMinutes(),
+      pinEnabled: this.hasPin(userId) && this.pinAttempts < MAX_PIN_ATTEMPTS
+    };
+  }
+
+  hashPin(pin, salt) {
+    return crypto.scryptSync(String(pin), salt, 32);
+  }
+
+  hasPin(userId) {
+    const stored = this.store.get('pin', null);
+    return Boolean(stored && userId && stored.userId === userId);
+  }
+
+  /**
+   * Set a PIN that unlocks the app for this user instead of the password.
+   * A new user or a new session does not inherit another user's PIN.
+   * @param {number} userId - User of the current session
+   * @param {string} pin - 4 to 8 digits
+   */
+  setPin(userId, pin) {
+    if (!userId) {
+      throw new Error('Not signed in');
+    }
+    if (!PIN_PATTERN.test(String(pin))) {
+      throw new Error('PIN must be 4 to 8 digits');
+    }
+
+    const salt = crypto.randomBytes(16);
+    this.store.set('pin', {
+      userId,
+      salt: salt.toString('hex'),
+      hash: this.hashPin(pin, salt).toString('hex')
+    });
+  }
+
+  clearPin() {
+    this.store.delete('pin');
+  }
+
+  checkPin(userId, pin) {
+    const stored = this.store.get('pin', null);
+    if (!stored || stored.userId !== userId || !PIN_PATTERN.test(String(pin))) {
+      return false;
+    }
+
+    const hash = this.hashPin(pin, Buffer.from(stored.salt, 'hex'));
+    return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, 'hex'));
+  }
+
+  /**
+   * Unlock with the PIN or the account password
+   * @param {number|null} userId - User of the current session
+   * @param {Object} credentials - { pin } or { password }
+   * @returns {Promise<Object>} - { success, error?, signOut? }
+   */
+  async unlock(userId, { pin, password } = {}) {
+    if (!this.locked) {
+      return { success: true };
+    }
+
+    if (pin !== undefined) {
+      if (this.pinAttempts >= MAX_PIN_ATTEMPTS || !this.hasPin(userId)) {
+        return { success: false, error: 'Enter your password to unlock' };
+      }
+
+      if (!this.checkPin(userId, pin)) {
+        // Saved, so restarting the app does not buy more guesses
+        this.pinAttempts++;
+        this.saveLock();
+        return {
+          success: false,
+          error: this.pinAttempts >= MAX_PIN_ATTEMPTS
+            ? 'Too many wrong PINs. Enter your password to unlock.'
+            : 'Wrong PIN'
+        };
+      }
+    } else {
+      const result = await this.verifyPassword(password);
+      if (!result.valid) {
+        return { success: false, error: result.error || 'Wrong password', signOut: Boolean(result.signOut) };
+      }
+    }
+
+    this.release();
+    console.log('App unlocked');
+
+    this.onUnlock();
+    return { success: true };
+  }
+}
+
+module.exports = IdleLockManager;
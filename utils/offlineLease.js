@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const Store = require('electron-store');
+
+const LEASE_PURPOSE = 'offline-lease';
+
+// Small backward steps happen when the OS corrects drift; anything larger
+// counts as the clock being turned back to stretch the lease
+const CLOCK_TOLERANCE_MS = 5 * 60 * 1000;
+
+const KEY_TYPES = {
+  EdDSA: 'ed25519',
+  RS256: 'rsa'
+};
+
+const DIGESTS = {
+  EdDSA: null,
+  RS256: 'sha256'
+};
+
+class OfflineLeaseManager {
+  /**
+   * @param {SecureDeviceManager} secureDevice - Binding the lease must match
+   */
+  constructor(secureDevice) {
+    this.secureDevice = secureDevice;
+
+    // Same hardware-derived key as the device binding
+    this.store = new Store({
+      name: 'offline-lease',
+      encryptionKey: secureDevice.getEncryptionKey()
+    });
+  }
+
+  decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  }
+
+  /**
+   * Pick the key that signed a lease from the server's key set
+   * @param {string} lease - Signed lease from /user/lease
+   * @param {Array} keys - Public JWKs from /.well-known/jwks.json
+   * @returns {Object} - Public JWK
+   */
+  findSigningKey(lease, keys) {
+    const header = this.decodeSegment(String(lease).split('.')[0]);
+    const signingKey = (keys || []).find(key => key.kid === header.kid);
+    if (!signingKey) {
+      throw new Error('Offline lease was not signed by a server key');
+    }
+
+    return signingKey;
+  }
+
+  /**
+   * Check a lease against a server public key and make sure it was issued
+   * for this device
+   * @param {string} lease - Signed lease from /user/lease
+   * @param {Object} signingKey - Public JWK that signed it, as fetched from the server
+   * @returns {Object} - Lease claims
+   */
+  verifyLease(lease, signingKey) {
+    const parts = String(lease).split('.');
+    if (parts.length !== 3) {
+      throw new Error('Malformed offline lease');
+    }
+
+    const header = this.decodeSegment(parts[0]);
+    if (!signingKey || !KEY_TYPES[header.alg] ||
+      header.kid !== signingKey.kid || header.alg !== signingKey.alg) {
+      throw new Error('Offline lease signing key mismatch');
+    }
+
+    const publicKey = crypto.createPublicKey({ key: signingKey, format: 'jwk' });
+    if (publicKey.asymmetricKeyType !== KEY_TYPES[header.alg]) {
+      throw new Error('Offline lease signing key mismatch');
+    }
+
+    const valid = crypto.verify(
+      DIGESTS[header.alg],
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+      throw new Error('Offline lease signature is invalid');
+    }
+
+    const claims = this.decodeSegment(parts[1]);
+    if (claims.purpose !== LEASE_PURPOSE) {
+      throw new Error('Not an offline lease');
+    }
+    if (claims.deviceHash !== this.secureDevice.generateDeviceHash()) {
+      throw new Error('Offline lease belongs to another device');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Record the latest time seen and flag the clock when it has moved back.
+   * The flag stays until a lease is saved from the server again.
+   * @returns {boolean} - True if the clock was turned back
+   */
+  checkClock() {
+    const now = Date.now();
+    const lastSeenAt = this.store.get('lastSeenAt', 0);
+
+    if (now < lastSeenAt - CLOCK_TOLERANCE_MS) {
+      if (!this.store.get('clockRollback', false)) {
+        console.warn('System clock moved back from', new Date(lastSeenAt).toISOString());
+      }
+      this.store.set('clockRollback', true);
+    } else if (now > lastSeenAt) {
+      this.store.set('lastSeenAt', now);
+    }
+
+    return this.store.get('clockRollback', false);
+  }
+
+  /**
+   * scrypt hash of the password for offline logins; the password itself is
+   * never stored
+   */
+  createVerifier(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 32);
+
+    return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+  }
+
+  checkVerifier(verifier, password) {
+    const hash = crypto.scryptSync(String(password), Buffer.from(verifier.salt, 'hex'), 32);
+    return crypto.timingSafeEqual(hash, Buffer.from(verifier.hash, 'hex'));
+  }
+
+  /**
+   * Store a lease received from the server. Pass the password after an online
+   * login to allow offline logins; renewals without one keep the previous
+   * password hash as long as the lease is for the same user.
+   * Only the main process calls this, with what it fetched itself: the key
+   * stored here is what every later offline check trusts.
+   * @param {string} lease - Signed lease from /user/lease
+   * @param {Array} keys - Public JWKs from /.well-known/jwks.json
+   * @param {string|null} [password] - Password the server just accepted
+   * @returns {Object} - Lease status
+   */
+  saveLease(lease, keys, password = null) {
+    const signingKey = this.findSigningKey(lease, keys);
+    const claims = this.verifyLease(lease, signingKey);
+    const existing = this.store.get('lease', null);
+
+    let verifier = null;
+    if (password) {
+      verifier = this.createVerifier(password);
+    } else if (existing && existing.userId === claims.userId) {
+      verifier = existing.verifier;
+    }
+
+    this.store.set('lease', {
+      token: lease,
+      signingKey,
+      userId: claims.userId,
+      verifier,
+      savedAt: new Date().toISOString()
+    });
+
+    // A lease fresh from the server resets the clock history
+    this.store.set('clockRollback', false);
+    this.store.set('lastSeenAt', Math.max(Date.now(), claims.iat * 1000));
+
+    return this.getStatus();
+  }
+
+  /**
+   * Whether the stored lease currently allows offline use
+   * @returns {Object} - { hasLease, valid, reason?, userId, username, issuedAt, expiresAt, offlineLogin }
+   */
+  getStatus() {
+    const stored = this.store.get('lease', null);
+    if (!stored) {
+      return { hasLease: false, valid: false, reason: 'No offline lease on this device' };
+    }
+
+    let claims;
+    try {
+      claims = this.verifyLease(stored.token, stored.signingKey);
+    } catch (error) {
+      return { hasLease: true, valid: false, reason: error.message };
+    }
+
+    const status = {
+      hasLease: true,
+      userId: claims.userId,
+      username: claims.username,
+      issuedAt: new Date(claims.iat * 1000).toISOString(),
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+      offlineLogin: Boolean(stored.verifier)
+    };
+
+    const now = Date.now();
+    if (this.checkClock() || now < claims.iat * 1000 - CLOCK_TOLERANCE_MS) {
+      return { ...status, valid: false, reason: 'System clock was turned back' };
+    }
+    if (now >= claims.exp * 1000) {
+      return { ...status, valid: false, reason: 'Offline lease expired' };
+    }
+
+    return { ...status, valid: true };
+  }
+
+  /**
+   * Check an offline login against the stored lease
+   * @param {string} identifier - Username or email
+   * @param {string} password - Password
+   * @returns {Object} - { user, expiresAt }
+   */
+  unlock(identifier, password) {
+    const status = this.getStatus();
+    if (!status.valid) {
+      throw new Error(status.reason);
+    }
+
+    const stored = this.store.get('lease');
+    const claims = this.decodeSegment(stored.token.split('.')[1]);
+    const name = String(identifier || '').toLowerCase();
+    const matchesUser = [claims.username, claims.email]
+      .some(value => value && value.toLowerCase() === name);
+
+    if (!matchesUser || !stored.verifier || !this.checkVerifier(stored.verifier, password)) {
+      throw new Error('Invalid credentials for offline access');
+    }
+
+    return {
+      user: {
+        id: claims.userId,
+        username: claims.username,
+        email: claims.email
+      },
+      expiresAt: status.expiresAt
+    };
+  }
+
+  /**
+   * Remove the lease. The clock history is kept so that a rollback cannot be
+   * hidden by logging out and in again.
+   */
+  clear() {
+    this.store.delete('lease');
+  }
+}
+
+module.exports = OfflineLeaseManager;
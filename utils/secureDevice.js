@@ -4,9 +4,30 @@ const Store = require('electron-store');
 const os = require('os');
 const fs = require('fs');
 const path = require('path');
+const { createDefaultCollectors } = require('./hardwareCollectors');
+
+const DEFAULT_MATCH_THRESHOLD = 0.75;
+const MAX_DRIFT_HISTORY = 10;
+
+// Used until the server has sent its binding policy at the first login
+const DEFAULT_BINDING_MAX_AGE_DAYS = 365;
+const DEFAULT_RENEW_BEFORE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Components of the fingerprint used before collectors, in their original order
+const LEGACY_COMPONENTS = ['machineId', 'cpuInfo', 'platform', 'arch', 'hostname', 'totalMemory', 'macAddresses'];
 
 class SecureDeviceManager {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.matchThreshold] - 0..1, default DEVICE_MATCH_THRESHOLD or 0.75
+   * @param {Object} [options.collectors] - Per collector overrides, e.g. { hostname: { weight: 5 }, rootDiskSerial: { enabled: false } }
+   * @param {string} [options.sysfsRoot] - Where collectors read sysfs from, default /sys
+   * @param {string} [options.udevRoot] - udev runtime directory, default /run/udev
+   * @param {string} [options.rootPath] - Path whose disk is fingerprinted, default /
+   * @param {string} [options.rootDevice] - major:minor of that disk, instead of stat()ing rootPath
+   */
+  constructor(options = {}) {
     // Initialize encrypted store for device binding
     this.store = new Store({
       name: 'secure-device',
@@ -14,6 +35,45 @@ class SecureDeviceManager {
     });
 
     this.deviceBindingFile = path.join(process.env.APPDATA || process.env.HOME, '.device_binding');
+
+    // Weighted share of hardware components that must still match
+    this.matchThreshold = options.matchThreshold ??
+      (parseFloat(process.env.DEVICE_MATCH_THRESHOLD) || DEFAULT_MATCH_THRESHOLD);
+
+    this.collectorContext = {
+      sysfsRoot: options.sysfsRoot || '/sys',
+      udevRoot: options.udevRoot || '/run/udev',
+      rootPath: options.rootPath || '/',
+      rootDevice: options.rootDevice || null
+    };
+
+    this.collectorOverrides = options.collectors || {};
+    this.collectors = new Map();
+    createDefaultCollectors().forEach(collector => this.registerCollector(collector));
+  }
+
+  /**
+   * Add a hardware collector, or replace the one with the same name. The
+   * constructor's `collectors` option overrides its weight and enabled flag.
+   * @param {Object} collector - { name, weight, required, multi, enabled, collect(context) }
+   */
+  registerCollector(collector) {
+    if (!collector || !collector.name || typeof collector.collect !== 'function') {
+      throw new Error('A collector needs a name and a collect() function');
+    }
+
+    this.collectors.set(collector.name, {
+      weight: 0,
+      required: false,
+      multi: false,
+      enabled: true,
+      ...collector,
+      ...this.collectorOverrides[collector.name]
+    });
+  }
+
+  getEnabledCollectors() {
+    return [...this.collectors.values()].filter(collector => collector.enabled);
   }
 
   /**
@@ -36,52 +96,185 @@ class SecureDeviceManager {
     }
   }
 
+  /**
+   * Run every enabled collector. A collector that fails or has no source on
+   * this machine yields null.
+   * @returns {Object} - Component name to raw value
+   */
+  getHardwareData() {
+    const hardwareData = {};
+
+    for (const collector of this.getEnabledCollectors()) {
+      try {
+        const value = collector.collect(this.collectorContext);
+        hardwareData[collector.name] = collector.multi && Array.isArray(value) && value.length === 0
+          ? null
+          : value ?? null;
+      } catch (error) {
+        console.warn(`Hardware collector ${collector.name} failed:`, error.message);
+        hardwareData[collector.name] = null;
+      }
+    }
+
+    return hardwareData;
+  }
+
   /**
    * Get hardware fingerprint from actual hardware components
+   * @param {Object} [hardwareData] - Result of getHardwareData()
    */
-  getHardwareFingerprint() {
-    try {
-      const machineId = machineIdSync(true);
-      const cpuInfo = os.cpus()[0]?.model || 'unknown';
-      const platform = process.platform;
-      const arch = process.arch;
-      const hostname = os.hostname();
-      const totalMemory = os.totalmem();
-
-      // Get network interface MAC addresses (exclude virtual interfaces)
-      const networkInterfaces = os.networkInterfaces();
-      const macAddresses = Object.values(networkInterfaces)
-        .flat()
-        .filter(iface =>
-          !iface.internal &&
-          iface.mac &&
-          iface.mac !== '00:00:00:00:00:00' &&
-          !iface.mac.startsWith('00:15:5d') && // Hyper-V
-          !iface.mac.startsWith('00:50:56') && // VMware
-          !iface.mac.startsWith('08:00:27')    // VirtualBox
-        )
-        .map(iface => iface.mac)
-        .sort()
-        .join(',');
-
-      const hardwareData = {
-        machineId,
-        cpuInfo,
-        platform,
-        arch,
-        hostname,
-        totalMemory,
-        macAddresses
-      };
+  getHardwareFingerprint(hardwareData = this.getHardwareData()) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(hardwareData))
+      .digest('hex');
+  }
 
-      return crypto
-        .createHash('sha256')
-        .update(JSON.stringify(hardwareData))
-        .digest('hex');
-    } catch (error) {
-      console.error('Error generating hardware fingerprint:', error);
-      throw new Error('Cannot generate hardware fingerprint');
+  /**
+   * The single hash bindings stored before per-component hashes existed
+   * @param {Object} hardwareData - Result of getHardwareData()
+   * @returns {string|null} - Hash, or null if a component it needs is disabled
+   */
+  getLegacyFingerprint(hardwareData) {
+    if (LEGACY_COMPONENTS.some(name => !(name in hardwareData))) {
+      return null;
+    }
+
+    const legacyData = {};
+    for (const name of LEGACY_COMPONENTS) {
+      legacyData[name] = name === 'macAddresses'
+        ? (hardwareData.macAddresses || []).join(',')
+        : hardwareData[name];
     }
+
+    return this.getHardwareFingerprint(legacyData);
+  }
+
+  hashComponent(name, value) {
+    return crypto
+      .createHash('sha256')
+      .update(`${name}:${value}`)
+      .digest('hex');
+  }
+
+  /**
+   * Hash every component on its own so a single change can be told apart.
+   * Lists are hashed entry by entry: adding a NIC keeps the others.
+   * @param {Object} [hardwareData] - Result of getHardwareData()
+   * @returns {Object} - Component name to hash, array of hashes, or null
+   */
+  getComponentHashes(hardwareData = this.getHardwareData()) {
+    const hashes = {};
+
+    for (const [name, value] of Object.entries(hardwareData)) {
+      if (value === null) {
+        hashes[name] = null;
+      } else if (Array.isArray(value)) {
+        hashes[name] = value.map(entry => this.hashComponent(name, entry));
+      } else {
+        hashes[name] = this.hashComponent(name, value);
+      }
+    }
+
+    return hashes;
+  }
+
+  /**
+   * Weighted similarity between stored and current component hashes.
+   * Components the binding has no value for (new collectors, or sources that
+   * were unreadable at bind time) are not scored but reported as added.
+   * @param {Object} stored - Component hashes from the binding
+   * @param {Object} current - Component hashes of this machine
+   * @returns {Object} - { score: 0..1, changedComponents, addedComponents }
+   */
+  compareComponents(stored, current) {
+    let totalWeight = 0;
+    let matchedWeight = 0;
+    const requiredChanges = [];
+    const changedComponents = [];
+    const addedComponents = [];
+
+    for (const collector of this.getEnabledCollectors()) {
+      const { name } = collector;
+      const storedHash = stored[name] ?? null;
+      const currentHash = current[name] ?? null;
+
+      if (storedHash === null) {
+        if (currentHash !== null) {
+          addedComponents.push(name);
+        }
+        continue;
+      }
+
+      if (collector.required) {
+        if (storedHash !== currentHash) {
+          requiredChanges.push(name);
+        }
+        continue;
+      }
+
+      let similarity;
+      let changed;
+
+      if (currentHash === null) {
+        similarity = 0;
+        changed = true;
+      } else if (collector.multi) {
+        // Share of the stored entries still present; extra ones do not count against.
+        // An interface is listed once per address, so the same MAC can repeat.
+        const storedEntries = new Set(storedHash);
+        const currentEntries = new Set(currentHash);
+        const kept = [...storedEntries].filter(hash => currentEntries.has(hash)).length;
+
+        similarity = kept / storedEntries.size;
+        changed = kept !== storedEntries.size || currentEntries.size !== kept;
+      } else {
+        similarity = storedHash === currentHash ? 1 : 0;
+        changed = similarity < 1;
+      }
+
+      totalWeight += collector.weight;
+      matchedWeight += collector.weight * similarity;
+      if (changed) {
+        changedComponents.push(name);
+      }
+    }
+
+    if (requiredChanges.length > 0) {
+      return { score: 0, changedComponents: requiredChanges, addedComponents };
+    }
+
+    // Nothing comparable means nothing proves this is the same device
+    return {
+      score: totalWeight > 0 ? matchedWeight / totalWeight : 0,
+      changedComponents,
+      addedComponents
+    };
+  }
+
+  /**
+   * Take drifted hardware into the binding so the next check is exact again
+   * and keep a short history of what changed
+   */
+  recordDrift(binding, hardwareData, changedComponents, score) {
+    const drift = {
+      at: new Date().toISOString(),
+      changedComponents,
+      score
+    };
+
+    const updatedBinding = {
+      ...binding,
+      hardwareFingerprint: this.getHardwareFingerprint(hardwareData),
+      hardwareComponents: this.getComponentHashes(hardwareData),
+      hostname: hardwareData.hostname ?? binding.hostname,
+      driftHistory: [...(binding.driftHistory || []), drift].slice(-MAX_DRIFT_HISTORY)
+    };
+
+    this.saveDeviceBinding(updatedBinding);
+    console.warn(`Device binding updated after hardware change (score ${score.toFixed(2)}):`, changedComponents.join(', '));
+
+    return updatedBinding;
   }
 
   /**
@@ -101,39 +294,73 @@ class SecureDeviceManager {
    */
   validateDeviceBinding() {
     try {
-      const storedBinding = this.getDeviceBinding();
+      let storedBinding = this.getDeviceBinding();
       if (!storedBinding) {
         return { isValid: false, reason: 'No device binding found' };
       }
 
-      const currentFingerprint = this.getHardwareFingerprint();
+      const hardwareData = this.getHardwareData();
+
+      // Bindings from before per-component hashes can only match exactly;
+      // the first exact match adds the component hashes
+      if (!storedBinding.hardwareComponents) {
+        if (storedBinding.hardwareFingerprint !== this.getLegacyFingerprint(hardwareData)) {
+          return {
+            isValid: false,
+            reason: 'Hardware fingerprint mismatch',
+            details: { score: 0, changedComponents: [] }
+          };
+        }
+
+        storedBinding = {
+          ...storedBinding,
+          hardwareFingerprint: this.getHardwareFingerprint(hardwareData),
+          hardwareComponents: this.getComponentHashes(hardwareData)
+        };
+        this.saveDeviceBinding(storedBinding);
+      }
 
-      // Check if hardware fingerprint matches
-      if (storedBinding.hardwareFingerprint !== currentFingerprint) {
+      const { score, changedComponents, addedComponents } = this.compareComponents(
+        storedBinding.hardwareComponents,
+        this.getComponentHashes(hardwareData)
+      );
+
+      if (score < this.matchThreshold) {
         return {
           isValid: false,
           reason: 'Hardware fingerprint mismatch',
           details: {
-            stored: storedBinding.hardwareFingerprint,
-            current: currentFingerprint
+            score,
+            threshold: this.matchThreshold,
+            changedComponents
           }
         };
       }
 
-      // Check if binding is not expired (optional security measure)
-      const bindingAge = Date.now() - new Date(storedBinding.bindTime).getTime();
-      const maxAge = 365 * 24 * 60 * 60 * 1000; // 1 year
-
-      if (bindingAge > maxAge) {
-        return {
-          isValid: false,
-          reason: 'Device binding expired',
-          bindingAge: Math.floor(bindingAge / (24 * 60 * 60 * 1000))
+      if (changedComponents.length > 0) {
+        storedBinding = this.recordDrift(storedBinding, hardwareData, changedComponents, score);
+      } else if (addedComponents.length > 0) {
+        // Sources the binding did not know yet, e.g. a newly enabled collector
+        storedBinding = {
+          ...storedBinding,
+          hardwareFingerprint: this.getHardwareFingerprint(hardwareData),
+          hardwareComponents: this.getComponentHashes(hardwareData)
         };
+        this.saveDeviceBinding(storedBinding);
+        console.log('Hardware components added to device binding:', addedComponents.join(', '));
       }
 
+      const driftHistory = storedBinding.driftHistory || [];
+
+      // An expired binding still matches this hardware. The server refuses
+      // to refresh its sessions until it is renewed, and a new binding would
+      // lose the deviceId and key the server knows.
       return {
         isValid: true,
+        score,
+        changedComponents,
+        lastDrift: driftHistory[driftHistory.length - 1] || null,
+        renewal: this.getRenewalStatus(storedBinding),
         bindingInfo: storedBinding
       };
     } catch (error) {
@@ -146,37 +373,108 @@ class SecureDeviceManager {
     }
   }
 
+  /**
+   * How long the binding has left. The expiry comes from the server; a
+   * binding that has not been confirmed by the server yet counts from bindTime.
+   * @param {Object} binding - Stored binding
+   * @returns {Object} - { expiresAt, daysLeft, renewalDue, expired }
+   */
+  getRenewalStatus(binding) {
+    const expiresAt = binding.expiresAt
+      ? new Date(binding.expiresAt)
+      : new Date(new Date(binding.bindTime).getTime() + DEFAULT_BINDING_MAX_AGE_DAYS * DAY_MS);
+    const renewBeforeDays = binding.renewBeforeDays ?? DEFAULT_RENEW_BEFORE_DAYS;
+    const daysLeft = Math.floor((expiresAt.getTime() - Date.now()) / DAY_MS);
+
+    return {
+      expiresAt: expiresAt.toISOString(),
+      daysLeft,
+      renewalDue: daysLeft < renewBeforeDays,
+      expired: Date.now() >= expiresAt.getTime()
+    };
+  }
+
+  /**
+   * Store the binding expiry the server sent after a login or renewal.
+   * deviceId, keys and bindTime stay as they are.
+   * @param {Object} deviceBinding - { attestedAt, expiresAt, renewBeforeDays } from the server
+   * @returns {Object} - Renewal status, see getRenewalStatus()
+   */
+  renewBinding(deviceBinding) {
+    const expiresAt = new Date(deviceBinding && deviceBinding.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw new Error('Device binding renewal has no valid expiry');
+    }
+
+    const renewedBinding = {
+      ...this.getValidBinding(),
+      attestedAt: deviceBinding.attestedAt || new Date().toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      renewBeforeDays: Number.isInteger(deviceBinding.renewBeforeDays)
+        ? deviceBinding.renewBeforeDays
+        : DEFAULT_RENEW_BEFORE_DAYS
+    };
+
+    this.saveDeviceBinding(renewedBinding);
+    return this.getRenewalStatus(renewedBinding);
+  }
+
+  /**
+   * Generate the Ed25519 keypair that identifies this device to the server.
+   * The private key never leaves the encrypted store.
+   */
+  generateDeviceKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    return { publicKey, privateKey };
+  }
+
+  /**
+   * Persist device binding to the encrypted store and backup file
+   */
+  saveDeviceBinding(deviceBinding) {
+    // Store in encrypted store
+    this.store.set('deviceBinding', deviceBinding);
+
+    // Also create a backup file for additional security
+    try {
+      fs.writeFileSync(
+        this.deviceBindingFile,
+        this.encryptData(JSON.stringify(deviceBinding))
+      );
+    } catch (fileError) {
+      console.warn('Could not create device binding backup file:', fileError.message);
+    }
+  }
+
   /**
    * Create device binding
    */
   createDeviceBinding() {
     try {
-      const hardwareFingerprint = this.getHardwareFingerprint();
+      const hardwareData = this.getHardwareData();
+      const hardwareFingerprint = this.getHardwareFingerprint(hardwareData);
       const bindTime = new Date().toISOString();
       const deviceId = crypto.randomUUID();
+      const { publicKey, privateKey } = this.generateDeviceKeyPair();
 
       const deviceBinding = {
         deviceId,
         hardwareFingerprint,
+        hardwareComponents: this.getComponentHashes(hardwareData),
         bindTime,
+        publicKey,
+        privateKey,
         platform: process.platform,
         arch: process.arch,
         hostname: os.hostname(),
         appVersion: require('../package.json').version
       };
 
-      // Store in encrypted store
-      this.store.set('deviceBinding', deviceBinding);
-
-      // Also create a backup file for additional security
-      try {
-        fs.writeFileSync(
-          this.deviceBindingFile,
-          this.encryptData(JSON.stringify(deviceBinding))
-        );
-      } catch (fileError) {
-        console.warn('Could not create device binding backup file:', fileError.message);
-      }
+      this.saveDeviceBinding(deviceBinding);
 
       console.log('Device binding created successfully');
       return deviceBinding;
@@ -187,27 +485,72 @@ class SecureDeviceManager {
   }
 
   /**
-   * Generate device hash for server authentication
+   * Add a keypair to bindings created before challenge-response auth existed
    */
-  generateDeviceHash(additionalData = '') {
+  ensureDeviceKeyPair(deviceBinding) {
+    if (deviceBinding.publicKey && deviceBinding.privateKey) {
+      return deviceBinding;
+    }
+
+    const upgradedBinding = {
+      ...deviceBinding,
+      ...this.generateDeviceKeyPair()
+    };
+
+    this.saveDeviceBinding(upgradedBinding);
+    console.log('Device keypair added to existing binding');
+    return upgradedBinding;
+  }
+
+  /**
+   * Get the validated binding or throw
+   */
+  getValidBinding() {
     const validation = this.validateDeviceBinding();
     if (!validation.isValid) {
       throw new Error(`Device validation failed: ${validation.reason}`);
     }
 
-    const binding = validation.bindingInfo;
-    const timestamp = Math.floor(Date.now() / 1000); // Unix timestamp
+    return validation.bindingInfo;
+  }
 
-    const hashData = {
-      deviceId: binding.deviceId,
-      hardwareFingerprint: binding.hardwareFingerprint,
-      timestamp,
-      additionalData
-    };
+  /**
+   * Get the device public key (PEM) for registration with the server
+   */
+  getDevicePublicKey() {
+    return this.getValidBinding().publicKey;
+  }
+
+  /**
+   * Sign a server-issued challenge nonce with the device private key
+   * @param {string} nonce - Nonce from /auth/challenge
+   * @returns {string} - Base64 Ed25519 signature
+   */
+  signChallenge(nonce) {
+    if (!nonce || typeof nonce !== 'string') {
+      throw new Error('Challenge nonce is required');
+    }
+
+    const binding = this.getValidBinding();
+    const privateKey = crypto.createPrivateKey(binding.privateKey);
+
+    return crypto.sign(null, Buffer.from(nonce, 'utf8'), privateKey).toString('base64');
+  }
+
+  /**
+   * Generate device hash for server authentication.
+   * This is the SHA-256 of the device public key, so it is stable across
+   * logins and the server can recompute it from the registered key.
+   */
+  generateDeviceHash() {
+    const binding = this.getValidBinding();
+    const publicKeyDer = crypto
+      .createPublicKey(binding.publicKey)
+      .export({ type: 'spki', format: 'der' });
 
     return crypto
       .createHash('sha256')
-      .update(JSON.stringify(hashData))
+      .update(publicKeyDer)
       .digest('hex');
   }
 
@@ -256,7 +599,7 @@ class SecureDeviceManager {
   encryptData(data) {
     const key = Buffer.from(this.getEncryptionKey().substring(0, 32), 'utf8');
     const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipherGCM('aes-256-gcm', key, iv);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
 
     let encrypted = cipher.update(data, 'utf8', 'hex');
     encrypted += cipher.final('hex');
@@ -281,7 +624,7 @@ class SecureDeviceManager {
     const authTag = Buffer.from(parts[1], 'hex');
     const encrypted = parts[2];
 
-    const decipher = crypto.createDecipherGCM('aes-256-gcm', key, iv);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
     decipher.setAuthTag(authTag);
 
     let decrypted = decipher.update(encrypted, 'hex', 'utf8');
@@ -301,7 +644,7 @@ class SecureDeviceManager {
     }
 
     console.log('Device binding is valid');
-    return validation.bindingInfo;
+    return this.ensureDeviceKeyPair(validation.bindingInfo);
   }
 }
 
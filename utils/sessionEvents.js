@@ -0,0 +1,175 @@
+// Events after which this device has to sign in again
+const SESSION_END_EVENTS = ['session.revoked', 'account.deactivated', 'policy.changed'];
+
+const INITIAL_RETRY_MS = 5 * 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+class SessionEventStream {
+  /**
+   * Listens on /user/events while a session exists, so a revocation made
+   * from another device or by an admin reaches this one right away
+   * @param {Object} options
+   * @param {Function} options.getAuthSession - Current AuthSessionManager; it is
+   *   replaced when the device binding is reset
+   * @param {Function} options.onSessionEnd - Called with (event, data) once the
+   *   server ends the session
+   */
+  constructor(options) {
+    this.getAuthSession = options.getAuthSession;
+    this.onSessionEnd = options.onSessionEnd;
+    this.running = false;
+    this.controller = null;
+    this.retryTimer = null;
+    this.retryMs = INITIAL_RETRY_MS;
+  }
+
+  /**
+   * (Re)connect for the current session. A stream left from an earlier
+   * session is dropped, so its events cannot end the new one.
+   */
+  start() {
+    this.stop();
+    this.running = true;
+    this.retryMs = INITIAL_RETRY_MS;
+    this.connect();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
+  }
+
+  scheduleReconnect(delay = this.retryMs) {
+    if (!this.running) {
+      return;
+    }
+
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+    this.retryMs = Math.min(this.retryMs * 2, MAX_RETRY_MS);
+  }
+
+  async connect() {
+    this.retryTimer = null;
+
+    const authSession = this.getAuthSession();
+    const session = authSession.getSession();
+    if (!this.running || !session) {
+      this.running = false;
+      return;
+    }
+
+    const controller = new AbortController();
+    this.controller = controller;
+
+    try {
+      const response = await fetch(`${authSession.apiBaseUrl}/user/events`, {
+        headers: {
+          'Accept': 'text/event-stream',
+          'Authorization': `Bearer ${session.token}`
+        },
+        signal: controller.signal
+      });
+
+      if (response.status === 401) {
+        // Usually just an expired access token. If the refresh is refused as
+        // well, the session ended while nobody was listening.
+        const refreshed = await authSession.refresh();
+        if (controller.signal.aborted) {
+          return;
+        }
+
+        if (refreshed.status === 401) {
+          this.end('session.revoked', { reason: refreshed.data.code || 'SESSION_EXPIRED' });
+          return;
+        }
+
+        this.controller = null;
+        this.scheduleReconnect(refreshed.ok ? 0 : this.retryMs);
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(`Server answered ${response.status}`);
+      }
+
+      this.retryMs = INITIAL_RETRY_MS;
+      await this.read(response.body);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return;
+      }
+      console.warn('Session event stream interrupted:', error.message);
+    }
+
+    // Dropped by the server or the network: try again unless stopped
+    if (this.controller === controller) {
+      this.controller = null;
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Split the response into server-sent events until it ends
+   * @param {ReadableStream} body - Response body
+   */
+  async read(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        this.handleBlock(block);
+
+        if (!this.running) {
+          return;
+        }
+      }
+    }
+  }
+
+  handleBlock(block) {
+    let event = 'message';
+    const dataLines = [];
+
+    for (const line of block.split('\n')) {
+      // Lines starting with ":" are heartbeats
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+
+    if (!SESSION_END_EVENTS.includes(event)) {
+      return;
+    }
+
+    let data = {};
+    try {
+      data = JSON.parse(dataLines.join('\n') || '{}');
+    } catch (error) {
+      console.warn('Unreadable session event data:', error.message);
+    }
+
+    this.end(event, data);
+  }
+
+  end(event, data) {
+    console.log('Session ended by server:', event, data.reason);
+    this.stop();
+    this.onSessionEnd(event, data);
+  }
+}
+
+module.exports = SessionEventStream;